@@ -1,21 +1,15 @@
 /**
  * Simple Migrator Admin JavaScript
  *
- * Handles the client-side orchestration and state management for migrations.
- * Includes retry logic, error recovery, and progress persistence.
+ * Browser adapter for the migration core (migrator-core.js): admin-ajax transport,
+ * IndexedDB checkpoint store and the admin page UI.
  *
  * @package Simple_Migrator
  */
 
 'use strict';
 
-/**
- * Constants
- */
-const SM_CHUNK_SIZE = (typeof smData !== 'undefined' && smData.settings) ? smData.settings.chunkSize : 2 * 1024 * 1024;
-const SM_BATCH_SIZE = (typeof smData !== 'undefined' && smData.settings) ? smData.settings.batchSize : 1000;
-const SM_MAX_RETRIES = (typeof smData !== 'undefined' && smData.settings) ? smData.settings.maxRetries : 5;
-const SM_PAUSE_CHECK_INTERVAL = 100; // ms
+const { Config, MIGRATION_MODES, TABLE_ACTIONS, MigrationState, Orchestrator } = SimpleMigratorCore;
 
 /**
  * HTML escaping utility to prevent XSS
@@ -28,1132 +22,1259 @@ function escapeHtml(str) {
 }
 
 /**
- * Migration State Manager
- * Handles the finite state machine for migration phases with persistence
+ * Offer text content as a file download
  */
-const MigrationState = {
-    // State version for migration handling
-    STATE_VERSION: '1.0',
-
-    // Current phase
-    phase: 'idle', // idle, handshake, scan, database, files, finalize, complete, error, paused
-
-    // Connection info
-    sourceUrl: '',
-    sourceSecret: '',
-    sourceTablePrefix: 'wp_',
-
-    // Scan data
-    manifest: null,
-    totalBytes: 0,
-    totalRows: 0,
-
-    // Database progress
-    currentTable: 0,
-    totalTables: 0,
-    tableOffset: 0,
-    lastTableId: 0,
-    tableSchemas: {}, // Cache table schemas
-
-    // File progress
-    currentFileIndex: 0,
-    totalFiles: 0,
-    fileByteOffset: 0,
-    completedFiles: [],
-
-    // Flags
-    isPaused: false,
-    isCancelled: false,
-    canResume: false,
-
-    // Error tracking
-    lastError: null,
-    errorCount: 0,
-    maxRetries: 5,
-    retryDelay: 1000, // Starting delay in ms
-
-    // Statistics
-    stats: {
-        startTime: null,
-        endTime: null,
-        bytesTransferred: 0,
-        rowsTransferred: 0,
-        filesTransferred: 0,
-        retries: 0,
-        errors: []
-    },
-
-    /**
-     * Save state to localStorage for resume capability
-     * Note: manifest is NOT saved due to size limitations
-     */
-    save() {
-        const stateToSave = {
-            version: this.STATE_VERSION,
-            phase: this.phase,
-            sourceUrl: this.sourceUrl,
-            currentTable: this.currentTable,
-            totalTables: this.totalTables,
-            tableOffset: this.tableOffset,
-            lastTableId: this.lastTableId,
-            currentFileIndex: this.currentFileIndex,
-            totalFiles: this.totalFiles,
-            fileByteOffset: this.fileByteOffset,
-            // Limit completedFiles to last 500 entries to avoid localStorage overflow
-            completedFiles: this.completedFiles.slice(-500),
-            // Don't save manifest - it's too large and can be reloaded from source
-            stats: this.stats,
-            canResume: true
-        };
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type: type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
 
-        try {
-            localStorage.setItem('sm_migration_state', JSON.stringify(stateToSave));
-        } catch (e) {
-            console.warn('Could not save migration state:', e);
-            // If localStorage is full, try to save minimal state
+/**
+ * Checkpoint Store
+ * IndexedDB persistence for migration checkpoints. Unlike localStorage it has room for
+ * the full manifest, a complete per-file completion index and per-table row cursors.
+ */
+const CheckpointStore = {
+    DB_NAME: 'sm_migration',
+
+    // Bump together with a new MIGRATIONS entry whenever the schema changes
+    DB_VERSION: 1,
+
+    /**
+     * Schema migrations, keyed by the version they upgrade to.
+     * Each one runs inside the versionchange transaction.
+     */
+    MIGRATIONS: {
+        1(db, transaction) {
+            db.createObjectStore('state', { keyPath: 'id' });
+            db.createObjectStore('manifest', { keyPath: 'id' });
+            db.createObjectStore('completedFiles', { keyPath: 'path' });
+            db.createObjectStore('tableCursors', { keyPath: 'table' });
+
+            // Import the checkpoint earlier versions kept in localStorage.
+            // Its row cursor has no table name, so the partly copied table cannot be continued. Unless the
+            // database phase had finished, it restarts from the first table, whose preparation drops and
+            // recreates every table rather than inserting the copied rows a second time.
             try {
-                const minimalState = {
-                    version: this.STATE_VERSION,
-                    phase: this.phase,
-                    canResume: true
-                };
-                localStorage.setItem('sm_migration_state', JSON.stringify(minimalState));
-            } catch (e2) {
-                console.error('Could not save even minimal state:', e2);
+                const saved = localStorage.getItem('sm_migration_state');
+                const legacy = saved ? JSON.parse(saved) : null;
+
+                if (legacy && typeof legacy === 'object') {
+                    const files = Array.isArray(legacy.completedFiles) ? legacy.completedFiles : [];
+                    files.forEach(path => transaction.objectStore('completedFiles').put({ path: path }));
+
+                    const databaseFinished = ['files', 'finalize', 'complete'].includes(legacy.phase);
+
+                    transaction.objectStore('state').put({
+                        id: 'current',
+                        phase: legacy.phase,
+                        sourceUrl: legacy.sourceUrl,
+                        currentTable: databaseFinished ? legacy.currentTable : 0,
+                        totalTables: legacy.totalTables,
+                        currentFileIndex: legacy.currentFileIndex,
+                        totalFiles: legacy.totalFiles,
+                        stats: legacy.stats,
+                        canResume: legacy.canResume
+                    });
+                }
+
+                localStorage.removeItem('sm_migration_state');
+            } catch (e) {
+                Logger.log('warn', 'Could not import legacy migration state: ' + e.message);
             }
         }
     },
 
+    // Promise for the open database connection
+    _db: null,
+
     /**
-     * Load state from localStorage
-     * Handles version mismatches gracefully
+     * Open (and upgrade if needed) the checkpoint database
      */
-    load() {
-        try {
-            const saved = localStorage.getItem('sm_migration_state');
-            if (saved) {
-                const state = JSON.parse(saved);
-
-                // Check version compatibility
-                if (state.version && state.version !== this.STATE_VERSION) {
-                    console.warn(`State version mismatch: expected ${this.STATE_VERSION}, got ${state.version}`);
-                    // For now, try to load anyway - future versions can do migrations here
-                }
+    open() {
+        if (this._db) {
+            return this._db;
+        }
 
-                // Manifest needs to be reloaded from source
-                if (state.manifest) {
-                    delete state.manifest;
-                }
+        this._db = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available in this browser'));
+                return;
+            }
 
-                // Whitelist safe keys to prevent prototype pollution
-                const safeKeys = [
-                    'version', 'phase', 'sourceUrl', 'currentTable', 'totalTables',
-                    'tableOffset', 'lastTableId', 'currentFileIndex', 'totalFiles',
-                    'fileByteOffset', 'completedFiles', 'stats', 'canResume'
-                ];
-                for (const key of safeKeys) {
-                    if (state.hasOwnProperty(key)) {
-                        this[key] = state[key];
-                    }
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+            request.onupgradeneeded = (event) => {
+                for (let version = event.oldVersion + 1; version <= this.DB_VERSION; version++) {
+                    this.MIGRATIONS[version](request.result, request.transaction);
                 }
-                return true;
-            }
-        } catch (e) {
-            console.warn('Could not load migration state:', e);
-            // Clear corrupted state
-            this.clearSaved();
-        }
-        return false;
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Checkpoint database is open in another tab'));
+        });
+
+        // Allow a later call to retry after a failed open
+        this._db.catch(() => {
+            this._db = null;
+        });
+
+        return this._db;
     },
 
     /**
-     * Clear saved state
+     * Run a transaction; resolves with the value collected by `work` once it commits
      */
-    clearSaved() {
-        try {
-            localStorage.removeItem('sm_migration_state');
-        } catch (e) {
-            console.warn('Could not clear migration state:', e);
-        }
-    },
-
-    /**
-     * Reset state (preserves connection credentials)
-     */
-    reset() {
-        this.phase = 'idle';
-        // Note: sourceUrl, sourceSecret, and sourceTablePrefix are preserved
-        // They should only be set once via connection test and persist across resets
-        this.manifest = null;
-        this.totalBytes = 0;
-        this.totalRows = 0;
-        this.currentTable = 0;
-        this.totalTables = 0;
-        this.tableOffset = 0;
-        this.lastTableId = 0;
-        this.tableSchemas = {};
-        this.currentFileIndex = 0;
-        this.totalFiles = 0;
-        this.fileByteOffset = 0;
-        this.completedFiles = [];
-        this.isPaused = false;
-        this.isCancelled = false;
-        this.canResume = false;
-        this.lastError = null;
-        this.errorCount = 0;
-        this.retryDelay = 1000;
-        this.stats = {
-            startTime: null,
-            endTime: null,
-            bytesTransferred: 0,
-            rowsTransferred: 0,
-            filesTransferred: 0,
-            retries: 0,
-            errors: []
-        };
-        this.events = {};
+    async transaction(storeNames, mode, work) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const result = work(tx);
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Checkpoint transaction aborted'));
+        });
     },
 
     /**
-     * Update phase
+     * Write the state record plus any new file completions and table cursors
      */
-    setPhase(phase) {
-        this.phase = phase;
-        this.trigger('phaseChange', phase);
-        this.save();
+    write(state, completedFiles, tableCursors) {
+        return this.transaction(['state', 'completedFiles', 'tableCursors'], 'readwrite', (tx) => {
+            tx.objectStore('state').put(Object.assign({ id: 'current' }, state));
+            completedFiles.forEach(path => tx.objectStore('completedFiles').put({ path: path }));
+            tableCursors.forEach(cursor => tx.objectStore('tableCursors').put(cursor));
+        });
     },
 
     /**
-     * Record error
+     * Write the file manifest
      */
-    recordError(error, context = '') {
-        this.lastError = {
-            message: error.message || String(error),
-            context: context,
-            timestamp: new Date().toISOString()
-        };
-        this.errorCount++;
-        this.stats.errors.push(this.lastError);
-        this.save();
+    writeManifest(manifest) {
+        return this.transaction(['manifest'], 'readwrite', (tx) => {
+            tx.objectStore('manifest').put({ id: 'current', manifest: manifest });
+        });
     },
 
     /**
-     * Increment retry counter
+     * Read everything back
      */
-    incrementRetry() {
-        this.stats.retries++;
-        this.save();
+    read() {
+        return this.transaction(['state', 'manifest', 'completedFiles', 'tableCursors'], 'readonly', (tx) => {
+            const result = { state: null, manifest: null, completedFiles: [], tableCursors: [] };
+
+            tx.objectStore('state').get('current').onsuccess = (e) => {
+                result.state = e.target.result || null;
+            };
+            tx.objectStore('manifest').get('current').onsuccess = (e) => {
+                result.manifest = e.target.result ? e.target.result.manifest : null;
+            };
+            tx.objectStore('completedFiles').getAllKeys().onsuccess = (e) => {
+                result.completedFiles = e.target.result;
+            };
+            tx.objectStore('tableCursors').getAll().onsuccess = (e) => {
+                result.tableCursors = e.target.result;
+            };
+
+            return result;
+        });
     },
 
     /**
-     * Simple event emitter
+     * Remove every stored checkpoint
      */
-    events: {},
-    on(event, callback) {
-        if (!this.events[event]) {
-            this.events[event] = [];
-        }
-        this.events[event].push(callback);
-    },
-    trigger(event, data) {
-        if (this.events[event]) {
-            this.events[event].forEach(callback => callback(data));
-        }
+    clear() {
+        return this.transaction(['state', 'manifest', 'completedFiles', 'tableCursors'], 'readwrite', (tx) => {
+            ['state', 'manifest', 'completedFiles', 'tableCursors'].forEach(name => tx.objectStore(name).clear());
+        });
     }
 };
 
 /**
- * API Handler with Retry Logic
- * Manages communication with retry logic and exponential backoff
+ * Destination transport over admin-ajax.php
+ * Resolves with the { success, data } envelope every sm_* action replies with.
  */
-const API = {
-    /**
-     * Sleep for specified milliseconds
-     */
-    async sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    },
+const AjaxTransport = {
+    async post(action, data = {}, options = {}) {
+        const payload = Object.assign({ action: action, nonce: smData.nonce }, data);
 
-    /**
-     * Calculate retry delay with exponential backoff
-     */
-    getRetryDelay(attempt) {
-        // Exponential backoff: 1s, 2s, 4s, 8s, 16s
-        return Math.min(1000 * Math.pow(2, attempt), 16000);
+        if (!options.json) {
+            return jQuery.post(smData.ajaxUrl, payload);
+        }
+
+        // Use fetch to send JSON properly (better for large payloads)
+        // Note: action must be in URL for WordPress AJAX to find it when using JSON body
+        const response = await fetch(smData.ajaxUrl + '?action=' + encodeURIComponent(action), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-WP-Nonce': smData.nonce,
+            },
+            body: JSON.stringify(payload)
+        });
+
+        return this.parse(response);
     },
 
     /**
-     * Make request with retry logic
+     * Send raw bytes as the request body; the action and params go in the URL
      */
-    async requestWithRetry(requestFn, context = 'API Request', maxRetries = SM_MAX_RETRIES) {
-        let lastError;
+    async upload(action, params, body) {
+        const query = new URLSearchParams(Object.assign({ action: action, nonce: smData.nonce }, params));
 
-        for (let attempt = 0; attempt <= maxRetries; attempt++) {
-            try {
-                if (attempt > 0) {
-                    const delay = this.getRetryDelay(attempt - 1);
-                    console.log(`Retrying ${context} (attempt ${attempt + 1}/${maxRetries + 1}) after ${delay}ms...`);
-                    await this.sleep(delay);
-                    MigrationState.incrementRetry();
-                }
+        const response = await fetch(smData.ajaxUrl + '?' + query.toString(), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/octet-stream',
+                'X-WP-Nonce': smData.nonce,
+            },
+            body: body
+        });
 
-                const result = await requestFn();
-                // Success - clear retry state
-                return result;
+        return this.parse(response);
+    },
 
-            } catch (error) {
-                lastError = error;
-                console.error(`Attempt ${attempt + 1} failed for ${context}:`, error);
+    async parse(response) {
+        const responseText = await response.text();
 
-                // Check if error is retryable
-                if (!this.isRetryableError(error)) {
-                    throw error;
-                }
+        // Check if response is HTML (error page) instead of JSON
+        if (responseText.trim().startsWith('<')) {
+            const excerpt = responseText.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 300);
+            Logger.log('error', `Server returned HTML instead of JSON (HTTP ${response.status}): ${excerpt}`);
+            throw new Error(`Server error (HTTP ${response.status}): Received HTML response instead of JSON. Check PHP error logs.`);
+        }
 
-                MigrationState.recordError(error, context);
-            }
+        try {
+            return JSON.parse(responseText);
+        } catch (e) {
+            Logger.log('error', `Failed to parse JSON response: ${responseText.slice(0, 300)}`);
+            throw new Error('Invalid JSON response from server. Check PHP error logs.');
         }
+    }
+};
 
-        // All retries failed
-        throw new Error(`${context} failed after ${maxRetries + 1} attempts: ${lastError.message}`);
-    },
+/**
+ * Logger
+ * Keeps the structured entries logged by the core and by this page, mirrors them to the browser
+ * console and renders them into the log panels. Backup entries (phase "backup") go to the backup
+ * panel, everything else to the migration panel.
+ */
+const Logger = {
+    // Oldest entries are dropped beyond this many
+    MAX_ENTRIES: 1000,
 
-    /**
-     * Check if error is retryable
-     */
-    isRetryableError(error) {
-        const retryablePatterns = [
-            /network/i,
-            /timeout/i,
-            /connection/i,
-            /ECONNREFUSED/i,
-            /ETIMEDOUT/i,
-            /5\d\d/, // Server errors
-            /fetch failed/i
-        ];
+    LEVELS: ['info', 'warn', 'error'],
 
-        const errorMessage = error.message || String(error);
+    entries: [],
 
-        return retryablePatterns.some(pattern => pattern.test(errorMessage));
+    /**
+     * Log a message from this page; context may set phase, table or file
+     */
+    log(level, message, context) {
+        this.add(Object.assign({
+            time: new Date().toISOString(),
+            level: level,
+            phase: MigrationState.phase,
+            table: null,
+            file: null,
+            message: message
+        }, context));
     },
 
     /**
-     * Make authenticated request to source API
+     * Keep an entry of { time, level, phase, table, file, message } and show it
      */
-    async request(endpoint, method = 'GET', data = null, secret = null) {
-        const headers = {
-            'Content-Type': 'application/json'
-        };
-
-        // Only include WordPress nonce for local requests (no secret)
-        // Cross-origin requests to source server use X-Migration-Secret instead
-        if (!secret) {
-            headers['X-WP-Nonce'] = smData.nonce;
+    add(entry) {
+        this.entries.push(entry);
+        if (this.entries.length > this.MAX_ENTRIES) {
+            this.entries.shift();
         }
 
-        if (secret) {
-            headers['X-Migration-Secret'] = secret;
-        }
-
-        const config = {
-            method: method,
-            headers: headers
-        };
+        console[entry.level](this.format(entry));
 
-        if (data && method !== 'GET') {
-            config.body = JSON.stringify(data);
+        const $panel = jQuery('.sm-log-panel[data-log-scope="' + this.getScope(entry) + '"]');
+        if (!$panel.length) {
+            return;
         }
 
-        // Use source URL when secret is provided, otherwise use local API URL
-        let url;
-        if (secret) {
-            // Request to source server
-            url = MigrationState.sourceUrl.replace(/\/$/, '') + '/wp-json/simple-migrator/v1' + endpoint;
-        } else {
-            // Local request
-            url = smData.apiUrl + endpoint;
+        const $entries = $panel.find('.sm-log-entries');
+        const $entry = jQuery('<div>')
+            .addClass('sm-log-entry sm-log-' + entry.level)
+            .append(jQuery('<time>').attr('datetime', entry.time).text(new Date(entry.time).toLocaleTimeString()))
+            .append(jQuery('<span>').addClass('sm-log-level-label').text(entry.level))
+            .append(jQuery('<span>').addClass('sm-log-phase').text(entry.phase));
+        if (entry.table || entry.file) {
+            $entry.append(jQuery('<code>').text(entry.file || entry.table));
         }
+        $entry.append(jQuery('<span>').addClass('sm-log-message').text(entry.message));
 
-        const response = await fetch(url, config);
+        $entries.find('.sm-log-empty').remove();
+        $entries.append($entry);
+        $entries.children('.sm-log-entry').slice(0, -this.MAX_ENTRIES).remove();
+        $entries.scrollTop($entries.prop('scrollHeight'));
 
-        if (!response.ok) {
-            const error = await response.json().catch(() => ({
-                message: 'Unknown error'
-            }));
-            throw new Error(error.message || `HTTP ${response.status}`);
+        $panel.find('.sm-log-count').text(this.getEntries(this.getScope(entry), 'info').length);
+        if (entry.level === 'error') {
+            $panel.addClass('sm-log-has-errors');
         }
-
-        return response.json();
     },
 
     /**
-     * Test connection to source
+     * Panel an entry belongs to
      */
-    async testConnection(sourceUrl, sourceSecret) {
-        return this.requestWithRetry(
-            async () => {
-                const url = sourceUrl.replace(/\/$/, '') + '/wp-json/simple-migrator/v1/handshake';
-
-                const response = await fetch(url, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-Migration-Secret': sourceSecret
-                    }
-                });
-
-                if (!response.ok) {
-                    console.error('Response status:', response.status);
-                    throw new Error('Connection failed');
-                }
+    getScope(entry) {
+        return entry.phase === 'backup' ? 'backup' : 'migration';
+    },
 
-                return response.json();
-            },
-            'Testing connection'
-        );
+    /**
+     * Entries of a panel at or above a level
+     */
+    getEntries(scope, level) {
+        const minimum = this.LEVELS.indexOf(level);
+        return this.entries.filter(entry => this.getScope(entry) === scope && this.LEVELS.indexOf(entry.level) >= minimum);
     },
 
     /**
-     * Get file manifest from source
+     * One line of plain text per entry
      */
-    async getManifest() {
-        return this.requestWithRetry(
-            () => this.request('/scan/manifest', 'GET', null, MigrationState.sourceSecret),
-            'Getting file manifest'
-        );
+    format(entry) {
+        const subject = entry.file || entry.table;
+        return entry.time + ' ' + entry.level.toUpperCase() + ' [' + entry.phase + '] ' +
+            (subject ? subject + ': ' : '') + entry.message;
     },
 
     /**
-     * Get database info from source
+     * Plain text of the entries a panel currently shows
      */
-    async getDatabaseInfo() {
-        return this.requestWithRetry(
-            () => this.request('/scan/database', 'GET', null, MigrationState.sourceSecret),
-            'Getting database information'
-        );
+    toText($panel) {
+        return this.getEntries($panel.data('log-scope'), $panel.find('.sm-log-level').val())
+            .map(entry => this.format(entry))
+            .join('\n') + '\n';
     },
 
     /**
-     * Get source configuration
+     * Wire up the level filter, copy and download buttons of the log panels
      */
-    async getSourceInfo() {
-        return this.requestWithRetry(
-            () => this.request('/config/info', 'GET', null, MigrationState.sourceSecret),
-            'Getting source configuration'
-        );
+    bindEvents() {
+        jQuery('.sm-log-level').on('change', function() {
+            jQuery(this).closest('.sm-log-panel').attr('data-log-level', jQuery(this).val());
+        });
+
+        jQuery('.sm-log-copy').on('click', function() {
+            const btn = jQuery(this);
+            const label = btn.html();
+            const text = Logger.toText(btn.closest('.sm-log-panel'));
+            const copied = () => {
+                btn.text('Copied!');
+                setTimeout(() => btn.html(label), 2000);
+            };
+
+            navigator.clipboard.writeText(text).then(copied).catch(() => {
+                // Fallback for older browsers or non-HTTPS
+                const textarea = document.createElement('textarea');
+                textarea.value = text;
+                document.body.appendChild(textarea);
+                textarea.select();
+                document.execCommand('copy');
+                document.body.removeChild(textarea);
+                copied();
+            });
+        });
+
+        jQuery('.sm-log-download').on('click', function() {
+            const $panel = jQuery(this).closest('.sm-log-panel');
+            downloadFile('simple-migrator-' + $panel.data('log-scope') + '-log-' + new Date().toISOString().slice(0, 10) + '.txt',
+                Logger.toText($panel), 'text/plain');
+        });
+    }
+};
+
+/**
+ * Modal
+ * Accessible dialogs in place of the browser's blocking confirm()/alert(). One dialog is shown at a
+ * time; later ones wait their turn. Focus moves into the dialog, stays there while it is open and
+ * returns to where it was once it closes. Escape answers like the cancel button.
+ */
+const Modal = {
+    // Dialogs waiting for the one on screen to close
+    queue: [],
+
+    // The dialog on screen: { $overlay, options, resolve, returnFocus }
+    current: null,
+
+    // Suffix for the ids the dialog's title and content are referenced by
+    counter: 0,
+
+    /**
+     * Show a dialog and resolve with the value of the button that closed it
+     *
+     * options: title, content (HTML string or jQuery element), buttons ([{ label, value, primary, destructive, disabled }],
+     * the first enabled one gets focus unless the content has a control with autofocus), cancelValue (resolved
+     * on Escape, defaults to null) and role ('dialog' or 'alertdialog').
+     */
+    open(options) {
+        return new Promise(resolve => {
+            Modal.queue.push({ options: options, resolve: resolve });
+            if (!Modal.current) {
+                Modal.showNext();
+            }
+        });
     },
 
     /**
-     * Get table schema
+     * Ask a yes/no question; resolves with true when confirmed
+     *
+     * options: title, confirmLabel, cancelLabel, destructive, and acknowledge: a checkbox label that must be
+     * ticked before the confirm button is enabled, for actions that cannot be undone.
      */
-    async getTableSchema(table) {
-        return this.requestWithRetry(
-            () => {
-                const params = new URLSearchParams({ table: table });
-                return this.request(`/stream/schema?${params.toString()}`, 'GET', null, MigrationState.sourceSecret);
-            },
-            `Getting schema for table ${table}`
-        );
+    async confirm(message, options = {}) {
+        const $content = jQuery('<div>').append(jQuery('<p>').text(message));
+
+        if (options.acknowledge) {
+            const $checkbox = jQuery('<input type="checkbox" class="sm-modal-acknowledge">');
+            $content.append(jQuery('<label class="sm-checkbox-label">').append($checkbox, jQuery('<span>').text(options.acknowledge)));
+            $checkbox.on('change', function() {
+                Modal.getButton('confirm').prop('disabled', !this.checked);
+            });
+        }
+
+        const answer = await Modal.open({
+            title: options.title || 'Please Confirm',
+            content: $content,
+            role: 'alertdialog',
+            cancelValue: false,
+            buttons: [
+                { label: options.cancelLabel || 'Cancel', value: false },
+                { label: options.confirmLabel || 'OK', value: 'confirm', primary: !options.destructive, destructive: !!options.destructive, disabled: !!options.acknowledge }
+            ]
+        });
+
+        return answer === 'confirm';
     },
 
     /**
-     * Get table rows
+     * Show a message; resolves once it is dismissed
      */
-    async getTableRows(table, offset = 0, batch = 1000, lastId = 0) {
-        return this.requestWithRetry(
-            () => {
-                const params = new URLSearchParams({
-                    table: table,
-                    offset: offset,
-                    batch: batch,
-                    last_id: lastId
-                });
-                return this.request(`/stream/rows?${params.toString()}`, 'GET', null, MigrationState.sourceSecret);
-            },
-            `Getting rows from table ${table} (offset: ${offset})`
-        );
+    async alert(message, options = {}) {
+        await Modal.open({
+            title: options.title || 'Simple Migrator',
+            content: jQuery('<p>').text(message),
+            role: 'alertdialog',
+            buttons: [{ label: 'OK', value: null, primary: true }]
+        });
     },
 
     /**
-     * Stream file chunk
+     * Get a button of the dialog on screen by its value
      */
-    async streamFile(path, start = 0, end = 0) {
-        return this.requestWithRetry(
-            () => {
-                const params = new URLSearchParams({
-                    path: path,
-                    start: start,
-                    end: end
-                });
-                return this.request(`/stream/file?${params.toString()}`, 'GET', null, MigrationState.sourceSecret);
-            },
-            `Streaming file ${path} (bytes ${start}-${end})`,
-            3 // Fewer retries for files
-        );
-    }
-};
+    getButton(value) {
+        return Modal.current ? Modal.current.$overlay.find('.sm-modal-actions button[data-value="' + value + '"]') : jQuery();
+    },
 
-/**
- * Migration Orchestrator with Error Handling
- * The main controller that coordinates the migration process
- */
-const Orchestrator = {
     /**
-     * Start the migration process
+     * Render the next queued dialog
      */
-    async start() {
-        MigrationState.stats.startTime = new Date().toISOString();
-        MigrationState.save();
+    showNext() {
+        const next = Modal.queue.shift();
+        if (!next) {
+            return;
+        }
 
-        // Check for recent backup before starting migration (development safety)
-        try {
-            const backupCheck = await jQuery.ajax({
-                url: smData.ajaxUrl,
-                method: 'POST',
-                data: {
-                    action: 'sm_list_backups',
-                    nonce: smData.nonce
-                }
+        const options = next.options;
+        const id = 'sm-modal-' + (++Modal.counter);
+
+        const $dialog = jQuery('<div class="sm-modal" tabindex="-1" aria-modal="true">')
+            .attr({
+                role: options.role || 'dialog',
+                'aria-labelledby': id + '-title',
+                'aria-describedby': id + '-content'
             });
 
-            if (backupCheck.success && backupCheck.data.backups.length > 0) {
-                const latestBackup = backupCheck.data.backups[0];
-                const backupTime = new Date(latestBackup.created_at);
-                const now = new Date();
-                const hoursSinceBackup = (now - backupTime) / (1000 * 60 * 60);
-
-                if (hoursSinceBackup > 1) {
-                    const proceed = confirm(
-                        'Simple Migrator - Development Safety Check\n\n' +
-                        'Your latest backup is ' + Math.round(hoursSinceBackup) + ' hours old.\n\n' +
-                        'For development safety, consider creating a fresh backup before migration.\n' +
-                        'Click "OK" to create a backup first,\n' +
-                        'Click "Cancel" to proceed with migration anyway.'
-                    );
-
-                    if (proceed) {
-                        // Create backup first
-                        await UI.createBackup();
-
-                        // Wait a bit for backup to complete
-                        await new Promise(resolve => setTimeout(resolve, 3000));
-                    }
-                }
-            } else {
-                const proceed = confirm(
-                    'Simple Migrator - Development Safety Check\n\n' +
-                    'No backups found!\n\n' +
-                    'For development safety, we strongly recommend creating a backup before migration.\n' +
-                    'Click "OK" to create a backup first,\n' +
-                    'Click "Cancel" to proceed with migration anyway.'
-                );
+        $dialog.append(jQuery('<h2 class="sm-modal-title">').attr('id', id + '-title').text(options.title));
+        $dialog.append(jQuery('<div class="sm-modal-content">').attr('id', id + '-content').append(options.content));
+
+        const $actions = jQuery('<div class="sm-modal-actions">');
+        options.buttons.forEach(button => {
+            jQuery('<button type="button" class="button">')
+                .text(button.label)
+                .attr('data-value', button.value === null ? '' : String(button.value))
+                .toggleClass('button-primary', !!button.primary)
+                .toggleClass('sm-button-danger', !!button.destructive)
+                .prop('disabled', !!button.disabled)
+                .on('click', () => Modal.close(button.value))
+                .appendTo($actions);
+        });
+        $dialog.append($actions);
 
-                if (proceed) {
-                    // Create backup first
-                    await UI.createBackup();
+        const $overlay = jQuery('<div class="sm-modal-overlay">').append($dialog).appendTo('body');
 
-                    // Wait a bit for backup to complete
-                    await new Promise(resolve => setTimeout(resolve, 3000));
-                }
-            }
-        } catch (error) {
-            console.log('Backup check failed, proceeding with migration:', error);
-        }
+        Modal.current = {
+            $overlay: $overlay,
+            options: options,
+            resolve: next.resolve,
+            returnFocus: document.activeElement
+        };
 
-        try {
-            MigrationState.setPhase('scan');
-            await this.scanPhase();
+        $overlay.on('keydown', Modal.handleKeydown);
 
-            if (!MigrationState.isCancelled) {
-                MigrationState.setPhase('database');
-                await this.databasePhase();
+        // A click beside the dialog does not close it, but must not leave focus behind it either
+        $overlay.on('mousedown', function(e) {
+            if (e.target === this) {
+                e.preventDefault();
+                $dialog.trigger('focus');
             }
+        });
 
-            if (!MigrationState.isCancelled) {
-                MigrationState.setPhase('files');
-                await this.filesPhase();
-            }
+        const $autofocus = $dialog.find('[autofocus]').first();
+        ($autofocus.length ? $autofocus : $actions.find('button:enabled').first()).trigger('focus');
+    },
 
-            if (!MigrationState.isCancelled) {
-                MigrationState.setPhase('finalize');
-                await this.finalizePhase();
-            }
+    /**
+     * Close the dialog on screen, resolving it with a value
+     */
+    close(value) {
+        const current = Modal.current;
+        if (!current) {
+            return;
+        }
 
-            if (!MigrationState.isCancelled) {
-                MigrationState.stats.endTime = new Date().toISOString();
-                MigrationState.setPhase('complete');
-                MigrationState.clearSaved();
-                UI.showComplete();
-            }
-        } catch (error) {
-            console.error('Migration error:', error);
-            MigrationState.setPhase('error');
-            MigrationState.stats.endTime = new Date().toISOString();
-            MigrationState.save();
-            UI.showError(error.message, error);
+        Modal.current = null;
+        current.$overlay.remove();
+
+        if (current.returnFocus && document.body.contains(current.returnFocus)) {
+            current.returnFocus.focus();
         }
+
+        current.resolve(value);
+        Modal.showNext();
     },
 
     /**
-     * Resume interrupted migration
-     * Note: manifest is reloaded from source, not from localStorage
+     * Escape cancels; Tab and Shift+Tab cycle through the dialog's controls
      */
-    async resume() {
-        if (!MigrationState.canResume) {
-            alert('No migration to resume.');
+    handleKeydown(e) {
+        const current = Modal.current;
+        if (!current) {
             return;
         }
 
-        const resume = confirm(`Resume migration from phase: ${MigrationState.phase}?`);
-        if (!resume) return;
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            Modal.close(current.options.cancelValue === undefined ? null : current.options.cancelValue);
+            return;
+        }
 
-        MigrationState.isCancelled = false;
-        MigrationState.isPaused = false;
+        if (e.key !== 'Tab') {
+            return;
+        }
 
-        // Reload manifest from source since we don't store it in localStorage
-        if (!MigrationState.manifest || MigrationState.manifest.files.length === 0) {
-            try {
-                UI.updateStatus('scan', 'Reloading manifest from source...');
-                const manifest = await API.getManifest();
-                MigrationState.manifest = manifest;
-                MigrationState.totalFiles = manifest.files.length;
-            } catch (error) {
-                alert('Failed to reload manifest from source: ' + error.message);
-                MigrationState.reset();
-                MigrationState.clearSaved();
-                return;
+        const $focusable = current.$overlay.find('a[href], button:enabled, input:enabled, select:enabled, textarea:enabled, summary, [tabindex="0"]').filter(':visible');
+        if ($focusable.length === 0) {
+            e.preventDefault();
+            return;
+        }
+
+        const first = $focusable.get(0);
+        const last = $focusable.get($focusable.length - 1);
+
+        if (e.shiftKey && (document.activeElement === first || !current.$overlay[0].contains(document.activeElement))) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+};
+
+/**
+ * UI Controller
+ * Manages the user interface with enhanced error display
+ */
+const UI = {
+    // Whether a retry from the failed-files queue is running; its buttons stay disabled meanwhile
+    retryingFailedFiles: false,
+
+    /**
+     * Initialize UI
+     */
+    init() {
+        SimpleMigratorCore.configure({
+            settings: smData.settings,
+            transport: AjaxTransport,
+            store: CheckpointStore,
+            ui: {
+                updateStatus: (phase, status) => UI.updateStatus(phase, status),
+                updateProgress: (phase, percent, status) => UI.updateProgress(phase, percent, status),
+                updateThroughput: (bytesPerSecond) => UI.updateThroughput(bytesPerSecond),
+                // The pre-flight summary already covered the database overwrite, the only confirmation the core asks for
+                confirm: () => true,
+                selectTables: (tables) => UI.selectTables(tables),
+                reviewSearchReplace: (preview) => UI.reviewSearchReplace(preview),
+                updateFailedFiles: () => UI.renderFailedFiles(),
+                log: (entry) => Logger.add(entry)
             }
+        });
+
+        Logger.bindEvents();
+        this.bindEvents();
+        this.showCurrentMode();
+        this.checkForResume();
+    },
+
+    /**
+     * Check if there's a migration to resume
+     */
+    async checkForResume() {
+        const checkpoint = await Orchestrator.loadCheckpoint();
+
+        // Also lists the files a completed migration could not transfer
+        UI.renderFailedFiles();
+        if (MigrationState.failedFiles.length > 0) {
+            jQuery('#sm-migration-controls').show();
         }
 
-        // Resume from appropriate phase
-        switch (MigrationState.phase) {
-            case 'scan':
-                await this.scanPhase();
-                break;
-            case 'database':
-                await this.databasePhase();
-                break;
-            case 'files':
-                await this.filesPhase();
-                break;
-            case 'finalize':
-                await this.finalizePhase();
-                break;
-            default:
-                await this.start();
+        if (!MigrationState.canResume) {
+            return;
         }
+
+        const resumeInfo = jQuery('<p>')
+            .attr('id', 'sm-resume-info')
+            .addClass('description')
+            .text(UI.describeSavedMigration(checkpoint));
+
+        const resumeButton = jQuery('<button>')
+            .attr('id', 'sm-resume-migration')
+            .addClass('button button-large')
+            .html('<span class="dashicons dashicons-controls-play"></span> Resume Migration')
+            .css({
+                'margin-top': '10px',
+                'background-color': '#ff6f00',
+                'border-color': '#ff6f00'
+            })
+            .on('click', function() {
+                UI.resumeMigration();
+            });
+
+        jQuery('#sm-migration-controls').prepend(resumeButton).prepend(resumeInfo);
+        jQuery('#sm-migration-controls').show();
     },
 
     /**
-     * Scan Phase: Gather information about source
+     * Describe the saved migration in MigrationState for the resume offer; checkpoint is the server's copy
      */
-    async scanPhase() {
-        try {
-            UI.updateStatus('scan', 'Connecting to source...');
+    describeSavedMigration(checkpoint) {
+        let details = 'An interrupted migration' +
+            (MigrationState.sourceUrl ? ' from ' + MigrationState.sourceUrl : '') +
+            ' can be resumed (phase: ' + (MigrationState.resumePhase || MigrationState.phase) + ').';
+        if (MigrationState.updatedAt) {
+            details += ' Last saved ' + new Date(MigrationState.updatedAt).toLocaleString() +
+                (checkpoint && checkpoint.updated_by_name ? ' by ' + checkpoint.updated_by_name : '') + '.';
+        }
+        if (checkpoint && checkpoint.active) {
+            details += ' It may still be running in another browser or from the command line.';
+        }
 
-            // Get source configuration
-            const sourceConfig = await API.getSourceInfo();
-            MigrationState.sourceTablePrefix = sourceConfig.table_prefix;
+        return details;
+    },
 
-            UI.updateStatus('scan', 'Scanning files...');
+    /**
+     * Start a fresh migration once the pre-flight summary is confirmed
+     * A migration saved on the server, which may still be running elsewhere, is only discarded when the
+     * pre-flight says so; the user can resume it instead.
+     */
+    async startMigration() {
+        const options = UI.getMigrationOptions();
+        const invalid = UI.validateSearchReplace(options);
+        if (invalid) {
+            await Modal.alert(invalid, { title: 'Search & Replace Rules' });
+            return;
+        }
 
-            // Get file manifest
-            const manifest = await API.getManifest();
-            MigrationState.manifest = manifest;
+        // Load the latest server checkpoint, which another browser or the CLI may have written since
+        const checkpoint = await Orchestrator.loadCheckpoint();
+        const saved = checkpoint && MigrationState.canResume ? checkpoint : null;
 
-            UI.updateStatus('scan', 'Scanning database...');
+        const answer = await UI.confirmPreflight(options, null, saved);
+        if (answer === 'resume') {
+            await UI.resumeMigration();
+            return;
+        }
+        if (answer !== 'start') {
+            return;
+        }
 
-            // Get database info
-            const dbInfo = await API.getDatabaseInfo();
-            MigrationState.totalTables = dbInfo.total_tables;
+        // Clear any previous migration state, releasing its server checkpoint
+        await MigrationState.clearSaved();
+        MigrationState.reset();
+        UI.renderFailedFiles();
+        UI.hideResumeOffer();
+        // Show pause/cancel buttons
+        UI.showMigrationRunning();
 
-            UI.updateProgress('scan', 100, `Scan complete: ${manifest.total_count} files, ${dbInfo.total_tables} tables`);
-            MigrationState.setPhase('scan_complete');
+        try {
+            UI.showResult(await Orchestrator.start(options));
         } catch (error) {
-            throw new Error(`Scan phase failed: ${error.message}`);
+            UI.showError(error.message, error);
         }
     },
 
     /**
-     * Database Phase: Transfer database tables
+     * Resume an interrupted migration, possibly one started from another browser
      */
-    async databasePhase() {
-        try {
-            // Get source configuration if not already set
-            if (!MigrationState.sourceTablePrefix) {
-                const sourceConfig = await API.getSourceInfo();
-                MigrationState.sourceTablePrefix = sourceConfig.table_prefix;
-            }
-
-            // Get destination configuration
-            const destConfig = await this.getDestinationConfig();
-
-            // Get database info from source
-            const dbInfo = await API.getDatabaseInfo();
+    async resumeMigration() {
+        if (!MigrationState.canResume) {
+            await Modal.alert('No migration to resume.', { title: 'Resume Migration' });
+            return;
+        }
 
-            // Check if we're resuming
-            const startTable = MigrationState.currentTable || 0;
+        // The secret is never persisted, so a fresh page needs a connection test first
+        if (!MigrationState.sourceSecret) {
+            await Modal.alert(`Connect to the source first: paste the migration key for ${MigrationState.sourceUrl || 'the source site'} and click "Test Connection", then resume.`, { title: 'Resume Migration' });
+            return;
+        }
 
-            // Prepare database (drop existing tables if needed)
-            if (startTable === 0) {
-                const overwrite = confirm('This will overwrite existing database tables. Continue?');
-                if (overwrite) {
-                    UI.updateStatus('database', 'Preparing database...');
-                    await this.prepareDatabase(dbInfo.tables, overwrite);
-                } else {
-                    throw new Error('Migration cancelled by user');
-                }
-            }
+        if (await UI.confirmPreflight(MigrationState.options, MigrationState.resumePhase || 'scan') !== 'start') {
+            return;
+        }
 
-            // Process each table
-            for (let i = startTable; i < dbInfo.tables.length; i++) {
-                if (MigrationState.isCancelled) break;
+        UI.hideResumeOffer();
+        UI.showMigrationRunning();
 
-                // Check for pause
-                while (MigrationState.isPaused) {
-                    await new Promise(resolve => setTimeout(resolve, 100));
-                    if (MigrationState.isCancelled) return;
-                }
+        try {
+            UI.showResult(await Orchestrator.resumeMigration());
+        } catch (error) {
+            UI.showError(error.message, error);
+        }
+    },
 
-                const table = dbInfo.tables[i];
-                MigrationState.currentTable = i;
+    /**
+     * Read the migration options from the destination panel
+     */
+    getMigrationOptions() {
+        return {
+            mode: jQuery('#sm-migration-mode').val(),
+            syncFiles: jQuery('#sm-sync-files').is(':checked'),
+            deleteMissing: jQuery('#sm-delete-missing').is(':checked'),
+            searchReplaceRules: UI.getSearchReplaceRules(),
+            reviewSearchReplace: jQuery('#sm-review-search-replace').is(':checked'),
+            searchReplaceExclude: UI.splitTableList(jQuery('#sm-replace-exclude').val()),
+            verify: jQuery('#sm-verify').is(':checked')
+        };
+    },
 
-                // Reset row offset for new table
-                if (MigrationState.lastTableId === 0 && MigrationState.tableOffset === 0) {
-                    UI.updateStatus('database', `Creating table ${table.name} (${i + 1}/${dbInfo.tables.length})`);
+    /**
+     * Add a row to the search & replace rules editor
+     */
+    addRuleRow(rule = {}) {
+        const $row = jQuery('<tr class="sm-rule">' +
+            '<td><input type="text" class="sm-rule-search widefat"></td>' +
+            '<td><input type="text" class="sm-rule-replace widefat"></td>' +
+            '<td class="sm-rule-flag"><input type="checkbox" class="sm-rule-regex"></td>' +
+            '<td class="sm-rule-flag"><input type="checkbox" class="sm-rule-case"></td>' +
+            '<td><input type="text" class="sm-rule-tables widefat" placeholder="all"></td>' +
+            '<td class="sm-rule-remove"><button type="button" class="button-link sm-remove-rule" aria-label="Remove rule">' +
+            '<span class="dashicons dashicons-trash"></span></button></td>' +
+            '</tr>');
+
+        $row.find('.sm-rule-search').val(rule.search || '');
+        $row.find('.sm-rule-replace').val(rule.replace || '');
+        $row.find('.sm-rule-regex').prop('checked', !!rule.regex);
+        $row.find('.sm-rule-case').prop('checked', !!rule.caseSensitive);
+        $row.find('.sm-rule-tables').val((rule.tables || []).join(', '));
+
+        jQuery('#sm-rules-list').append($row);
+    },
 
-                    // Get schema from source (use full table name with prefix)
-                    const schema = await API.getTableSchema(table.name);
-                    MigrationState.tableSchemas[table.name] = schema.schema;
+    /**
+     * Read the search & replace rules editor, skipping rows without a search string
+     */
+    getSearchReplaceRules() {
+        const rules = [];
+
+        jQuery('#sm-rules-list .sm-rule').each(function() {
+            const $row = jQuery(this);
+            const search = $row.find('.sm-rule-search').val();
+            if (!search) return;
+
+            rules.push({
+                search: search,
+                replace: $row.find('.sm-rule-replace').val(),
+                regex: $row.find('.sm-rule-regex').is(':checked'),
+                caseSensitive: $row.find('.sm-rule-case').is(':checked'),
+                tables: UI.splitTableList($row.find('.sm-rule-tables').val())
+            });
+        });
 
-                    // Create table on destination
-                    await this.createTable(table.name, schema.schema, MigrationState.sourceTablePrefix);
-                }
+        return rules;
+    },
 
-                UI.updateStatus('database', `Transferring data from ${table.name} (${i + 1}/${dbInfo.tables.length})`);
+    /**
+     * Split a comma-separated list of table names
+     */
+    splitTableList(value) {
+        return (value || '').split(',').map(table => table.trim()).filter(Boolean);
+    },
 
-                // Transfer rows in batches
-                let hasMore = true;
-                let totalRows = MigrationState.tableOffset || 0;
-                let lastId = MigrationState.lastTableId || 0;
+    /**
+     * Check the search & replace options before a run; returns an error message or null
+     * Regular expressions are compiled as JavaScript, which catches most PCRE syntax errors early.
+     */
+    validateSearchReplace(options) {
+        const invalidSkip = options.searchReplaceExclude.find(table => !/^[a-zA-Z0-9_]+$/.test(table));
+        if (invalidSkip) {
+            return `Invalid table name to skip: ${invalidSkip}`;
+        }
 
-                while (hasMore && !MigrationState.isCancelled) {
-                    // Check for pause
-                    while (MigrationState.isPaused) {
-                        await new Promise(resolve => setTimeout(resolve, 100));
-                        if (MigrationState.isCancelled) return;
-                    }
+        const rules = options.searchReplaceRules;
+        for (let i = 0; i < rules.length; i++) {
+            const rule = rules[i];
 
-                    const data = await API.getTableRows(
-                        table.name,  // Use full table name with prefix
-                        0, // Using keyset pagination, offset not needed
-                        1000,
-                        lastId
-                    );
-
-                    // Process rows (send to destination)
-                    await this.processTableRows(table.name, data.rows, MigrationState.sourceTablePrefix);
-
-                    totalRows += data.count;
-                    MigrationState.tableOffset = totalRows;
-                    MigrationState.stats.rowsTransferred += data.count;
-                    hasMore = data.has_more;
-                    lastId = data.next_id;
-                    MigrationState.lastTableId = lastId;
-
-                    // Update progress
-                    const progress = dbInfo.tables.length > 0
-                        ? ((i + (table.rows > 0 ? totalRows / table.rows : 1)) / dbInfo.tables.length) * 100
-                        : 0;
-                    UI.updateProgress('database', progress, `Transferred ${totalRows}/${table.rows} rows from ${table.name}`);
-
-                    // Save state periodically
-                    if (totalRows % 5000 === 0) {
-                        MigrationState.save();
-                    }
+            if (rule.regex) {
+                try {
+                    new RegExp(rule.search);
+                } catch (e) {
+                    return `Rule ${i + 1} has an invalid regular expression: ${e.message}`;
                 }
+            }
 
-                // Reset row counters for next table
-                MigrationState.tableOffset = 0;
-                MigrationState.lastTableId = 0;
+            const invalid = rule.tables.find(table => !/^[a-zA-Z0-9_]+$/.test(table));
+            if (invalid) {
+                return `Rule ${i + 1} has an invalid table name: ${invalid}`;
             }
+        }
 
-            if (!MigrationState.isCancelled) {
-                UI.updateProgress('database', 100, 'Database transfer complete');
+        return null;
+    },
 
-                // Restore preserved settings (admin, options) after database phase
-                UI.updateStatus('database', 'Restoring preserved settings...');
-                await this.finalizeMigration();
-            }
+    /**
+     * Build and show the migration plan for the current options (dry run, nothing is written)
+     */
+    async previewMigration() {
+        const $button = jQuery('#sm-preview-migration');
+        const $report = jQuery('#sm-plan-report');
+        const options = UI.getMigrationOptions();
+        const invalid = UI.validateSearchReplace(options);
+        if (invalid) {
+            await Modal.alert(invalid, { title: 'Search & Replace Rules' });
+            return;
+        }
+
+        $button.prop('disabled', true);
+        $report.removeClass('error').html('<p>Building migration plan...</p>').show();
+
+        try {
+            UI.renderPlan(await Orchestrator.planMigration(options));
         } catch (error) {
-            throw new Error(`Database phase failed: ${error.message}`);
+            $report.addClass('error').html('<p><strong>Could not build the migration plan:</strong> ' + escapeHtml(error.message) + '</p>');
+        } finally {
+            $button.prop('disabled', false);
         }
     },
 
     /**
-     * Files Phase: Transfer files
+     * Render a migration plan from Orchestrator.planMigration()
      */
-    async filesPhase() {
-        try {
-            const manifest = MigrationState.manifest;
-            if (!manifest || !Array.isArray(manifest.files)) {
-                throw new Error('File manifest is missing or invalid. Please restart the migration.');
+    renderPlan(plan) {
+        let html = '<h4>Migration Plan: ' + escapeHtml(plan.label) + '</h4>' +
+            '<p>From <code>' + escapeHtml(plan.sourceUrl) + '</code>. Nothing has been changed on this site.</p>';
+
+        if (plan.database) {
+            const db = plan.database;
+            html += '<h5>Database: ' + escapeHtml(db.tables.length) + ' tables, ' +
+                escapeHtml(db.rows.toLocaleString()) + ' rows, ' + escapeHtml(UI.formatBytes(db.bytes)) + '</h5>';
+
+            if (db.locked) {
+                html += '<p class="sm-plan-warning">Another migration currently holds the lock on this site.</p>';
             }
-            const files = manifest.files;
 
-            // Check if we're resuming
-            const startFile = MigrationState.currentFileIndex || 0;
+            html += '<div class="sm-plan-tables"><table class="wp-list-table widefat fixed striped">' +
+                '<thead><tr><th>Source Table</th><th>Destination Table</th><th>Rows</th><th>Size</th><th>What Happens</th></tr></thead><tbody>';
+            db.tables.forEach(table => {
+                html += '<tr>' +
+                    '<td><code>' + escapeHtml(table.name) + '</code></td>' +
+                    '<td><code>' + escapeHtml(table.destination) + '</code></td>' +
+                    '<td>' + escapeHtml(table.rows.toLocaleString()) + '</td>' +
+                    '<td>' + escapeHtml(UI.formatBytes(table.data_size)) + '</td>' +
+                    '<td>' + escapeHtml(TABLE_ACTIONS[table.action] || table.action) + '</td>' +
+                    '</tr>';
+            });
+            html += '</tbody></table></div>';
 
-            MigrationState.totalFiles = files.length;
+            if (db.currentUser) {
+                html += '<p>Your account (<code>' + escapeHtml(db.currentUser) + '</code>) is kept so you stay logged in.</p>';
+            }
+            if (db.protectedOptions && db.protectedOptions.length > 0) {
+                html += '<p>Protected options restored afterwards: <code>' + db.protectedOptions.map(escapeHtml).join('</code>, <code>') + '</code></p>';
+            }
+        }
 
-            for (let i = startFile; i < files.length; i++) {
-                if (MigrationState.isCancelled) break;
+        if (plan.files) {
+            const files = plan.files;
+            html += '<h5>Files: ' + escapeHtml(files.transfer.toLocaleString()) + ' to transfer, ' + escapeHtml(UI.formatBytes(files.bytes)) + '</h5>';
 
-                // Skip already completed files
-                if (MigrationState.completedFiles.includes(files[i].path)) {
-                    continue;
-                }
+            if (files.unchanged > 0 || files.removed > 0) {
+                html += '<p>' + escapeHtml(files.unchanged.toLocaleString()) + ' unchanged files skipped, ' +
+                    escapeHtml(files.removed.toLocaleString()) + ' destination files deleted.</p>';
+            }
 
-                const file = files[i];
-                MigrationState.currentFileIndex = i;
-                MigrationState.fileByteOffset = 0;
+            if (files.largest.length > 0) {
+                html += '<p>Largest files:</p><ul class="sm-plan-files">';
+                files.largest.forEach(file => {
+                    html += '<li><code>' + escapeHtml(file.path) + '</code> (' + escapeHtml(UI.formatBytes(file.size)) + ')</li>';
+                });
+                html += '</ul>';
+            }
+        }
 
-                // Check for pause
-                while (MigrationState.isPaused) {
-                    await new Promise(resolve => setTimeout(resolve, 100));
-                    if (MigrationState.isCancelled) return;
-                }
+        html += '<h5>Finalize</h5><p>' + (plan.searchReplace
+            ? 'Search &amp; replace rewrites source URLs in the migrated tables' +
+                (plan.searchReplaceRules > 0 ? ' and applies ' + escapeHtml(plan.searchReplaceRules) + ' extra rule(s)' : '') +
+                ', then permalinks are flushed.'
+            : 'Permalinks are flushed; the database is not touched.') + '</p>';
 
-                UI.updateStatus('files', `Transferring ${file.name} (${i + 1}/${files.length})`);
+        if (plan.verify) {
+            html += '<h5>Verify</h5><p>The migrated tables and files are then compared with the source.</p>';
+        }
 
-                try {
-                    // Transfer file in chunks
-                    await this.transferFile(file.path, file.size);
-                    MigrationState.completedFiles.push(file.path);
-                    MigrationState.stats.filesTransferred++;
-                    MigrationState.stats.bytesTransferred += file.size;
-
-                    // Save state periodically
-                    if ((i + 1) % 10 === 0) {
-                        MigrationState.save();
-                    }
-                } catch (error) {
-                    console.error(`Failed to transfer file ${file.path}:`, error);
-                    // Ask user what to do
-                    const continueMigration = confirm(`Failed to transfer ${file.path}: ${error.message}\n\nContinue with remaining files?`);
-                    if (!continueMigration) {
-                        throw error;
-                    }
-                }
+        const seconds = plan.estimatedSeconds;
+        html += '<p><strong>Estimated duration:</strong> ' + escapeHtml(Math.floor(seconds / 60) + 'm ' + (seconds % 60) + 's') +
+            ' <span class="description">(from a short download test against the source; writing on this site adds to it)</span></p>';
 
-                const progress = ((i + 1) / files.length) * 100;
-                UI.updateProgress('files', progress, `Transferred ${i + 1}/${files.length} files`);
-            }
+        jQuery('#sm-plan-report').removeClass('error').html(html).show();
+    },
 
-            if (!MigrationState.isCancelled) {
-                UI.updateProgress('files', 100, 'File transfer complete');
-            }
-        } catch (error) {
-            throw new Error(`Files phase failed: ${error.message}`);
+    /**
+     * Show the outcome of a migration run that did not fail
+     */
+    showResult(result) {
+        if (result === 'complete') {
+            UI.showComplete();
         }
     },
 
     /**
-     * Transfer a single file in chunks
+     * Show what a migration is about to do, with the backup status, and wait for the go-ahead
+     * Resolves with 'start' to go ahead, false otherwise. This is the only confirmation a migration asks for.
+     * Pass the phase when resuming. Starting a new migration while the server checkpoint `saved` exists
+     * discards it, so the choice is offered between 'start' and 'resume' (resuming that migration instead).
      */
-    async transferFile(filePath, fileSize) {
-        const chunkSize = SM_CHUNK_SIZE;
-        let offset = MigrationState.fileByteOffset || 0;
+    async confirmPreflight(options, resumePhase = null, saved = null) {
+        const mode = MIGRATION_MODES[options.mode] || MIGRATION_MODES.full;
+        const changes = [];
 
-        while (offset < fileSize && !MigrationState.isCancelled) {
-            // Check for pause
-            while (MigrationState.isPaused) {
-                await new Promise(resolve => setTimeout(resolve, 100));
-                if (MigrationState.isCancelled) return;
+        if (mode.database) {
+            changes.push('Database tables you choose next replace the tables with the same names on this site. Your account is kept.');
+        }
+        if (mode.files !== null) {
+            changes.push(options.syncFiles ?
+                'Files that differ from the source are overwritten.' :
+                'Files from the source overwrite the copies on this site.');
+            if (options.deleteMissing) {
+                changes.push('Files that are not on the source are deleted.');
             }
+        }
+        if (mode.database && options.searchReplaceRules && options.searchReplaceRules.length > 0) {
+            changes.push(options.searchReplaceRules.length + ' search & replace rule(s) run on the migrated tables' +
+                (options.reviewSearchReplace ? ', after you review them.' : '.'));
+        }
 
-            const end = Math.min(offset + chunkSize, fileSize);
-            const chunk = await API.streamFile(filePath, offset, end);
+        const $content = jQuery('<div class="sm-preflight">' +
+            (saved ? '<h3>Saved Migration</h3>' +
+                '<p class="sm-preflight-warning">' + escapeHtml(UI.describeSavedMigration(saved)) +
+                ' Starting a new migration discards it.</p>' : '') +
+            '<table class="sm-preflight-summary"><tbody>' +
+            '<tr><th scope="row">Source</th><td><code>' + escapeHtml(MigrationState.sourceUrl || 'unknown') + '</code></td></tr>' +
+            '<tr><th scope="row">Destination</th><td><code>' + escapeHtml(smData.homeUrl) + '</code> (this site)</td></tr>' +
+            '<tr><th scope="row">Migration</th><td>' + escapeHtml(mode.label) +
+            (resumePhase ? ', resumed from the ' + escapeHtml(resumePhase) + ' phase' : '') + '</td></tr>' +
+            '</tbody></table>' +
+            '<h3>What Will Be Overwritten</h3>' +
+            '<ul>' + changes.map(change => '<li>' + escapeHtml(change) + '</li>').join('') + '</ul>' +
+            (resumePhase ? '<p class="description">Tables and files already copied are not copied again.</p>' :
+                '<p class="description">Preview Migration lists every table and file before anything is changed.</p>') +
+            '<h3>Backup</h3>' +
+            '<div class="sm-preflight-backup">' +
+            '<p class="sm-preflight-backup-status" aria-live="polite"><span class="sm-spinner"></span> Checking backups...</p>' +
+            '<button type="button" class="button sm-preflight-create-backup" disabled>' +
+            '<span class="dashicons dashicons-backup"></span> Create Backup Now</button>' +
+            '</div>' +
+            '</div>');
 
-            // Send chunk to destination
-            await this.writeFileChunk(filePath, chunk, offset);
+        const $status = $content.find('.sm-preflight-backup-status');
+        const $backupButton = $content.find('.sm-preflight-create-backup');
 
-            offset += chunk.bytes_read;
-            MigrationState.fileByteOffset = offset;
-        }
+        const showBackupStatus = async () => {
+            const backup = await UI.getBackupStatus();
+            $status.toggleClass('sm-preflight-warning', !backup.recent).text(backup.message);
+            $backupButton.prop('disabled', false);
+        };
+
+        $backupButton.on('click', async function() {
+            $backupButton.prop('disabled', true);
+            Modal.getButton('start').add(Modal.getButton('resume')).prop('disabled', true);
+            $status.removeClass('sm-preflight-warning').html('<span class="sm-spinner"></span> Creating backup, this may take a few minutes...');
+
+            const created = await UI.createBackup();
+
+            Modal.getButton('start').add(Modal.getButton('resume')).prop('disabled', false);
+            if (created) {
+                await showBackupStatus();
+            } else {
+                $status.addClass('sm-preflight-warning').text('The backup failed; see the backup log for details.');
+                $backupButton.prop('disabled', false);
+            }
+        });
+
+        showBackupStatus();
+
+        const answer = await Modal.open({
+            title: resumePhase ? 'Resume Migration' : 'Start Migration',
+            content: $content,
+            cancelValue: false,
+            buttons: saved ? [
+                { label: 'Cancel', value: false },
+                { label: 'Resume Saved Migration', value: 'resume', primary: true },
+                { label: 'Discard It and Start', value: 'start', destructive: true }
+            ] : [
+                { label: 'Cancel', value: false },
+                { label: resumePhase ? 'Resume Migration' : 'Start Migration', value: 'start', primary: true }
+            ]
+        });
+
+        return answer === 'start' || answer === 'resume' ? answer : false;
     },
 
     /**
-     * Finalize Phase: Search & Replace, flush permalinks
+     * Describe the latest backup for the pre-flight summary
+     * Resolves with { message, recent }; a backup counts as recent for an hour.
      */
-    async finalizePhase() {
+    async getBackupStatus() {
         try {
-            UI.updateStatus('finalize', 'Running search & replace...');
+            const response = await jQuery.post(smData.ajaxUrl, {
+                action: 'sm_list_backups',
+                nonce: smData.nonce
+            });
+
+            if (!response.success) {
+                throw new Error(response.data || 'Unknown error');
+            }
 
-            // Perform search & replace
-            await this.performSearchReplace();
+            if (response.data.backups.length === 0) {
+                return { message: 'No backups found. Creating one first is strongly recommended.', recent: false };
+            }
 
-            UI.updateStatus('finalize', 'Flushing permalinks...');
+            const latest = response.data.backups[0];
+            const hours = (Date.now() - new Date(latest.created_at)) / (1000 * 60 * 60);
 
-            // Flush permalinks
-            await this.flushPermalinks();
+            if (hours <= 1) {
+                return { message: 'Latest backup: ' + latest.created_at + ' (' + UI.formatBytes(latest.total_size) + ').', recent: true };
+            }
 
-            UI.updateProgress('finalize', 100, 'Finalization complete');
+            return {
+                message: 'Your latest backup is ' + Math.round(hours) + ' hours old (' + latest.created_at + '). Consider creating a fresh one first.',
+                recent: false
+            };
         } catch (error) {
-            throw new Error(`Finalize phase failed: ${error.message}`);
+            Logger.log('warn', 'Backup check failed: ' + (error.message || error.statusText || 'Network error'), { phase: 'backup' });
+            return { message: 'Could not check for backups. Create one first if you have none.', recent: false };
         }
     },
 
     /**
-     * Get destination configuration
+     * Let the user choose the source tables to migrate
+     * Resolves with the selected table names when the user continues, or null when the migration is cancelled.
      */
-    async getDestinationConfig() {
-        const response = await jQuery.post(smData.ajaxUrl, {
-            action: 'sm_get_config',
-            nonce: smData.nonce
+    selectTables(tables) {
+        UI.closeTablePicker(null);
+
+        let rows = '';
+        tables.forEach(table => {
+            const size = (table.data_size || 0) + (table.index_size || 0);
+            rows += '<tr>' +
+                '<th scope="row" class="check-column"><input type="checkbox" class="sm-table-select" value="' + escapeHtml(table.name) + '" data-rows="' + escapeHtml(table.rows) + '" data-size="' + escapeHtml(size) + '" checked></th>' +
+                '<td><code>' + escapeHtml(table.name) + '</code></td>' +
+                '<td>' + escapeHtml(table.rows.toLocaleString()) + '</td>' +
+                '<td>' + escapeHtml(UI.formatBytes(table.data_size)) + '</td>' +
+                '<td>' + escapeHtml(UI.formatBytes(table.index_size)) + '</td>' +
+                '</tr>';
         });
 
-        if (!response.success) {
-            throw new Error(response.data || 'Failed to get destination config');
-        }
-
-        return response.data;
-    },
+        const $picker = jQuery('<div id="sm-table-picker" class="sm-table-picker">' +
+            '<h4>Choose Tables to Migrate</h4>' +
+            '<p class="description">Unchecked tables are neither overwritten nor copied; the destination keeps its own copy, if any.</p>' +
+            '<div class="sm-table-picker-list">' +
+            '<table class="wp-list-table widefat fixed striped">' +
+            '<thead><tr>' +
+            '<td class="manage-column check-column"><input type="checkbox" id="sm-table-select-all" checked></td>' +
+            '<th>Table</th><th>Rows</th><th>Data Size</th><th>Index Size</th>' +
+            '</tr></thead>' +
+            '<tbody>' + rows + '</tbody>' +
+            '</table>' +
+            '</div>' +
+            '<p class="sm-table-picker-summary" id="sm-table-summary"></p>' +
+            '<button type="button" class="button button-primary" id="sm-tables-continue">Migrate Selected Tables</button>' +
+            '</div>');
 
-    /**
-     * Prepare database (drop existing tables)
-     */
-    async prepareDatabase(tables, overwrite) {
-        const tableNames = tables.map(t => t.name);
+        jQuery('#sm-migration-controls .sm-actions').before($picker);
 
-        const response = await jQuery.post(smData.ajaxUrl, {
-            action: 'sm_prepare_database',
-            nonce: smData.nonce,
-            overwrite: overwrite,
-            tables: tableNames,
-            source_prefix: MigrationState.sourceTablePrefix
+        $picker.on('change', '#sm-table-select-all', function() {
+            $picker.find('.sm-table-select').prop('checked', jQuery(this).is(':checked'));
+            UI.updateTableSummary();
         });
 
-        if (!response.success) {
-            throw new Error(response.data || 'Failed to prepare database');
-        }
-
-        return response;
-    },
-
-    /**
-     * Create table on destination
-     */
-    async createTable(sourceTableName, schema, sourcePrefix) {
-        // Use fetch to send JSON properly (better for large schemas)
-        // Note: action must be in URL for WordPress AJAX to find it when using JSON body
-        const response = await fetch(smData.ajaxUrl + '?action=sm_create_table', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-WP-Nonce': smData.nonce,
-            },
-            body: JSON.stringify({
-                action: 'sm_create_table',
-                nonce: smData.nonce,
-                source_table_name: sourceTableName,
-                source_prefix: sourcePrefix,
-                schema: schema
-            })
+        $picker.on('change', '.sm-table-select', function() {
+            UI.updateTableSummary();
         });
 
-        const responseText = await response.text();
+        UI.updateTableSummary();
 
-        // Check if response is HTML (error page) instead of JSON
-        if (responseText.trim().startsWith('<')) {
-            console.error('Server returned HTML instead of JSON:', responseText);
-            throw new Error('Server error: Received HTML response instead of JSON. Check PHP error logs.');
-        }
+        return new Promise(resolve => {
+            UI.tablePickerResolve = resolve;
 
-        let result;
-        try {
-            result = JSON.parse(responseText);
-        } catch (e) {
-            console.error('Failed to parse JSON response:', responseText);
-            throw new Error('Invalid JSON response from server. Check PHP error logs.');
-        }
+            $picker.on('click', '#sm-tables-continue', async function() {
+                const selected = $picker.find('.sm-table-select:checked').map(function() {
+                    return jQuery(this).val();
+                }).get();
 
-        if (!result.success) {
-            throw new Error(result.data || 'Failed to create table');
-        }
+                if (selected.length === 0 && !await Modal.confirm('No tables are selected, so the database will not be migrated. Continue?', { title: 'No Tables Selected', confirmLabel: 'Continue' })) {
+                    return;
+                }
 
-        return result;
+                UI.closeTablePicker(selected);
+            });
+        });
     },
 
     /**
-     * Process table rows (send to destination)
+     * Show the number of rows and bytes the current table selection covers
      */
-    async processTableRows(tableName, rows, sourcePrefix) {
-        // Use fetch to send JSON properly
-        // Note: action must be in URL for WordPress AJAX to find it when using JSON body
-        const response = await fetch(smData.ajaxUrl + '?action=sm_process_rows', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-WP-Nonce': smData.nonce,
-            },
-            body: JSON.stringify({
-                action: 'sm_process_rows',
-                nonce: smData.nonce,
-                table: tableName,
-                source_prefix: sourcePrefix,
-                rows: rows
-            })
+    updateTableSummary() {
+        const $all = jQuery('#sm-table-picker .sm-table-select');
+        const $selected = $all.filter(':checked');
+        let rows = 0;
+        let size = 0;
+
+        $selected.each(function() {
+            rows += Number(jQuery(this).data('rows')) || 0;
+            size += Number(jQuery(this).data('size')) || 0;
         });
 
-        const result = await response.json();
-
-        if (!result.success) {
-            throw new Error(result.data || 'Failed to process rows');
-        }
-
-        return result;
+        jQuery('#sm-table-select-all').prop('checked', $selected.length === $all.length);
+        jQuery('#sm-table-summary').text(
+            `${$selected.length} of ${$all.length} tables selected: ${rows.toLocaleString()} rows, ${UI.formatBytes(size)}`
+        );
     },
 
     /**
-     * Write file chunk (send to destination)
+     * Remove the table picker, answering a pending selection
      */
-    async writeFileChunk(filePath, chunk, offset) {
-        const response = await jQuery.post(smData.ajaxUrl, {
-            action: 'sm_write_chunk',
-            nonce: smData.nonce,
-            path: filePath,
-            data: chunk.data,
-            checksum: chunk.checksum,
-            offset: offset
-        });
+    closeTablePicker(selection) {
+        jQuery('#sm-table-picker').remove();
 
-        if (!response.success) {
-            throw new Error(response.data || 'Failed to write file chunk');
+        if (UI.tablePickerResolve) {
+            const resolve = UI.tablePickerResolve;
+            UI.tablePickerResolve = null;
+            resolve(selection);
         }
-
-        return response;
     },
 
     /**
-     * Perform search & replace
+     * Show the search & replace preview under the finalize phase and wait for approval
      */
-    async performSearchReplace() {
-        const response = await jQuery.post(smData.ajaxUrl, {
-            action: 'sm_search_replace',
-            nonce: smData.nonce
-        });
+    reviewSearchReplace(preview) {
+        UI.closeReplaceReview(false);
 
-        if (!response.success) {
-            throw new Error(response.data || 'Failed to perform search & replace');
-        }
+        let html = '<h4>Review Search &amp; Replace</h4>';
 
-        return response;
-    },
+        if (preview.changes.length === 0) {
+            html += '<p>No rows would change.</p>';
+        } else {
+            html += '<p>' + escapeHtml(preview.replacements_made.toLocaleString()) + ' row(s) would change in ' +
+                escapeHtml(preview.tables_processed) + ' scanned table(s). Nothing has been written yet.</p>';
+
+            preview.changes.forEach(change => {
+                html += '<details class="sm-replace-change"><summary><code>' + escapeHtml(change.table) + '.' + escapeHtml(change.column) + '</code> ' +
+                    escapeHtml(change.rows.toLocaleString()) + ' row(s)</summary>';
+
+                change.samples.forEach(sample => {
+                    html += '<div class="sm-replace-sample">' +
+                        (sample.row !== null ? '<div class="sm-replace-row">Row ' + escapeHtml(sample.row) + '</div>' : '') +
+                        '<div class="sm-replace-before"><span>Before</span><code>' + escapeHtml(sample.before) + '</code></div>' +
+                        '<div class="sm-replace-after"><span>After</span><code>' + escapeHtml(sample.after) + '</code></div>' +
+                        '</div>';
+                });
 
-    /**
-     * Finalize migration - restore preserved settings
-     * Called after database phase to restore destination admin and options
-     */
-    async finalizeMigration() {
-        const response = await jQuery.post(smData.ajaxUrl, {
-            action: 'sm_finalize_migration',
-            nonce: smData.nonce
-        });
+                html += '</details>';
+            });
+        }
 
-        if (!response.success) {
-            console.warn('Failed to finalize migration:', response.data);
+        if (preview.rules.length > 0) {
+            html += '<ul>' + preview.rules.map(rule =>
+                '<li>Rule "' + escapeHtml(rule.search) + '": ' + escapeHtml(rule.replacements.toLocaleString()) + ' replacement(s)</li>'
+            ).join('') + '</ul>';
         }
 
-        return response;
-    },
+        html += '<button type="button" class="button button-primary" id="sm-replace-apply">Apply Changes</button> ' +
+            '<button type="button" class="button" id="sm-replace-reject">Don\'t Apply</button>';
 
-    /**
-     * Flush permalinks
-     */
-    async flushPermalinks() {
-        const response = await jQuery.post(smData.ajaxUrl, {
-            action: 'sm_flush_permalinks',
-            nonce: smData.nonce
-        });
+        const $review = jQuery('<div id="sm-replace-review" class="sm-replace-review"></div>').html(html);
+        jQuery('#sm-finalize-status').after($review);
 
-        if (!response.success) {
-            throw new Error(response.data || 'Failed to flush permalinks');
-        }
+        return new Promise(resolve => {
+            UI.replaceReviewResolve = resolve;
 
-        return response;
-    },
+            $review.on('click', '#sm-replace-apply', function() {
+                UI.closeReplaceReview(true);
+            });
 
-    /**
-     * Pause migration
-     */
-    pause() {
-        this._previousPhase = MigrationState.phase;
-        MigrationState.isPaused = true;
-        MigrationState.setPhase('paused');
+            $review.on('click', '#sm-replace-reject', function() {
+                UI.closeReplaceReview(false);
+            });
+        });
     },
 
     /**
-     * Resume from pause (within active migration)
+     * Remove the search & replace review, answering a pending approval
      */
-    resume() {
-        MigrationState.isPaused = false;
-        if (this._previousPhase && this._previousPhase !== 'paused') {
-            MigrationState.setPhase(this._previousPhase);
-        }
-        // Resume will be handled by the current loop
-    },
+    closeReplaceReview(approved) {
+        jQuery('#sm-replace-review').remove();
 
-    /**
-     * Cancel migration
-     */
-    cancel() {
-        if (confirm('Are you sure you want to cancel the migration? Progress will be saved for resuming.')) {
-            MigrationState.isCancelled = true;
-            MigrationState.canResume = true;
-            MigrationState.save();
+        if (UI.replaceReviewResolve) {
+            const resolve = UI.replaceReviewResolve;
+            UI.replaceReviewResolve = null;
+            resolve(approved);
         }
-    }
-};
+    },
 
-/**
- * UI Controller
- * Manages the user interface with enhanced error display
- */
-const UI = {
     /**
-     * Initialize UI
+     * Remove the resume offer once a migration is running
      */
-    init() {
-        this.bindEvents();
-        this.showCurrentMode();
-        this.checkForResume();
+    hideResumeOffer() {
+        jQuery('#sm-resume-migration, #sm-resume-info').remove();
     },
 
     /**
-     * Check if there's a migration to resume
+     * Swap the start button for pause/cancel controls
      */
-    checkForResume() {
-        const hasResume = MigrationState.load();
-
-        if (hasResume && MigrationState.canResume) {
-            const resumeButton = jQuery('<button>')
-                .attr('id', 'sm-resume-migration')
-                .addClass('button button-large')
-                .html('<span class="dashicons dashicons-controls-play"></span> Resume Migration')
-                .css({
-                    'margin-top': '10px',
-                    'background-color': '#ff6f00',
-                    'border-color': '#ff6f00'
-                })
-                .on('click', function() {
-                    Orchestrator.resume();
-                    jQuery(this).remove();
-                });
-
-            jQuery('#sm-migration-controls').prepend(resumeButton);
-            jQuery('#sm-migration-controls').show();
-        }
+    showMigrationRunning() {
+        jQuery('#sm-pause-migration').show();
+        jQuery('#sm-cancel-migration').show();
+        jQuery('#sm-start-migration').hide();
+        jQuery('#sm-preview-migration').hide();
+        jQuery('#sm-migration-options').hide();
+        jQuery('#sm-plan-report').hide();
+
+        jQuery('#sm-live-bandwidth-limit').val(Config.bandwidthLimit);
+        jQuery('#sm-live-requests-per-second').val(Config.requestsPerSecond);
+        jQuery('#sm-transfer-limits').show();
     },
 
     /**
@@ -1197,8 +1318,12 @@ const UI = {
         });
 
         // Regenerate key button
-        jQuery('#sm-regenerate-key').on('click', function() {
-            if (confirm('Are you sure you want to regenerate the migration key? The old key will no longer work.')) {
+        jQuery('#sm-regenerate-key').on('click', async function() {
+            if (await Modal.confirm('The old key will no longer work, so destinations that saved it need the new one.', {
+                title: 'Regenerate Migration Key',
+                confirmLabel: 'Regenerate Key',
+                destructive: true
+            })) {
                 UI.regenerateKey();
             }
         });
@@ -1208,16 +1333,44 @@ const UI = {
             UI.testConnection();
         });
 
+        // File options do not apply to a database-only migration, search & replace rules only to the database
+        jQuery('#sm-migration-mode').on('change', function() {
+            const mode = MIGRATION_MODES[jQuery(this).val()];
+            jQuery('#sm-search-replace-rules').toggle(mode.database);
+
+            const copiesFiles = mode.files !== null;
+            jQuery('#sm-sync-files').prop('disabled', !copiesFiles);
+            if (!copiesFiles) {
+                jQuery('#sm-sync-files').prop('checked', false).trigger('change');
+            }
+        });
+
+        // Deleting files only makes sense when comparing with the destination
+        jQuery('#sm-sync-files').on('change', function() {
+            const sync = jQuery(this).is(':checked');
+            jQuery('#sm-delete-missing').prop('disabled', !sync);
+            if (!sync) {
+                jQuery('#sm-delete-missing').prop('checked', false);
+            }
+        });
+
         // Start migration button
         jQuery('#sm-start-migration').on('click', function() {
-            // Clear any previous migration state
-            MigrationState.reset();
-            MigrationState.clearSaved();
-            // Show pause/cancel buttons
-            jQuery('#sm-pause-migration').show();
-            jQuery('#sm-cancel-migration').show();
-            jQuery('#sm-start-migration').hide();
-            Orchestrator.start();
+            UI.startMigration();
+        });
+
+        // Search & replace rules editor
+        jQuery('#sm-add-rule').on('click', function() {
+            UI.addRuleRow();
+        });
+
+        jQuery('#sm-rules-list').on('click', '.sm-remove-rule', function() {
+            jQuery(this).closest('.sm-rule').remove();
+        });
+
+        // Preview migration button
+        jQuery('#sm-preview-migration').on('click', function() {
+            UI.previewMigration();
         });
 
         // Pause/Resume button
@@ -1231,14 +1384,66 @@ const UI = {
             }
         });
 
+        // Live download limits
+        jQuery('#sm-live-bandwidth-limit, #sm-live-requests-per-second').on('change', function() {
+            Orchestrator.setLimits({
+                bandwidthLimit: jQuery('#sm-live-bandwidth-limit').val(),
+                requestsPerSecond: jQuery('#sm-live-requests-per-second').val()
+            });
+        });
+
         // Cancel button
-        jQuery('#sm-cancel-migration').on('click', function() {
-            Orchestrator.cancel();
+        jQuery('#sm-cancel-migration').on('click', async function() {
+            const cancel = await Modal.confirm('Progress is saved, so the migration can be resumed later.', {
+                title: 'Cancel Migration',
+                confirmLabel: 'Cancel Migration',
+                cancelLabel: 'Keep Running',
+                destructive: true
+            });
+
+            // The migration may have finished while the dialog was open
+            if (cancel && MigrationState.phase !== 'complete') {
+                Orchestrator.cancel();
+                UI.closeTablePicker(null);
+                UI.closeReplaceReview(false);
+            }
+        });
+
+        // Failed-files queue, in the progress card and on the completion screen
+        jQuery(document).on('click', '.sm-retry-failed', function() {
+            UI.retryFailedFiles(jQuery(this).attr('data-path'));
+        });
+
+        jQuery(document).on('click', '.sm-retry-all-failed', function() {
+            UI.retryFailedFiles(null);
+        });
+
+        jQuery(document).on('click', '.sm-skip-failed', function() {
+            Orchestrator.skipFailedFile(jQuery(this).attr('data-path'));
+        });
+
+        jQuery(document).on('click', '.sm-skip-all-failed', function() {
+            MigrationState.failedFiles.slice().forEach(file => Orchestrator.skipFailedFile(file.path));
+        });
+
+        // Report downloads on the completion screen
+        jQuery('#sm-connection-result').on('click', '.sm-download-report', function() {
+            UI.downloadReport(jQuery(this));
+        });
+
+        // Re-transfer buttons in the verification results
+        jQuery('#sm-connection-result').on('click', '.sm-retransfer', function() {
+            UI.retransfer(jQuery(this));
         });
 
         // Backup management buttons
-        jQuery('#sm-create-backup').on('click', function() {
-            UI.createBackup();
+        jQuery('#sm-create-backup').on('click', async function() {
+            if (await Modal.confirm('This will create a full backup of your database and files. This may take a few minutes.', {
+                title: 'Create Backup',
+                confirmLabel: 'Create Backup'
+            })) {
+                UI.createBackup();
+            }
         });
 
         jQuery('#sm-refresh-backups').on('click', function() {
@@ -1287,7 +1492,7 @@ const UI = {
             jQuery('#sm-current-mode').val(mode);
             UI.showCurrentMode();
         }).fail(function(xhr, status, error) {
-            console.error('Failed to set mode:', error);
+            Logger.log('error', 'Failed to set mode (' + status + '): ' + (error || 'Network error'));
         });
     },
 
@@ -1305,14 +1510,14 @@ const UI = {
         const keyText = jQuery('#sm-source-key').val().trim();
 
         if (!keyText) {
-            alert('Please enter a migration key');
+            await Modal.alert('Please enter a migration key.', { title: 'Test Connection' });
             return;
         }
 
         // Parse key
         const parts = keyText.split('|');
         if (parts.length !== 2) {
-            alert('Invalid migration key format');
+            await Modal.alert('Invalid migration key format.', { title: 'Test Connection' });
             return;
         }
 
@@ -1322,7 +1527,7 @@ const UI = {
         try {
             sourceSecret = atob(parts[1]);
         } catch (e) {
-            alert('Invalid migration key: failed to decode secret');
+            await Modal.alert('Invalid migration key: failed to decode secret.', { title: 'Test Connection' });
             return;
         }
 
@@ -1333,28 +1538,13 @@ const UI = {
         $result.html('<span class="sm-spinner"></span> Testing connection...').show();
 
         try {
-            const info = await API.testConnection(sourceUrl, sourceSecret);
+            const info = await Orchestrator.connect(sourceUrl, sourceSecret);
 
             // Save key to storage if checkbox is checked
             if (saveKey) {
                 UI.saveSourceKey(keyText);
             }
 
-            // Store connection info in state
-            MigrationState.sourceUrl = sourceUrl;
-            MigrationState.sourceSecret = sourceSecret;
-
-            // Save source URL to server for search & replace phase and CORS tracking
-            jQuery.post(smData.ajaxUrl, {
-                action: 'sm_save_source_url',
-                nonce: smData.nonce,
-                source_url: info.site_url
-            }, function(response) {
-                if (response.success) {
-                    console.log('Source URL saved for CORS and search & replace');
-                }
-            });
-
             // Show success (using escapeHtml to prevent XSS)
             $result.removeClass('error').addClass('success');
             $result.html(
@@ -1385,12 +1575,8 @@ const UI = {
             action: 'sm_save_source_key',
             nonce: smData.nonce,
             key: key
-        }, function(response) {
-            if (response.success) {
-                console.log('Source key saved for development');
-            }
         }).fail(function(xhr, status, error) {
-            console.error('Failed to save source key:', error);
+            Logger.log('error', 'Failed to save source key (' + status + '): ' + (error || 'Network error'));
         });
     },
 
@@ -1407,7 +1593,7 @@ const UI = {
                 jQuery('#sm-save-key').prop('checked', true);
             }
         }).fail(function(xhr, status, error) {
-            console.error('Failed to load source key:', error);
+            Logger.log('error', 'Failed to load source key (' + status + '): ' + (error || 'Network error'));
         });
     },
 
@@ -1429,6 +1615,14 @@ const UI = {
         jQuery(`#sm-${phase}-status`).text(status);
     },
 
+    /**
+     * Show the source download speed next to the progress bar of the running phase
+     */
+    updateThroughput(bytesPerSecond) {
+        jQuery('.sm-throughput').text('');
+        jQuery(`#sm-${MigrationState.phase}-throughput`).text(UI.formatBytes(bytesPerSecond) + '/s');
+    },
+
     /**
      * Show complete message with statistics
      */
@@ -1456,13 +1650,355 @@ const UI = {
             '<div class="sm-stats">' +
             '<p><strong>Duration:</strong> ' + escapeHtml(Math.floor(duration / 60) + 'm ' + (duration % 60) + 's') + '</p>' +
             '<p><strong>Rows Transferred:</strong> ' + escapeHtml(stats.rowsTransferred.toLocaleString()) + '</p>' +
+            (stats.rowBytesTransferred > 0 ? '<p><strong>Row Compression:</strong> ' + escapeHtml(UI.formatBytes(stats.rowBytes) + ' sent as ' + UI.formatBytes(stats.rowBytesTransferred) + ' (' + (stats.rowBytes / stats.rowBytesTransferred).toFixed(1) + ':1)') + '</p>' : '') +
             '<p><strong>Files Transferred:</strong> ' + escapeHtml(stats.filesTransferred.toLocaleString()) + '</p>' +
+            (stats.filesSkipped > 0 ? '<p><strong>Files Unchanged:</strong> ' + escapeHtml(stats.filesSkipped.toLocaleString()) + '</p>' : '') +
+            (stats.filesDeleted > 0 ? '<p><strong>Files Deleted:</strong> ' + escapeHtml(stats.filesDeleted.toLocaleString()) + '</p>' : '') +
             '<p><strong>Data Transferred:</strong> ' + escapeHtml(UI.formatBytes(stats.bytesTransferred)) + '</p>' +
+            UI.formatSearchReplaceTables(stats.searchReplaceTables) +
+            stats.searchReplaceRules.map(rule =>
+                '<p><strong>Rule "' + escapeHtml(rule.search) + '":</strong> ' + escapeHtml(rule.replacements.toLocaleString()) + ' replacements</p>'
+            ).join('') +
             (stats.retries > 0 ? '<p><strong>Retries:</strong> ' + escapeHtml(stats.retries) + '</p>' : '') +
             (stats.errors.length > 0 ? '<p><strong>Errors Encountered:</strong> ' + escapeHtml(stats.errors.length) + '</p>' : '') +
+            (stats.skippedFiles.length > 0 ? '<p><strong>Failed Files Skipped:</strong> ' + escapeHtml(stats.skippedFiles.length) + '</p>' : '') +
             '</div>' +
+            '<div id="sm-verify-results" class="sm-verify-results"></div>' +
+            '<div class="sm-failed-files"></div>' +
+            '<p class="sm-report-actions">' +
+            '<button type="button" class="button sm-download-report" data-format="html"><span class="dashicons dashicons-media-document"></span> Download Report</button> ' +
+            '<button type="button" class="button sm-download-report" data-format="json"><span class="dashicons dashicons-media-code"></span> Download JSON</button>' +
+            '</p>' +
             viewSiteLink
         );
+
+        UI.renderVerification();
+        UI.renderFailedFiles();
+    },
+
+    /**
+     * Show the failed-files queue with retry and skip buttons, in the progress card and on the completion screen
+     */
+    renderFailedFiles() {
+        const $containers = jQuery('.sm-failed-files');
+        const files = MigrationState.failedFiles;
+
+        if (files.length === 0) {
+            $containers.empty().hide();
+            return;
+        }
+
+        let html = '<h4>Failed Files (' + escapeHtml(files.length) + ')</h4>' +
+            '<p class="description">' + (MigrationState.phase === 'complete' ?
+                'The migration completed without these files. Retry them or skip them; they stay listed until you do.' :
+                'The migration carried on without these files. Retry them or skip them; ' +
+                'a resumed migration retries whatever is still listed.') + '</p>' +
+            '<table class="wp-list-table widefat fixed striped sm-failed-table">' +
+            '<thead><tr><th>File</th><th>Error</th><th class="sm-failed-attempts">Attempts</th><th class="sm-failed-actions"></th></tr></thead><tbody>';
+
+        files.forEach(file => {
+            html += '<tr><td><code>' + escapeHtml(file.path) + '</code></td>' +
+                '<td>' + escapeHtml(file.message) + '</td>' +
+                '<td class="sm-failed-attempts">' + escapeHtml(file.attempts) + '</td>' +
+                '<td class="sm-failed-actions">' +
+                '<button type="button" class="button button-small sm-retry-failed" data-path="' + escapeHtml(file.path) + '">Retry</button> ' +
+                '<button type="button" class="button button-small sm-skip-failed" data-path="' + escapeHtml(file.path) + '">Skip</button>' +
+                '</td></tr>';
+        });
+
+        html += '</tbody></table>' +
+            '<p><button type="button" class="button sm-retry-all-failed">Retry All</button> ' +
+            '<button type="button" class="button sm-skip-all-failed">Skip All</button></p>';
+
+        $containers.html(html).show();
+        $containers.find('button').prop('disabled', UI.retryingFailedFiles);
+    },
+
+    /**
+     * Retry one file from the failed-files queue, or all of them when path is null
+     */
+    async retryFailedFiles(path) {
+        // The secret is never persisted, so failed files listed after a reload need a connection test first
+        if (!MigrationState.sourceSecret) {
+            await Modal.alert(`Connect to the source first: paste the migration key for ${MigrationState.sourceUrl || 'the source site'} and click "Test Connection", then retry.`, { title: 'Retry Failed Files' });
+            return;
+        }
+
+        UI.retryingFailedFiles = true;
+        jQuery('.sm-failed-files button').prop('disabled', true);
+
+        try {
+            if (path === null) {
+                await Orchestrator.retryFailedFiles();
+            } else {
+                await Orchestrator.retryFailedFile(path);
+            }
+        } catch (error) {
+            // Logged by the core; the file stays listed with the new error
+        } finally {
+            UI.retryingFailedFiles = false;
+            UI.renderFailedFiles();
+        }
+    },
+
+    /**
+     * Show the verify phase results, with a re-transfer button for every table and file that differs
+     */
+    renderVerification() {
+        const verification = MigrationState.verification;
+        const $results = jQuery('#sm-verify-results');
+
+        if (!verification) {
+            $results.empty();
+            return;
+        }
+
+        const mismatches = Orchestrator.getMismatches();
+        const skipped = verification.tables.filter(table => table.status === 'protected');
+
+        let html = '<h4>Verification</h4><p>' +
+            escapeHtml(verification.tables.length - skipped.length) + ' table(s) and ' +
+            escapeHtml(verification.filesChecked.toLocaleString()) + ' file(s) compared with the source.</p>';
+
+        if (mismatches.tables.length === 0 && mismatches.files.length === 0) {
+            html += '<p>No differences found.</p>';
+        } else {
+            html += '<table class="wp-list-table widefat fixed striped sm-verify-table">' +
+                '<thead><tr><th>Table or File</th><th>Difference</th><th class="sm-verify-action"></th></tr></thead><tbody>';
+
+            mismatches.tables.forEach(table => {
+                html += '<tr><td><code>' + escapeHtml(table.table) + '</code></td>' +
+                    '<td>' + escapeHtml(UI.describeTableMismatch(table)) + '</td>' +
+                    '<td class="sm-verify-action"><button type="button" class="button sm-retransfer" data-type="table" data-name="' +
+                    escapeHtml(table.table) + '">Re-transfer</button></td></tr>';
+            });
+
+            mismatches.files.forEach(file => {
+                html += '<tr><td><code>' + escapeHtml(file.path) + '</code></td>' +
+                    '<td>' + escapeHtml({ missing: 'Missing on this site', size: 'Different size', hash: 'Different content' }[file.status]) + '</td>' +
+                    '<td class="sm-verify-action"><button type="button" class="button sm-retransfer" data-type="file" data-name="' +
+                    escapeHtml(file.path) + '">Re-transfer</button></td></tr>';
+            });
+
+            html += '</tbody></table>';
+        }
+
+        if (skipped.length > 0) {
+            html += '<p class="description">Not compared, this site keeps its own rows: <code>' +
+                skipped.map(table => escapeHtml(table.table)).join('</code>, <code>') + '</code></p>';
+        }
+
+        $results.html(html);
+    },
+
+    /**
+     * Describe how a table differs from the source
+     */
+    describeTableMismatch(table) {
+        if (table.status === 'missing') {
+            return 'Missing on this site';
+        }
+
+        let text = `${table.sourceRows.toLocaleString()} rows on the source, ${table.destinationRows.toLocaleString()} here`;
+        if (table.ranges.length > 0) {
+            const first = table.ranges[0];
+            text += `; ${table.chunks} chunk(s) of rows differ, the first with keys ` +
+                `${first.after === null ? 'from the start' : 'after ' + first.after} ${first.until === null ? 'to the end' : 'up to ' + first.until}`;
+        }
+
+        return text;
+    },
+
+    /**
+     * Re-transfer a table or file listed by verification, then refresh the results
+     */
+    async retransfer($button) {
+        const type = $button.attr('data-type');
+        const name = $button.attr('data-name');
+
+        jQuery('.sm-retransfer').prop('disabled', true);
+        $button.text('Re-transferring...');
+
+        try {
+            const result = type === 'table' ? await Orchestrator.retransferTable(name) : await Orchestrator.retransferFile(name);
+            if (result.status !== 'match') {
+                Modal.alert(`${name} still differs from the source after re-transferring it.`, { title: 'Re-transfer' });
+            }
+        } catch (error) {
+            Modal.alert(`Could not re-transfer ${name}: ${error.message}`, { title: 'Re-transfer' });
+        }
+
+        UI.renderVerification();
+    },
+
+    /**
+     * Build the migration report and download it as HTML or JSON
+     */
+    async downloadReport($button) {
+        const format = $button.attr('data-format');
+        const label = $button.html();
+
+        jQuery('.sm-download-report').prop('disabled', true);
+        $button.text('Preparing report...');
+
+        try {
+            const report = await Orchestrator.buildReport();
+            const filename = 'simple-migrator-report-' + (report.generatedAt || '').slice(0, 10);
+
+            if (format === 'json') {
+                downloadFile(filename + '.json', JSON.stringify(report, null, 2), 'application/json');
+            } else {
+                downloadFile(filename + '.html', UI.renderReportHtml(report), 'text/html');
+            }
+        } catch (error) {
+            Logger.log('error', 'Could not build the migration report: ' + error.message);
+        } finally {
+            jQuery('.sm-download-report').prop('disabled', false);
+            $button.html(label);
+        }
+    },
+
+    /**
+     * Render a report from Orchestrator.buildReport() as a standalone HTML document
+     * The report's JSON is embedded as well, so the one file carries both.
+     */
+    renderReportHtml(report) {
+        const table = (headings, rows) => rows.length === 0 ? '<p>None.</p>' :
+            '<table>' + (headings ? '<thead><tr>' + headings.map(heading => '<th>' + escapeHtml(heading) + '</th>').join('') + '</tr></thead>' : '') + '<tbody>' +
+            rows.map(cells => '<tr>' + cells.map(cell => '<td>' + escapeHtml(cell) + '</td>').join('') + '</tr>').join('') +
+            '</tbody></table>';
+
+        // Plain values of one or more objects, as name/value rows
+        const settings = (...sources) => {
+            const rows = [];
+            sources.forEach(source => {
+                Object.keys(source || {}).forEach(name => {
+                    const value = source[name];
+                    if (Array.isArray(value)) {
+                        rows.push([name, value.join(', ')]);
+                    } else if (value === null || typeof value !== 'object') {
+                        rows.push([name, value === null ? '' : String(value)]);
+                    }
+                });
+            });
+            return rows;
+        };
+
+        const yesNo = value => value ? 'Yes' : 'No';
+        const totals = report.totals;
+        const options = report.options;
+        const verification = report.verification;
+
+        const summary = [
+            ['Status', report.status],
+            ['Migration ID', report.migrationId || ''],
+            ['What was migrated', report.mode],
+            ['Started', report.startTime ? new Date(report.startTime).toLocaleString() : ''],
+            ['Ended', report.endTime ? new Date(report.endTime).toLocaleString() : ''],
+            ['Duration', report.seconds !== null ? UI.formatTime(report.seconds) : ''],
+            ['Rows transferred', totals.rows.toLocaleString()],
+            ['Files transferred', totals.files.toLocaleString()],
+            ['Files unchanged', totals.filesSkipped.toLocaleString()],
+            ['Files deleted', totals.filesDeleted.toLocaleString()],
+            ['Files failed', totals.filesFailed.toLocaleString()],
+            ['Failed files skipped', totals.filesSkippedAfterFailure.toLocaleString()],
+            ['Data transferred', UI.formatBytes(totals.bytes)],
+            ['Row compression', totals.rowBytesTransferred > 0
+                ? UI.formatBytes(totals.rowBytes) + ' sent as ' + UI.formatBytes(totals.rowBytesTransferred) + ' (' + (totals.rowBytes / totals.rowBytesTransferred).toFixed(1) + ':1)'
+                : 'None'],
+            ['Retries', totals.retries],
+            ['Errors', totals.errors]
+        ];
+
+        const chosenOptions = [
+            ['Sync changed files only', yesNo(options.syncFiles)],
+            ['Delete files missing on the source', yesNo(options.deleteMissing)],
+            ['Tables', options.tables === null ? 'All' : options.tables.join(', ')],
+            ['Review search & replace', yesNo(options.reviewSearchReplace)],
+            ['Search & replace skips', options.searchReplaceExclude.join(', ') || 'None'],
+            ['Verify', yesNo(options.verify)]
+        ].concat(options.searchReplaceRules.map((rule, index) => [
+            'Rule ' + (index + 1),
+            rule.search + ' → ' + rule.replace + (rule.regex ? ' (regex)' : '') + (rule.caseSensitive ? ' (match case)' : '') +
+                (rule.tables && rule.tables.length > 0 ? ' in ' + rule.tables.join(', ') : '')
+        ]));
+
+        const skipped = [];
+        report.failedFiles.forEach(file => skipped.push(['Failed file', file.path, file.message + ' (' + file.attempts + ' attempt(s))']));
+        report.skippedFiles.forEach(file => skipped.push(['Skipped after failing', file.path, file.message]));
+        if (verification) {
+            verification.mismatchedTables.forEach(item => skipped.push(['Differs after verification', item.table,
+                item.status === 'missing' ? 'Missing on the destination' : item.sourceRows + ' rows on the source, ' + item.destinationRows + ' on the destination']));
+            verification.mismatchedFiles.forEach(item => skipped.push(['Differs after verification', item.path, item.status]));
+            verification.protectedTables.forEach(name => skipped.push(['Not verified', name, 'The destination keeps its own rows']));
+        }
+        options.searchReplaceExclude.forEach(name => skipped.push(['Skipped by search & replace', name, '']));
+
+        const sections = [
+            ['Summary', table(null, summary)],
+            ['Source', '<p>' + escapeHtml(report.source.url) + '</p>' +
+                (report.source.handshake || report.source.config
+                    ? table(['Setting', 'Value'], settings(report.source.handshake, report.source.config))
+                    : '<p>Could not be reached for the report.</p>')],
+            ['Destination', report.destination
+                ? '<p>' + escapeHtml(report.destination.url) + '</p>' +
+                    table(['Setting', 'Value'], settings({ table_prefix: report.destination.tablePrefix }, report.destination.environment, report.destination.settings))
+                : '<p>Could not be reached for the report.</p>'],
+            ['Options', table(['Option', 'Value'], chosenOptions)],
+            ['Tables', table(['Table', 'Rows', 'Time'], report.tables.map(item => [item.table, item.rows.toLocaleString(), UI.formatTime(item.seconds)]))],
+            ['Files by directory', table(['Directory', 'Scanned', 'Transferred', 'Size'],
+                report.directories.map(item => [item.directory, item.scanned.toLocaleString(), item.transferred.toLocaleString(), UI.formatBytes(item.bytes)]))],
+            ['Skipped and failed', table(['Item', 'Table or file', 'Details'], skipped)],
+            ['Search & replace', table(['Table', 'Rows scanned', 'Rows updated'],
+                report.searchReplace.tables.map(item => [item.table, item.rows_processed.toLocaleString(), item.replacements_made.toLocaleString()])) +
+                (report.searchReplace.rules.length > 0
+                    ? table(['Rule', 'Replacements'], report.searchReplace.rules.map(rule => [rule.search, rule.replacements.toLocaleString()]))
+                    : '')],
+            ['Retry history', table(['Time', 'Request', 'Error'],
+                report.retries.map(item => [new Date(item.timestamp).toLocaleString(), item.context, item.message]))]
+        ];
+
+        // "<" is escaped so the JSON cannot close its script element
+        const json = JSON.stringify(report, null, 2).replace(/</g, '\\u003c');
+
+        return '<!DOCTYPE html>\n<html lang="en"><head><meta charset="utf-8">' +
+            '<title>Simple Migrator report - ' + escapeHtml(report.source.url) + '</title>' +
+            '<style>' +
+            'body{font-family:-apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,sans-serif;color:#1d2327;margin:2em auto;max-width:960px;padding:0 1em}' +
+            'h1{font-size:1.6em}h2{font-size:1.2em;margin-top:2em;border-bottom:1px solid #ddd;padding-bottom:4px}' +
+            'table{border-collapse:collapse;width:100%;font-size:13px}th,td{text-align:left;padding:4px 8px;border-bottom:1px solid #eee;vertical-align:top}' +
+            'thead th{background:#f6f7f7}td{word-break:break-word}' +
+            '</style></head><body>' +
+            '<h1>Simple Migrator report</h1>' +
+            '<p>' + escapeHtml(report.source.url) + ' → ' + escapeHtml(report.destination ? report.destination.url : smData.homeUrl) +
+            ', generated ' + escapeHtml(new Date(report.generatedAt).toLocaleString()) + '</p>' +
+            sections.map(([title, html]) => '<h2>' + escapeHtml(title) + '</h2>' + html).join('') +
+            '<script type="application/json" id="sm-report">' + json + '</script>' +
+            '</body></html>\n';
+    },
+
+    /**
+     * Summarize search & replace per table, listing the tables where rows changed
+     */
+    formatSearchReplaceTables(tables) {
+        if (tables.length === 0) return '';
+
+        const changed = tables.filter(table => table.replacements_made > 0);
+        const rows = changed.reduce((sum, table) => sum + table.replacements_made, 0);
+
+        let html = '<p><strong>Search &amp; Replace:</strong> ' + escapeHtml(rows.toLocaleString()) + ' row(s) updated in ' +
+            escapeHtml(changed.length) + ' of ' + escapeHtml(tables.length) + ' table(s)</p>';
+
+        if (changed.length > 0) {
+            html += '<details class="sm-replace-tables"><summary>Rows updated per table</summary><ul>' +
+                changed.map(table =>
+                    '<li><code>' + escapeHtml(table.table) + '</code>: ' + escapeHtml(table.replacements_made.toLocaleString()) +
+                    ' of ' + escapeHtml(table.rows_processed.toLocaleString()) + '</li>'
+                ).join('') +
+                '</ul></details>';
+        }
+
+        return html;
     },
 
     /**
@@ -1534,7 +2070,7 @@ const UI = {
                 location.reload();
             }
         }).fail(function(xhr, status, error) {
-            console.error('Failed to regenerate key:', error);
+            Logger.log('error', 'Failed to regenerate key (' + status + '): ' + (error || 'Network error'));
         });
     },
 
@@ -1564,14 +2100,11 @@ const UI = {
                 '<div class="sm-error-message" style="color: #d63638; padding: 10px; background: #fff; border-left: 4px solid #d63638;">' +
                 '<strong>Failed to load backups:</strong><br>' +
                 '<code>' + escapeHtml(error || 'Network error') + '</code><br>' +
-                '<small>Check browser console (F12) for details</small>' +
+                '<small>See the log for details</small>' +
                 '</div>'
             );
-            console.error('Load backups error:', {
-                status: status,
-                error: error,
-                response: xhr.responseText
-            });
+            Logger.log('error', 'Failed to load backups (' + status + '): ' + (error || 'Network error') +
+                (xhr.responseText ? ' - ' + xhr.responseText.slice(0, 300) : ''), { phase: 'backup' });
         });
     },
 
@@ -1634,12 +2167,9 @@ const UI = {
 
     /**
      * Create backup with real-time progress tracking
+     * Resolves with true once the backup is created.
      */
     async createBackup() {
-        if (!confirm('This will create a full backup of your database and files. This may take a few minutes. Continue?')) {
-            return;
-        }
-
         const $progress = jQuery('#sm-backup-progress');
         const $fill = jQuery('#sm-backup-progress-fill');
         const $status = jQuery('#sm-backup-progress-status');
@@ -1650,9 +2180,10 @@ const UI = {
         $fill.css('width', '0%');
         $status.html('Initializing backup...<br><small>Starting in 1 second...</small>');
 
+        Logger.log('info', 'Backup started', { phase: 'backup' });
+
         try {
             const startTime = Date.now();
-            const debugLog = []; // Debug logging
 
             // Use fetch for streaming response
             const response = await fetch(smData.ajaxUrl, {
@@ -1677,6 +2208,7 @@ const UI = {
             let finalResult = null;
             let hasError = false;
             let lineCount = 0;
+            let lastLine = '';
 
             while (true) {
                 const { done, value } = await reader.read();
@@ -1685,21 +2217,19 @@ const UI = {
                     // Process any remaining content in buffer (last line without newline)
                     if (buffer.trim()) {
                         lineCount++;
-                        debugLog.push(buffer);
+                        lastLine = buffer;
                         try {
                             const data = JSON.parse(buffer);
                             if (data.type === 'complete') {
                                 finalResult = data.data;
-                                console.log('Received complete message from buffer:', finalResult);
                             } else if (data.type === 'error') {
                                 hasError = true;
                                 throw new Error(data.error || 'Unknown error');
                             }
                         } catch (e) {
-                            console.warn('Failed to parse final buffer:', buffer, e);
+                            Logger.log('warn', 'Failed to parse the last backup progress line: ' + buffer.slice(0, 300), { phase: 'backup' });
                         }
                     }
-                    console.log('Stream complete. Total lines received:', lineCount);
                     break;
                 }
 
@@ -1712,7 +2242,7 @@ const UI = {
                 for (const line of lines) {
                     if (line.trim()) {
                         lineCount++;
-                        debugLog.push(line);
+                        lastLine = line;
 
                         try {
                             const data = JSON.parse(line);
@@ -1733,7 +2263,6 @@ const UI = {
                             } else if (data.type === 'complete') {
                                 // Final result
                                 finalResult = data.data;
-                                console.log('Received complete message:', finalResult);
                             } else if (data.type === 'error') {
                                 // Error occurred
                                 hasError = true;
@@ -1748,20 +2277,14 @@ const UI = {
                             if (hasError) {
                                 throw e;
                             }
-                            console.warn('Failed to parse backup progress:', line, e);
+                            Logger.log('warn', 'Failed to parse backup progress: ' + line.slice(0, 300), { phase: 'backup' });
                         }
                     }
                 }
             }
 
-            // Debug logging
-            console.log('Backup creation debug:', {
-                totalLines: lineCount,
-                hasFinalResult: !!finalResult,
-                hasError: hasError,
-                finalBuffer: buffer,
-                allLines: debugLog
-            });
+            Logger.log(finalResult ? 'info' : 'warn', 'Backup stream ended after ' + lineCount + ' line(s)' +
+                (finalResult ? '' : ' without a result; last line: ' + (lastLine.slice(0, 300) || 'none')), { phase: 'backup' });
 
             if (finalResult) {
                 $fill.css('width', '100%');
@@ -1780,33 +2303,37 @@ const UI = {
                     $fill.css('width', '0%');
                     UI.loadBackups();
                 }, 2000);
+
+                return true;
             } else if (!hasError) {
-                throw new Error('No response from server. Check browser console (F12) for debug info.');
+                throw new Error('No response from server. See the log for details.');
             }
         } catch (error) {
-            console.error('Backup error:', error);
+            Logger.log('error', 'Backup failed: ' + error.message, { phase: 'backup' });
             $status.html(
                 '<strong style="color: #d63638;">Backup failed!</strong><br>' +
                 '<small>Error: ' + escapeHtml(error.message) + '</small><br>' +
-                '<small>Check browser console (F12) for details</small>'
+                '<small>See the log for details</small>'
             );
         } finally {
             $createBtn.prop('disabled', false);
         }
+
+        return false;
     },
 
     /**
      * Restore backup
      */
     async restoreBackup(backupId) {
-        const confirmMsg = 'WARNING: This will replace your current database and files with the selected backup. All current data will be lost!\n\nAre you sure you want to continue?';
-
-        if (!confirm(confirmMsg)) {
-            return;
-        }
+        const restore = await Modal.confirm('This will replace your current database and files with the selected backup. All current data will be lost.', {
+            title: 'Restore Backup',
+            confirmLabel: 'Restore Backup',
+            destructive: true,
+            acknowledge: 'I understand that the current database and files are replaced'
+        });
 
-        // Double confirmation
-        if (!confirm('This is your last chance! Click "OK" to confirm restore.')) {
+        if (!restore) {
             return;
         }
 
@@ -1834,6 +2361,7 @@ const UI = {
                 }, 2000);
             }
         } catch (error) {
+            Logger.log('error', 'Restore failed: ' + error.responseText, { phase: 'backup' });
             $status.text('Restore failed: ' + error.responseText);
             $fill.css('width', '0%');
         }
@@ -1842,8 +2370,12 @@ const UI = {
     /**
      * Delete backup
      */
-    deleteBackup(backupId) {
-        if (!confirm('Are you sure you want to delete this backup? This cannot be undone.')) {
+    async deleteBackup(backupId) {
+        if (!await Modal.confirm('The backup is deleted from the server. This cannot be undone.', {
+            title: 'Delete Backup',
+            confirmLabel: 'Delete Backup',
+            destructive: true
+        })) {
             return;
         }
 
@@ -1856,7 +2388,7 @@ const UI = {
                 UI.loadBackups();
             }
         }).fail(function(xhr, status, error) {
-            console.error('Failed to delete backup:', error);
+            Logger.log('error', 'Failed to delete backup ' + backupId + ': ' + error, { phase: 'backup' });
         });
     }
 };
@@ -0,0 +1,3284 @@
+/**
+ * Simple Migrator Core
+ *
+ * DOM-free migration engine shared by the admin page and the headless CLI:
+ * the phase state machine, retry logic, source REST client and orchestration.
+ * Everything environment-specific (destination transport, checkpoint storage,
+ * progress display, confirmations) is supplied through configure().
+ *
+ * @package Simple_Migrator
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SimpleMigratorCore = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    /**
+     * Runtime settings (defaults match Settings::get_defaults())
+     */
+    const Config = {
+        chunkSize: 2 * 1024 * 1024,
+        batchSize: 1000,
+        prefetchDepth: 2, // row batches fetched ahead of the one being inserted
+        maxRetries: 5,
+        parallelTransfers: 3,
+        bandwidthLimit: 0, // KB/s downloaded from the source, 0 for no limit
+        requestsPerSecond: 0, // source downloads started per second, 0 for no limit
+        postMaxSize: 0, // destination's post_max_size in bytes, 0 when unknown
+        binaryEncodings: [], // encodings the destination takes raw chunk uploads in, empty for JSON only
+        pauseCheckInterval: 100, // ms
+        checkpointSyncInterval: 15000, // ms between server checkpoint writes
+        fileSyncBatch: 500 // paths per destination hash or delete request
+    };
+
+    /**
+     * Per-migration options, chosen when a migration starts
+     * - syncFiles: only transfer files whose content differs from the destination copy
+     * - deleteMissing: with syncFiles, delete destination files that no longer exist on the source
+     * - tables: source tables chosen for the database phase, null until chosen (all tables)
+     * - mode: what to migrate, a key of MIGRATION_MODES
+     * - searchReplaceRules: extra { search, replace, regex, caseSensitive, tables } pairs applied after
+     *   the URL replacement; tables lists unprefixed table names, empty for all
+     * - reviewSearchReplace: preview the search & replace and ask the host to approve it before it is applied
+     * - searchReplaceExclude: unprefixed migrated tables left out of search & replace
+     * - verify: compare the migrated tables and files with the source after finalize (verify phase)
+     */
+    const DEFAULT_OPTIONS = {
+        mode: 'full',
+        syncFiles: false,
+        deleteMissing: false,
+        tables: null,
+        searchReplaceRules: [],
+        reviewSearchReplace: false,
+        searchReplaceExclude: [],
+        verify: false
+    };
+
+    /**
+     * Migration modes
+     * - database: whether the database phase runs (with search & replace and option restoration)
+     * - files: which wp-content directories the files phase copies ('all', 'uploads' or 'code'), null to skip it
+     */
+    const MIGRATION_MODES = {
+        full: { label: 'Full site', database: true, files: 'all' },
+        database: { label: 'Database only', database: true, files: null },
+        files: { label: 'Files only', database: false, files: 'all' },
+        uploads: { label: 'Uploads only', database: false, files: 'uploads' },
+        code: { label: 'Plugins & themes only', database: false, files: 'code' }
+    };
+
+    /**
+     * What the database phase does to an existing destination table, as reported by sm_plan_migration
+     */
+    const TABLE_ACTIONS = {
+        create: 'Created (not on this site yet)',
+        drop: 'Dropped and recreated',
+        truncate: 'Emptied, then filled (protected table)',
+        keep_current_user: 'Emptied except your account, then filled',
+        migrate_then_fix: 'Overwritten, protected options restored',
+        invalid: 'Skipped (invalid table name)'
+    };
+
+    /**
+     * In-memory checkpoint store
+     * Used when the host has no persistent store; resuming then relies on the destination checkpoint.
+     */
+    const MemoryStore = {
+        state: null,
+        manifest: null,
+        completedFiles: new Set(),
+        tableCursors: new Map(),
+
+        async write(state, completedFiles, tableCursors) {
+            this.state = Object.assign({}, state);
+            completedFiles.forEach(path => this.completedFiles.add(path));
+            tableCursors.forEach(cursor => this.tableCursors.set(cursor.table, Object.assign({}, cursor)));
+        },
+
+        async writeManifest(manifest) {
+            this.manifest = manifest;
+        },
+
+        async read() {
+            return {
+                state: this.state,
+                manifest: this.manifest,
+                completedFiles: Array.from(this.completedFiles),
+                tableCursors: Array.from(this.tableCursors.values())
+            };
+        },
+
+        async clear() {
+            this.state = null;
+            this.manifest = null;
+            this.completedFiles = new Set();
+            this.tableCursors = new Map();
+        }
+    };
+
+    // UI hooks used when the host leaves them out. Unanswerable confirmations are declined
+    // and every table is migrated.
+    const DEFAULT_UI = {
+        updateStatus() {},
+        updateProgress() {},
+        updateThroughput() {},
+        updateFailedFiles() {},
+        confirm() {
+            return false;
+        },
+        selectTables(tables) {
+            return tables.map(table => table.name);
+        },
+        reviewSearchReplace() {
+            return false;
+        },
+        log: null
+    };
+
+    /**
+     * Environment adapters, supplied through configure()
+     * - transport.post(action, data, { json }) sends a destination action and resolves with its { success, data } envelope
+     * - transport.upload(action, params, body) is optional and sends raw bytes as the request body, params in the query
+     * - store persists checkpoints: write(), writeManifest(), read(), clear()
+     * - ui receives progress, the download throughput (bytes per second), log entries (see log()) and changes to the
+     *   failed-files queue, and answers confirmations, the table selection and the search & replace review; confirm(),
+     *   selectTables() and reviewSearchReplace() may return a promise
+     */
+    const Host = {
+        transport: null,
+        store: MemoryStore,
+        ui: DEFAULT_UI
+    };
+
+    /**
+     * Log through the host, falling back to the console
+     * The first argument after the level may be a { table, file } context. The host's ui.log receives an entry of
+     * { time, level, phase, table, file, message }; table defaults to the one whose rows are being copied.
+     */
+    function log(level, ...args) {
+        const context = args.length > 1 && args[0] && args[0].constructor === Object ? args.shift() : {};
+        const entry = {
+            time: new Date().toISOString(),
+            level: level,
+            phase: MigrationState.phase,
+            table: context.table || MigrationState.activeTable,
+            file: context.file || null,
+            message: args.map(formatLogArg).join(' ')
+        };
+
+        if (Host.ui.log) {
+            Host.ui.log(entry);
+        } else {
+            const subject = entry.file || entry.table;
+            console[level](`[${entry.phase}] ${subject ? `${subject}: ` : ''}${entry.message}`);
+        }
+    }
+
+    /**
+     * Turn a log argument into text: errors by their message, objects as JSON
+     */
+    function formatLogArg(arg) {
+        if (arg instanceof Error) {
+            return arg.message;
+        }
+        if (arg !== null && typeof arg === 'object') {
+            try {
+                return JSON.stringify(arg);
+            } catch (e) {
+                return String(arg);
+            }
+        }
+        return String(arg);
+    }
+
+
+    /**
+     * Before/after samples kept per column in a search & replace preview
+     */
+    const PREVIEW_SAMPLES = 3;
+
+    /**
+     * Mismatched key ranges the verify phase lists per table
+     */
+    const VERIFY_RANGES = 20;
+
+    /**
+     * Add the per-rule and per-table counts of a search & replace page to running totals
+     */
+    function addReplaceCounts(rules, tables, page) {
+        (page.rules || []).forEach((rule, index) => {
+            if (!rules[index]) {
+                rules[index] = { search: rule.search, replacements: 0 };
+            }
+            rules[index].replacements += rule.replacements;
+        });
+
+        for (const table of page.tables || []) {
+            const known = tables.find(t => t.table === table.table);
+            if (known) {
+                known.rows_processed += table.rows_processed;
+                known.replacements_made += table.replacements_made;
+            } else {
+                tables.push(Object.assign({}, table));
+            }
+        }
+    }
+
+    /**
+     * Convert a search & replace rule to the destination's field names
+     */
+    function ruleToServer(rule) {
+        return {
+            search: rule.search,
+            replace: rule.replace,
+            regex: !!rule.regex,
+            case_sensitive: !!rule.caseSensitive,
+            tables: rule.tables || []
+        };
+    }
+
+    /**
+     * Convert a search & replace rule from the destination's field names
+     */
+    function ruleFromServer(rule) {
+        return {
+            search: rule.search,
+            replace: rule.replace,
+            regex: !!rule.regex,
+            caseSensitive: !!rule.case_sensitive,
+            tables: Array.isArray(rule.tables) ? rule.tables : []
+        };
+    }
+
+    /**
+     * Migration State Manager
+     * Handles the finite state machine for migration phases with persistence
+     */
+    const MigrationState = {
+        // Current phase
+        phase: 'idle', // idle, handshake, scan, database, files, finalize, complete, error, paused
+
+        // Last migration phase entered - where a resume picks up, whatever `phase` says now
+        resumePhase: null,
+
+        // Server-side checkpoint identity (also the key of the destination migration lock)
+        migrationId: null,
+        updatedAt: 0,
+        lastServerSync: 0,
+        serverSync: Promise.resolve(), // Chain that keeps server checkpoint writes in order
+
+        // Options for this migration (see DEFAULT_OPTIONS)
+        options: Object.assign({}, DEFAULT_OPTIONS),
+
+        // Connection info
+        sourceUrl: '',
+        sourceSecret: '',
+        sourceTablePrefix: 'wp_',
+        sourceRowEncodings: [], // row batch encodings the source offered in the handshake
+
+        // Scan data
+        manifest: null,
+        totalBytes: 0,
+        totalRows: 0,
+
+        // Database progress
+        currentTable: 0,
+        totalTables: 0,
+        activeTable: null, // Table being copied, for log context; not checkpointed
+        rowWrite: null, // Settles once the row batch being written and its cursor update are done; not checkpointed
+        tableCursors: {}, // Per-table { rows, lastId, done }, keyed by source table name
+        tableSchemas: {}, // Cache table schemas
+
+        // Search & replace progress once approved: { tables: [{ table, rows }], index, cursor, rows }
+        replaceCursor: null,
+
+        // Verify phase results: { tables, files, filesChecked }, null until it runs. Not checkpointed;
+        // a resumed verify phase starts over.
+        verification: null,
+
+        // File progress
+        currentFileIndex: 0,
+        totalFiles: 0,
+        completedFiles: new Set(),
+        failedFiles: [], // { path, size, hash, message, attempts } per file awaiting a retry or skip
+
+        // Checkpoint entries not yet written to the store
+        pendingFiles: [],
+        pendingTables: new Set(),
+
+        // Flags
+        isPaused: false,
+        isCancelled: false,
+        canResume: false,
+
+        // Error tracking
+        lastError: null,
+        errorCount: 0,
+        maxRetries: 5,
+        retryDelay: 1000, // Starting delay in ms
+
+        // Statistics
+        stats: {
+            startTime: null,
+            endTime: null,
+            bytesTransferred: 0,
+            rowsTransferred: 0,
+            rowBytes: 0, // JSON size of the row batches that arrived compressed
+            rowBytesTransferred: 0, // compressed size of those batches
+            filesTransferred: 0,
+            filesSkipped: 0,
+            filesDeleted: 0,
+            retries: 0,
+            searchReplaceRules: [], // { search, replacements } per custom rule
+            searchReplaceTables: [], // { table, rows_processed, replacements_made } per scanned table
+            tables: {}, // { rows, seconds } per source table copied by the database phase
+            directories: {}, // { files, bytes } transferred per top-level wp-content directory
+            skippedFiles: [], // { path, message } per failed file the user chose to skip
+            errors: []
+        },
+
+        /**
+         * Save state to the checkpoint store for resume capability
+         * File completions and table cursors are written incrementally.
+         * The destination copy is refreshed at most every Config.checkpointSyncInterval unless forced.
+         */
+        save(forceSync = false) {
+            this.updatedAt = Date.now();
+            this.syncCheckpoint(forceSync);
+
+            const stateToSave = {
+                migrationId: this.migrationId,
+                updatedAt: this.updatedAt,
+                phase: this.phase,
+                resumePhase: this.resumePhase,
+                options: this.options,
+                sourceUrl: this.sourceUrl,
+                currentTable: this.currentTable,
+                totalTables: this.totalTables,
+                currentFileIndex: this.currentFileIndex,
+                totalFiles: this.totalFiles,
+                replaceCursor: this.replaceCursor,
+                failedFiles: this.failedFiles,
+                stats: this.stats,
+                canResume: true
+            };
+
+            const files = this.pendingFiles;
+            const cursors = Array.from(this.pendingTables, table => Object.assign({ table: table }, this.tableCursors[table]));
+            this.pendingFiles = [];
+            this.pendingTables = new Set();
+
+            return Host.store.write(stateToSave, files, cursors).catch(e => {
+                log('warn', 'Could not save migration state:', e);
+            });
+        },
+
+        /**
+         * Save the file manifest so a resume does not have to rescan the source
+         */
+        saveManifest() {
+            return Host.store.writeManifest(this.manifest).catch(e => {
+                log('warn', 'Could not save file manifest:', e);
+            });
+        },
+
+        /**
+         * Load state from the checkpoint store
+         */
+        async load() {
+            try {
+                const saved = await Host.store.read();
+                if (saved.state) {
+                    const state = saved.state;
+
+                    // Whitelist safe keys to prevent prototype pollution
+                    const safeKeys = [
+                        'migrationId', 'updatedAt', 'phase', 'resumePhase', 'sourceUrl', 'currentTable', 'totalTables',
+                        'currentFileIndex', 'totalFiles', 'replaceCursor', 'canResume'
+                    ];
+                    for (const key of safeKeys) {
+                        if (state.hasOwnProperty(key)) {
+                            this[key] = state[key];
+                        }
+                    }
+
+                    // Copy known fields only, so records saved by earlier versions keep the newer defaults
+                    this.copyKnown(this.options, state.options);
+                    this.copyKnown(this.stats, state.stats);
+
+                    this.failedFiles = Array.isArray(state.failedFiles) ? state.failedFiles : [];
+                    this.manifest = saved.manifest;
+                    this.completedFiles = new Set(saved.completedFiles);
+                    this.tableCursors = {};
+                    for (const cursor of saved.tableCursors) {
+                        this.tableCursors[cursor.table] = {
+                            rows: cursor.rows || 0,
+                            lastId: cursor.lastId || 0,
+                            done: !!cursor.done
+                        };
+                    }
+                    return true;
+                }
+            } catch (e) {
+                log('warn', 'Could not load migration state:', e);
+                // Clear corrupted state
+                this.clearSaved();
+            }
+            return false;
+        },
+
+        /**
+         * Clear saved state, including the destination checkpoint and its lock
+         */
+        clearSaved() {
+            const cleared = [
+                Host.store.clear().catch(e => {
+                    log('warn', 'Could not clear migration state:', e);
+                })
+            ];
+
+            if (this.migrationId) {
+                const migrationId = this.migrationId;
+                cleared.push(this.serverSync.then(() => Orchestrator.clearCheckpoint(migrationId)).catch(e => {
+                    log('warn', 'Could not clear server checkpoint:', e);
+                }));
+            }
+
+            return Promise.all(cleared);
+        },
+
+        /**
+         * Copy the keys `target` already has from `source`
+         */
+        copyKnown(target, source) {
+            if (!source || typeof source !== 'object') return;
+            for (const key of Object.keys(target)) {
+                if (source.hasOwnProperty(key)) {
+                    target[key] = source[key];
+                }
+            }
+        },
+
+        /**
+         * Build the checkpoint recorded on the destination server
+         */
+        toCheckpoint() {
+            const tableCursors = {};
+            for (const [table, cursor] of Object.entries(this.tableCursors)) {
+                tableCursors[table] = { rows: cursor.rows, last_id: cursor.lastId, done: cursor.done };
+            }
+
+            return {
+                migration_id: this.migrationId || '',
+                phase: this.phase,
+                resume_phase: this.resumePhase,
+                options: {
+                    mode: this.options.mode,
+                    sync_files: this.options.syncFiles,
+                    delete_missing: this.options.deleteMissing,
+                    tables: this.options.tables,
+                    search_replace_rules: this.options.searchReplaceRules.map(ruleToServer),
+                    review_search_replace: this.options.reviewSearchReplace,
+                    search_replace_exclude: this.options.searchReplaceExclude,
+                    verify: this.options.verify
+                },
+                source_url: this.sourceUrl,
+                current_table: this.currentTable,
+                total_tables: this.totalTables,
+                current_file_index: this.currentFileIndex,
+                total_files: this.totalFiles,
+                table_cursors: tableCursors,
+                replace_cursor: this.replaceCursor,
+                failed_files: this.failedFiles,
+                stats: this.stats
+            };
+        },
+
+        /**
+         * Send the checkpoint to the destination server (throttled)
+         */
+        syncCheckpoint(force = false) {
+            if (!this.migrationId) return;
+
+            const now = Date.now();
+            if (!force && now - this.lastServerSync < Config.checkpointSyncInterval) return;
+            this.lastServerSync = now;
+
+            const checkpoint = this.toCheckpoint();
+            this.serverSync = this.serverSync.then(() => Orchestrator.saveCheckpoint(checkpoint)).catch(e => {
+                log('warn', 'Could not save server checkpoint:', e);
+            });
+        },
+
+        /**
+         * Adopt a checkpoint recorded on the destination server
+         * Local manifest and file completions are kept only when they belong to the same migration.
+         */
+        applyServerCheckpoint(checkpoint) {
+            if (checkpoint.migration_id !== this.migrationId) {
+                this.manifest = null;
+                this.completedFiles = new Set();
+                this.tableCursors = {};
+            }
+
+            this.migrationId = checkpoint.migration_id;
+            this.updatedAt = checkpoint.updated_at * 1000;
+            this.phase = checkpoint.phase;
+            this.resumePhase = checkpoint.resume_phase || null;
+            const options = checkpoint.options || {};
+            this.options = Object.assign({}, DEFAULT_OPTIONS, {
+                mode: MIGRATION_MODES[options.mode] ? options.mode : DEFAULT_OPTIONS.mode,
+                syncFiles: !!options.sync_files,
+                deleteMissing: !!options.delete_missing,
+                tables: Array.isArray(options.tables) ? options.tables : null,
+                searchReplaceRules: Array.isArray(options.search_replace_rules) ? options.search_replace_rules.map(ruleFromServer) : [],
+                reviewSearchReplace: !!options.review_search_replace,
+                searchReplaceExclude: Array.isArray(options.search_replace_exclude) ? options.search_replace_exclude : [],
+                verify: !!options.verify
+            });
+            this.sourceUrl = checkpoint.source_url;
+            this.currentTable = checkpoint.current_table;
+            this.totalTables = checkpoint.total_tables;
+            this.currentFileIndex = checkpoint.current_file_index;
+            this.totalFiles = checkpoint.total_files;
+            this.replaceCursor = checkpoint.replace_cursor || null;
+            this.failedFiles = Array.isArray(checkpoint.failed_files) ? checkpoint.failed_files : [];
+            this.canResume = true;
+
+            this.copyKnown(this.stats, checkpoint.stats);
+
+            const cursors = checkpoint.table_cursors || {};
+            for (const table of Object.keys(cursors)) {
+                this.tableCursors[table] = {
+                    rows: cursors[table].rows || 0,
+                    lastId: cursors[table].last_id || 0,
+                    done: !!cursors[table].done
+                };
+                this.pendingTables.add(table);
+            }
+        },
+
+        /**
+         * Record a finished file in the completion index
+         */
+        markFileCompleted(path) {
+            this.completedFiles.add(path);
+            this.pendingFiles.push(path);
+        },
+
+        /**
+         * Queue a file that failed to transfer, or update its entry when a retry failed again
+         */
+        addFailedFile(file, error) {
+            const existing = this.failedFiles.find(entry => entry.path === file.path);
+            const entry = existing || { path: file.path, size: file.size, hash: file.hash || null, message: '', attempts: 0 };
+
+            entry.message = error.message || String(error);
+            entry.attempts++;
+            if (!existing) {
+                this.failedFiles.push(entry);
+            }
+            this.failedFilesChanged();
+        },
+
+        /**
+         * Take a file off the failed-files queue; nothing happens when it is not queued
+         */
+        removeFailedFile(path) {
+            const index = this.failedFiles.findIndex(entry => entry.path === path);
+            if (index === -1) return;
+
+            this.failedFiles.splice(index, 1);
+            this.failedFilesChanged();
+        },
+
+        /**
+         * Tell the host about a queue change and checkpoint it; once the migration has completed, only the
+         * queue is kept
+         */
+        failedFilesChanged() {
+            Host.ui.updateFailedFiles(this.failedFiles);
+            if (this.phase === 'complete') {
+                this.saveFailedFiles();
+            } else {
+                this.save();
+            }
+        },
+
+        /**
+         * Keep a completed migration's failed-files queue in the checkpoint store until every file is retried
+         * or skipped, so it is still listed after a reload
+         * The record has no migration ID and cannot be resumed, so loadCheckpoint() does not take it for a
+         * migration finished elsewhere.
+         */
+        saveFailedFiles() {
+            if (this.failedFiles.length === 0) {
+                return Host.store.clear().catch(e => {
+                    log('warn', 'Could not clear migration state:', e);
+                });
+            }
+
+            return Host.store.write({
+                migrationId: null,
+                updatedAt: Date.now(),
+                phase: 'complete',
+                options: this.options,
+                sourceUrl: this.sourceUrl,
+                failedFiles: this.failedFiles,
+                stats: this.stats,
+                canResume: false
+            }, [], []).catch(e => {
+                log('warn', 'Could not save failed files:', e);
+            });
+        },
+
+        /**
+         * Count a transferred file in the totals and under its top-level directory
+         */
+        countFileTransferred(path, size) {
+            const directory = path.split('/')[0];
+            const counts = this.stats.directories[directory] || (this.stats.directories[directory] = { files: 0, bytes: 0 });
+
+            counts.files++;
+            counts.bytes += size;
+            this.stats.filesTransferred++;
+            this.stats.bytesTransferred += size;
+        },
+
+        /**
+         * Get the row cursor for a table
+         */
+        getTableCursor(table) {
+            return this.tableCursors[table] || { rows: 0, lastId: 0, done: false };
+        },
+
+        /**
+         * Update the row cursor for a table
+         */
+        setTableCursor(table, cursor) {
+            this.tableCursors[table] = Object.assign(this.getTableCursor(table), cursor);
+            this.pendingTables.add(table);
+        },
+
+        /**
+         * Reset state (preserves connection credentials)
+         */
+        reset() {
+            this.phase = 'idle';
+            this.resumePhase = null;
+            this.options = Object.assign({}, DEFAULT_OPTIONS);
+            this.migrationId = null;
+            this.updatedAt = 0;
+            this.lastServerSync = 0;
+            // Note: sourceUrl, sourceSecret, sourceTablePrefix and sourceRowEncodings are preserved
+            // They should only be set once via connection test and persist across resets
+            this.manifest = null;
+            this.totalBytes = 0;
+            this.totalRows = 0;
+            this.currentTable = 0;
+            this.totalTables = 0;
+            this.tableCursors = {};
+            this.tableSchemas = {};
+            this.replaceCursor = null;
+            this.verification = null;
+            this.currentFileIndex = 0;
+            this.totalFiles = 0;
+            this.completedFiles = new Set();
+            this.failedFiles = [];
+            this.pendingFiles = [];
+            this.pendingTables = new Set();
+            this.activeTable = null;
+            this.isPaused = false;
+            this.isCancelled = false;
+            this.canResume = false;
+            this.lastError = null;
+            this.errorCount = 0;
+            this.retryDelay = 1000;
+            this.stats = {
+                startTime: null,
+                endTime: null,
+                bytesTransferred: 0,
+                rowsTransferred: 0,
+                rowBytes: 0,
+                rowBytesTransferred: 0,
+                filesTransferred: 0,
+                filesSkipped: 0,
+                filesDeleted: 0,
+                retries: 0,
+                searchReplaceRules: [],
+                searchReplaceTables: [],
+                tables: {},
+                directories: {},
+                skippedFiles: [],
+                errors: []
+            };
+            this.events = {};
+        },
+
+        /**
+         * Update phase
+         */
+        setPhase(phase) {
+            this.phase = phase;
+            if (Orchestrator.PHASES.includes(phase)) {
+                this.resumePhase = phase;
+            }
+            this.trigger('phaseChange', phase);
+            this.save(true);
+        },
+
+        /**
+         * Record error, and log it
+         */
+        recordError(error, context = '') {
+            this.lastError = {
+                message: error.message || String(error),
+                context: context,
+                timestamp: new Date().toISOString()
+            };
+            this.errorCount++;
+            this.stats.errors.push(this.lastError);
+            log('error', context ? `${context}: ${this.lastError.message}` : this.lastError.message);
+            this.save();
+        },
+
+        /**
+         * Increment retry counter
+         */
+        incrementRetry() {
+            this.stats.retries++;
+            this.save();
+        },
+
+        /**
+         * Simple event emitter
+         */
+        events: {},
+        on(event, callback) {
+            if (!this.events[event]) {
+                this.events[event] = [];
+            }
+            this.events[event].push(callback);
+        },
+        trigger(event, data) {
+            if (this.events[event]) {
+                this.events[event].forEach(callback => callback(data));
+            }
+        }
+    };
+
+    /**
+     * Compress or decompress bytes with a CompressionStream or DecompressionStream
+     */
+    async function transcode(bytes, stream) {
+        const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+        return new Uint8Array(await response.arrayBuffer());
+    }
+
+    /**
+     * Rate limiting for source downloads (file chunks, file batches and table rows)
+     * Requests reserve start slots Config.requestsPerSecond apart; each response then holds back the next
+     * request until its bytes fit Config.bandwidthLimit. Both limits are read on every request, so changing
+     * them takes effect mid-migration.
+     */
+    const Throttle = {
+        // Seconds over which the reported throughput is averaged
+        WINDOW: 5,
+
+        nextRequestAt: 0,
+        nextByteAt: 0,
+        samples: [],
+
+        /**
+         * Wait until the limits allow another request
+         */
+        async acquire() {
+            const now = Date.now();
+            let wait = 0;
+
+            if (Config.requestsPerSecond > 0) {
+                const slot = Math.max(now, this.nextRequestAt);
+                this.nextRequestAt = slot + 1000 / Config.requestsPerSecond;
+                wait = slot - now;
+            }
+            if (Config.bandwidthLimit > 0) {
+                wait = Math.max(wait, this.nextByteAt - now);
+            }
+
+            if (wait > 0) {
+                await new Promise(resolve => setTimeout(resolve, wait));
+            }
+        },
+
+        /**
+         * Account for a downloaded response body and report the throughput
+         */
+        record(bytes) {
+            const now = Date.now();
+
+            if (Config.bandwidthLimit > 0) {
+                this.nextByteAt = Math.max(now, this.nextByteAt) + bytes / (Config.bandwidthLimit * 1024) * 1000;
+            }
+
+            this.samples.push({ time: now, bytes: bytes });
+            this.samples = this.samples.filter(sample => sample.time > now - this.WINDOW * 1000);
+
+            Host.ui.updateThroughput(this.getThroughput());
+        },
+
+        /**
+         * Bytes per second downloaded over the last WINDOW seconds
+         */
+        getThroughput() {
+            const since = Date.now() - this.WINDOW * 1000;
+            const bytes = this.samples.reduce((sum, sample) => sample.time > since ? sum + sample.bytes : sum, 0);
+            return bytes / this.WINDOW;
+        }
+    };
+
+    /**
+     * Adaptive file chunk and row batch sizes
+     * Both start from Config.chunkSize and Config.batchSize, or from what the last migration from the same source
+     * ended with. A size grows by half after GROW_AFTER fast requests in a row, shrinks by a quarter after a slow
+     * one and halves on a timeout, a 413 or a memory error, staying within LIMITS (the settings' ranges). After
+     * such an error the size stays below three quarters of the size that failed for the rest of the run.
+     * Request times include throttling waits, so while a download limit is set only errors change the sizes.
+     */
+    const Tuner = {
+        LIMITS: {
+            chunk: [512 * 1024, 10 * 1024 * 1024],
+            batch: [100, 5000]
+        },
+        FAST_MS: 1000,
+        SLOW_MS: 10000,
+        GROW_AFTER: 3,
+
+        sizes: { chunk: 0, batch: 0 },
+        streaks: { chunk: 0, batch: 0 },
+        ceilings: { chunk: 0, batch: 0 },
+
+        /**
+         * Start from the configured sizes, or from tuned { chunk_size, batch_size }
+         */
+        reset(tuned = null) {
+            this.sizes.chunk = this.clamp('chunk', (tuned && tuned.chunk_size) || Config.chunkSize);
+            this.sizes.batch = this.clamp('batch', (tuned && tuned.batch_size) || Config.batchSize);
+            this.streaks = { chunk: 0, batch: 0 };
+            this.ceilings = { chunk: 0, batch: 0 };
+        },
+
+        /**
+         * Current size for 'chunk' (bytes) or 'batch' (rows)
+         */
+        get(key) {
+            if (!this.sizes[key]) {
+                this.reset();
+            }
+            return this.sizes[key];
+        },
+
+        /**
+         * Keep a size within its limits; chunks must also fit the destination's POST limit once base64-encoded
+         */
+        clamp(key, size) {
+            let [min, max] = this.LIMITS[key];
+            if (key === 'chunk' && Config.postMaxSize > 0) {
+                max = Math.max(min, Math.min(max, Math.floor(Config.postMaxSize * 0.7)));
+            }
+            if (this.ceilings[key]) {
+                max = Math.max(min, Math.min(max, Math.floor(this.ceilings[key] * 0.75)));
+            }
+            return Math.max(min, Math.min(max, Math.round(size)));
+        },
+
+        /**
+         * Adjust a size after a request that took `ms`
+         */
+        succeeded(key, ms) {
+            if (Config.bandwidthLimit > 0 || Config.requestsPerSecond > 0) return;
+
+            if (ms > this.SLOW_MS) {
+                this.resize(key, 0.75);
+            } else if (ms >= this.FAST_MS) {
+                this.streaks[key] = 0;
+            } else if (++this.streaks[key] >= this.GROW_AFTER) {
+                this.resize(key, 1.5);
+            }
+        },
+
+        /**
+         * Halve a size after a request that was too large, resolving whether it got any smaller
+         */
+        shrink(key) {
+            const failed = this.get(key);
+            this.ceilings[key] = this.ceilings[key] ? Math.min(this.ceilings[key], failed) : failed;
+            return this.resize(key, 0.5);
+        },
+
+        resize(key, factor) {
+            const previous = this.get(key);
+            this.sizes[key] = this.clamp(key, previous * factor);
+            this.streaks[key] = 0;
+
+            if (this.sizes[key] === previous) {
+                return false;
+            }
+            log('info', `${key === 'chunk' ? 'File chunk' : 'Row batch'} size ${factor > 1 ? 'increased' : 'reduced'} to ${this.sizes[key]}`);
+            return true;
+        },
+
+        /**
+         * Whether an error suggests the request was too large rather than unlucky
+         */
+        isSizeError(error) {
+            if (error && (error.status === 413 || error.status === 408 || error.status === 504)) {
+                return true;
+            }
+            const message = (error && (error.message || error.statusText)) || String(error);
+            return /timed? ?out|\b(408|413|504|524)\b|too large|memory|critical error/i.test(message);
+        }
+    };
+
+    /**
+     * API Handler with Retry Logic
+     * Manages communication with retry logic and exponential backoff
+     */
+    const API = {
+        /**
+         * Sleep for specified milliseconds
+         */
+        async sleep(ms) {
+            return new Promise(resolve => setTimeout(resolve, ms));
+        },
+
+        /**
+         * Calculate retry delay with exponential backoff
+         */
+        getRetryDelay(attempt) {
+            // Exponential backoff: 1s, 2s, 4s, 8s, 16s
+            return Math.min(1000 * Math.pow(2, attempt), 16000);
+        },
+
+        /**
+         * Make request with retry logic
+         * With a Tuner key ('chunk' or 'batch'), requestFn must read its size from the Tuner: request times tune it,
+         * and a request that looks too large is retried at half the size.
+         */
+        async requestWithRetry(requestFn, context = 'API Request', maxRetries = Config.maxRetries, tuned = null) {
+            let lastError;
+
+            for (let attempt = 0; attempt <= maxRetries; attempt++) {
+                try {
+                    if (attempt > 0) {
+                        const delay = this.getRetryDelay(attempt - 1);
+                        log('info', `Retrying ${context} (attempt ${attempt + 1}/${maxRetries + 1}) after ${delay}ms...`);
+                        await this.sleep(delay);
+                        MigrationState.incrementRetry();
+                    }
+
+                    const started = Date.now();
+                    const result = await requestFn();
+                    if (tuned) {
+                        Tuner.succeeded(tuned, Date.now() - started);
+                    }
+                    // Success - clear retry state
+                    return result;
+
+                } catch (error) {
+                    lastError = error;
+
+                    // Check if error is retryable, or worth retrying with a smaller request
+                    const resized = tuned !== null && Tuner.isSizeError(error) && Tuner.shrink(tuned);
+                    if (!resized && !this.isRetryableError(error)) {
+                        log('error', `Attempt ${attempt + 1} failed for ${context}:`, error);
+                        throw error;
+                    }
+
+                    MigrationState.recordError(error, context);
+                }
+            }
+
+            // All retries failed
+            throw new Error(`${context} failed after ${maxRetries + 1} attempts: ${lastError.message}`);
+        },
+
+        /**
+         * Check if error is retryable
+         */
+        isRetryableError(error) {
+            const retryablePatterns = [
+                /network/i,
+                /timeout/i,
+                /connection/i,
+                /ECONNREFUSED/i,
+                /ETIMEDOUT/i,
+                /5\d\d/, // Server errors
+                /fetch failed/i
+            ];
+
+            const errorMessage = error.message || String(error);
+
+            return retryablePatterns.some(pattern => pattern.test(errorMessage));
+        },
+
+        /**
+         * Make authenticated request to source API
+         * Throttled requests wait for the bandwidth and request rate limits and count toward them.
+         */
+        async request(endpoint, method = 'GET', data = null, secret = null, throttled = false) {
+            const response = await this.fetchSource(endpoint, method, data, secret, throttled);
+
+            if (!throttled) {
+                return response.json();
+            }
+
+            // Counted in bytes as downloaded, not in decoded characters
+            const body = await response.arrayBuffer();
+            Throttle.record(body.byteLength);
+            return JSON.parse(new TextDecoder().decode(body));
+        },
+
+        /**
+         * Send a request to the source API and resolve with the successful response
+         */
+        async fetchSource(endpoint, method, data, secret, throttled) {
+            const headers = {
+                'Content-Type': 'application/json',
+                'X-Migration-Secret': secret
+            };
+
+            const config = {
+                method: method,
+                headers: headers
+            };
+
+            if (data && method !== 'GET') {
+                config.body = JSON.stringify(data);
+            }
+
+            const url = MigrationState.sourceUrl.replace(/\/$/, '') + '/wp-json/simple-migrator/v1' + endpoint;
+
+            if (throttled) {
+                await Throttle.acquire();
+            }
+
+            const response = await fetch(url, config);
+
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({
+                    message: 'Unknown error'
+                }));
+                throw new Error(error.message || `HTTP ${response.status}`);
+            }
+
+            return response;
+        },
+
+        /**
+         * Test connection to source
+         */
+        async testConnection(sourceUrl, sourceSecret) {
+            return this.requestWithRetry(
+                async () => {
+                    const url = sourceUrl.replace(/\/$/, '') + '/wp-json/simple-migrator/v1/handshake';
+
+                    const response = await fetch(url, {
+                        method: 'POST',
+                        headers: {
+                            'Content-Type': 'application/json',
+                            'X-Migration-Secret': sourceSecret
+                        }
+                    });
+
+                    if (!response.ok) {
+                        log('error', 'Response status:', response.status);
+                        throw new Error('Connection failed');
+                    }
+
+                    return response.json();
+                },
+                'Testing connection'
+            );
+        },
+
+        /**
+         * Get file manifest from source, optionally with a content hash per file
+         * scope limits the scan to 'uploads' or to 'code' (plugins and themes).
+         */
+        async getManifest(withHashes = false, scope = 'all') {
+            const query = new URLSearchParams();
+            if (withHashes) query.set('hashes', '1');
+            if (scope !== 'all') query.set('scope', scope);
+            const endpoint = '/scan/manifest' + (query.toString() ? `?${query}` : '');
+
+            return this.requestWithRetry(
+                () => this.request(endpoint, 'GET', null, MigrationState.sourceSecret),
+                'Getting file manifest'
+            );
+        },
+
+        /**
+         * Get the size and MD5 of one source file, hashed on request
+         */
+        async getFileHash(path) {
+            return this.requestWithRetry(
+                () => this.request(`/scan/file-hash?${new URLSearchParams({ path: path })}`, 'GET', null, MigrationState.sourceSecret),
+                `Getting the hash of ${path}`
+            );
+        },
+
+        /**
+         * Get database info from source
+         */
+        async getDatabaseInfo() {
+            return this.requestWithRetry(
+                () => this.request('/scan/database', 'GET', null, MigrationState.sourceSecret),
+                'Getting database information'
+            );
+        },
+
+        /**
+         * Get source configuration
+         */
+        async getSourceInfo() {
+            return this.requestWithRetry(
+                () => this.request('/config/info', 'GET', null, MigrationState.sourceSecret),
+                'Getting source configuration'
+            );
+        },
+
+        /**
+         * Get table schema
+         */
+        async getTableSchema(table) {
+            return this.requestWithRetry(
+                () => {
+                    const params = new URLSearchParams({ table: table });
+                    return this.request(`/stream/schema?${params.toString()}`, 'GET', null, MigrationState.sourceSecret);
+                },
+                `Getting schema for table ${table}`
+            );
+        },
+
+        /**
+         * Get table rows
+         * Without a batch size, the Tuner's batch size is used and tuned. Batches come gzipped when the source
+         * offered it in the handshake; they then carry the bytes as received in `payload` (see requestRows()).
+         */
+        async getTableRows(table, offset = 0, batch = null, lastId = 0) {
+            return this.requestWithRetry(
+                () => {
+                    const params = new URLSearchParams({
+                        table: table,
+                        offset: offset,
+                        batch: batch !== null ? batch : Tuner.get('batch'),
+                        last_id: lastId
+                    });
+                    if (!MigrationState.sourceRowEncodings.includes('gzip') || typeof DecompressionStream !== 'function') {
+                        return this.request(`/stream/rows?${params.toString()}`, 'GET', null, MigrationState.sourceSecret, true);
+                    }
+                    params.set('encoding', 'gzip');
+                    return this.requestRows(`/stream/rows?${params.toString()}`);
+                },
+                `Getting rows from table ${table} (offset: ${offset})`,
+                Config.maxRetries,
+                batch !== null ? null : 'batch'
+            );
+        },
+
+        /**
+         * Download a compressed row batch
+         * The batch gets a `payload` of { body, encoding, size }: the bytes as downloaded, their encoding and the
+         * size of the JSON they hold.
+         */
+        async requestRows(endpoint) {
+            const response = await this.fetchSource(endpoint, 'GET', null, MigrationState.sourceSecret, true);
+            const body = new Uint8Array(await response.arrayBuffer());
+            Throttle.record(body.byteLength);
+
+            const encoding = response.headers.get('X-SM-Encoding') || 'identity';
+            const json = encoding === 'identity' ? body : await transcode(body, new DecompressionStream(encoding));
+
+            const data = JSON.parse(new TextDecoder().decode(json));
+            data.payload = { body: body, encoding: encoding, size: json.length };
+            return data;
+        },
+
+        /**
+         * Checksum a chunk of source table rows, starting after the key `after` (null for the first chunk,
+         * which also reports the row count)
+         * `replace` is { search_url, replace_url, rules } for tables the destination ran search & replace on.
+         */
+        async getRowChecksums(table, after, limit, replace = null) {
+            return this.requestWithRetry(
+                () => this.request('/verify/rows', 'POST', Object.assign({
+                    table: table,
+                    after: after,
+                    limit: limit
+                }, replace), MigrationState.sourceSecret),
+                `Checksumming rows of table ${table}`
+            );
+        },
+
+        /**
+         * Stream file chunk
+         * With `tuned`, `end` is only an upper bound: the chunk is the Tuner's chunk size, which is tuned.
+         */
+        async streamFile(path, start = 0, end = 0, tuned = false) {
+            return this.requestWithRetry(
+                () => {
+                    const params = new URLSearchParams({
+                        path: path,
+                        start: start,
+                        end: tuned ? Math.min(end, start + Tuner.get('chunk')) : end
+                    });
+                    const encoding = this.getDownloadEncoding();
+                    if (!encoding) {
+                        return this.request(`/stream/file?${params.toString()}`, 'GET', null, MigrationState.sourceSecret, true);
+                    }
+                    params.set('format', 'binary');
+                    params.set('encoding', encoding);
+                    return this.requestBinary(`/stream/file?${params.toString()}`);
+                },
+                `Streaming file ${path} (from byte ${start})`,
+                3, // Fewer retries for files
+                tuned ? 'chunk' : null
+            );
+        },
+
+        /**
+         * Encoding to download file chunks in, null to use JSON
+         * Raw chunks need a transport that can upload them. Gzip is asked for when the destination takes it as is
+         * or it can be decompressed here.
+         */
+        getDownloadEncoding() {
+            if (!Host.transport.upload || Config.binaryEncodings.length === 0) {
+                return null;
+            }
+
+            if (Config.binaryEncodings.includes('gzip') || typeof DecompressionStream === 'function') {
+                return 'gzip';
+            }
+
+            return 'identity';
+        },
+
+        /**
+         * Download a raw file chunk
+         * Resolves with { body, encoding, checksum, bytes_read, file_size, offset }; a source that predates raw
+         * chunks ignores the format and answers with the JSON chunk, which is returned instead.
+         */
+        async requestBinary(endpoint) {
+            const response = await this.fetchSource(endpoint, 'GET', null, MigrationState.sourceSecret, true);
+
+            if ((response.headers.get('Content-Type') || '').indexOf('application/octet-stream') !== 0) {
+                const json = await response.arrayBuffer();
+                Throttle.record(json.byteLength);
+                return JSON.parse(new TextDecoder().decode(json));
+            }
+
+            const body = new Uint8Array(await response.arrayBuffer());
+            Throttle.record(body.byteLength);
+
+            return {
+                body: body,
+                encoding: response.headers.get('X-SM-Encoding') || 'identity',
+                checksum: response.headers.get('X-SM-Checksum'),
+                bytes_read: parseInt(response.headers.get('X-SM-Bytes-Read'), 10),
+                file_size: parseInt(response.headers.get('X-SM-File-Size'), 10),
+                offset: parseInt(response.headers.get('X-SM-Offset'), 10)
+            };
+        },
+
+        /**
+         * Stream a batch of small files as a zip archive
+         */
+        async streamBatch(paths) {
+            return this.requestWithRetry(
+                // In the body: a hundred deep paths do not fit in a query string
+                () => this.request('/stream/batch', 'POST', { files: paths }, MigrationState.sourceSecret, true),
+                `Streaming batch of ${paths.length} files`,
+                3 // Fewer retries for files
+            );
+        }
+    };
+
+    /**
+     * Migration Orchestrator with Error Handling
+     * The main controller that coordinates the migration process
+     */
+    const Orchestrator = {
+        // Phases in the order they run
+        PHASES: ['scan', 'database', 'files', 'finalize', 'verify'],
+
+        /**
+         * Test the connection to the source and remember it for this migration
+         * The source URL is also recorded on the destination for search & replace and CORS tracking,
+         * unless `record` is false (dry runs).
+         */
+        async connect(sourceUrl, sourceSecret, record = true) {
+            const info = await API.testConnection(sourceUrl, sourceSecret);
+
+            MigrationState.sourceUrl = sourceUrl;
+            MigrationState.sourceSecret = sourceSecret;
+            MigrationState.sourceRowEncodings = info.row_encodings || [];
+
+            if (!record) {
+                return info;
+            }
+
+            Host.transport.post('sm_save_source_url', { source_url: info.site_url }).then(response => {
+                if (response.success) {
+                    log('info', 'Source URL saved for CORS and search & replace');
+                }
+            }).catch(error => {
+                log('warn', 'Could not save source URL:', error);
+            });
+
+            return info;
+        },
+
+        /**
+         * Start the migration process with the given options (see DEFAULT_OPTIONS)
+         * Resolves with the final phase ('complete' or 'cancelled'); rejects when the migration fails.
+         */
+        async start(options = {}) {
+            MigrationState.options = Object.assign({}, DEFAULT_OPTIONS, options);
+            MigrationState.stats.startTime = new Date().toISOString();
+            MigrationState.save();
+
+            await this.acquireCheckpoint();
+
+            return this.runPhases('scan');
+        },
+
+        /**
+         * Get the mode of the current migration (see MIGRATION_MODES)
+         */
+        getMode() {
+            return MIGRATION_MODES[MigrationState.options.mode] || MIGRATION_MODES.full;
+        },
+
+        /**
+         * Check whether the current migration mode includes a phase
+         */
+        runsPhase(phase) {
+            const mode = this.getMode();
+
+            if (phase === 'database') return mode.database;
+            if (phase === 'files') return mode.files !== null;
+            if (phase === 'verify') return MigrationState.options.verify;
+            return true;
+        },
+
+        /**
+         * Run the migration phases in order, starting at the given phase
+         */
+        async runPhases(fromPhase) {
+            const first = Math.max(0, this.PHASES.indexOf(fromPhase));
+            const completed = [];
+
+            await this.loadTuning();
+            const historyId = await this.saveHistory(0, 'running', completed);
+
+            try {
+                // Files that failed before an interruption get another chance first
+                if (MigrationState.failedFiles.length > 0) {
+                    Host.ui.updateStatus('files', `Retrying ${MigrationState.failedFiles.length} failed file(s)...`);
+                    await this.retryFailedFiles();
+                }
+
+                for (const phase of this.PHASES.slice(first)) {
+                    if (MigrationState.isCancelled) break;
+
+                    if (!this.runsPhase(phase)) {
+                        Host.ui.updateStatus(phase, phase === 'verify'
+                            ? 'Skipped (not requested)'
+                            : `Skipped (${this.getMode().label.toLowerCase()} migration)`);
+                        continue;
+                    }
+
+                    MigrationState.setPhase(phase);
+                    await this[`${phase}Phase`]();
+                    if (!MigrationState.isCancelled) completed.push(phase);
+                }
+            } catch (error) {
+                log('error', 'Migration error:', error);
+                MigrationState.setPhase('error');
+                MigrationState.stats.endTime = new Date().toISOString();
+                MigrationState.save(true);
+                await this.saveHistory(historyId, 'error', completed, error.message);
+                throw error;
+            } finally {
+                await this.saveTuning();
+            }
+
+            if (MigrationState.isCancelled) {
+                await this.saveHistory(historyId, 'cancelled', completed);
+                return 'cancelled';
+            }
+
+            MigrationState.stats.endTime = new Date().toISOString();
+            MigrationState.setPhase('complete');
+            await this.saveHistory(historyId, 'complete', completed);
+            await MigrationState.clearSaved();
+            if (MigrationState.failedFiles.length > 0) {
+                await MigrationState.saveFailedFiles();
+            }
+            return 'complete';
+        },
+
+        /**
+         * Record this attempt in the destination's migration history
+         * Resolves with the attempt's history id (0 when it could not be recorded); failures are only logged.
+         */
+        async saveHistory(historyId, status, phases, message = '') {
+            try {
+                const response = await Host.transport.post('sm_save_history', {
+                    history_id: historyId,
+                    migration_id: MigrationState.migrationId || '',
+                    source_url: MigrationState.sourceUrl,
+                    status: status,
+                    phases: phases,
+                    stats: MigrationState.stats,
+                    options: MigrationState.options,
+                    error: message
+                }, { json: true });
+                if (!response.success) {
+                    throw new Error(response.data || 'Failed to record the migration history');
+                }
+                return response.data.history_id;
+            } catch (error) {
+                log('warn', 'Could not record the migration history:', error);
+                return historyId;
+            }
+        },
+
+        /**
+         * Build a report of the current migration for attaching to support tickets
+         * Everything but the environments comes from the state, taken before the environments are asked for again
+         * (handshake and config/info on the source, sm_get_config on the destination) so retries of those requests
+         * stay out of it. An environment that cannot be reached is reported as null.
+         */
+        async buildReport() {
+            const stats = MigrationState.stats;
+            const options = MigrationState.options;
+
+            // Scanned counts come from the manifest, transferred ones from the stats
+            const directories = {};
+            const directory = name => directories[name] || (directories[name] = { directory: name, scanned: 0, transferred: 0, bytes: 0 });
+            if (MigrationState.manifest && Array.isArray(MigrationState.manifest.files)) {
+                MigrationState.manifest.files.forEach(file => directory(file.path.split('/')[0]).scanned++);
+            }
+            Object.keys(stats.directories).forEach(name => {
+                directory(name).transferred = stats.directories[name].files;
+                directory(name).bytes = stats.directories[name].bytes;
+            });
+
+            const mismatches = this.getMismatches();
+
+            const report = {
+                generatedAt: new Date().toISOString(),
+                migrationId: MigrationState.migrationId,
+                status: MigrationState.phase,
+                mode: this.getMode().label,
+                startTime: stats.startTime,
+                endTime: stats.endTime,
+                seconds: stats.startTime && stats.endTime ? (new Date(stats.endTime) - new Date(stats.startTime)) / 1000 : null,
+                source: {
+                    url: MigrationState.sourceUrl,
+                    tablePrefix: MigrationState.sourceTablePrefix,
+                    handshake: null,
+                    config: null
+                },
+                destination: null,
+                options: {
+                    mode: options.mode,
+                    syncFiles: options.syncFiles,
+                    deleteMissing: options.deleteMissing,
+                    tables: options.tables,
+                    searchReplaceRules: options.searchReplaceRules,
+                    reviewSearchReplace: options.reviewSearchReplace,
+                    searchReplaceExclude: options.searchReplaceExclude,
+                    verify: options.verify
+                },
+                totals: {
+                    rows: stats.rowsTransferred,
+                    rowBytes: stats.rowBytes,
+                    rowBytesTransferred: stats.rowBytesTransferred,
+                    files: stats.filesTransferred,
+                    filesSkipped: stats.filesSkipped,
+                    filesDeleted: stats.filesDeleted,
+                    filesFailed: MigrationState.failedFiles.length,
+                    filesSkippedAfterFailure: stats.skippedFiles.length,
+                    bytes: stats.bytesTransferred,
+                    retries: stats.retries,
+                    errors: stats.errors.length
+                },
+                tables: Object.keys(stats.tables).map(name => ({
+                    table: name,
+                    rows: stats.tables[name].rows,
+                    seconds: Math.round(stats.tables[name].seconds * 10) / 10
+                })),
+                directories: Object.values(directories).sort((a, b) => a.directory.localeCompare(b.directory)),
+                failedFiles: MigrationState.failedFiles.map(file => ({ path: file.path, message: file.message, attempts: file.attempts })),
+                skippedFiles: stats.skippedFiles.slice(),
+                searchReplace: {
+                    tables: stats.searchReplaceTables.slice(),
+                    rules: stats.searchReplaceRules.slice()
+                },
+                verification: MigrationState.verification && {
+                    tablesCompared: MigrationState.verification.tables.filter(table => table.status !== 'protected').length,
+                    filesChecked: MigrationState.verification.filesChecked,
+                    protectedTables: MigrationState.verification.tables.filter(table => table.status === 'protected').map(table => table.table),
+                    mismatchedTables: mismatches.tables.map(table => ({ table: table.table, status: table.status, sourceRows: table.sourceRows, destinationRows: table.destinationRows })),
+                    mismatchedFiles: mismatches.files.map(file => ({ path: file.path, status: file.status }))
+                },
+                retries: stats.errors.slice()
+            };
+
+            const fetchOrNull = (promise, what) => promise.catch(error => {
+                log('warn', `Could not read the ${what} for the report:`, error);
+                return null;
+            });
+
+            const [handshake, sourceConfig, destinationConfig] = await Promise.all([
+                fetchOrNull(API.testConnection(MigrationState.sourceUrl, MigrationState.sourceSecret), 'source handshake'),
+                fetchOrNull(API.getSourceInfo(), 'source configuration'),
+                fetchOrNull(this.getDestinationConfig(), 'destination configuration')
+            ]);
+
+            report.source.handshake = handshake;
+            report.source.config = sourceConfig;
+            if (destinationConfig) {
+                report.destination = {
+                    url: destinationConfig.home_url,
+                    tablePrefix: destinationConfig.table_prefix,
+                    environment: destinationConfig.environment || null,
+                    settings: destinationConfig.settings
+                };
+            }
+
+            return report;
+        },
+
+        /**
+         * Start the Tuner from the sizes the last migration from this source ended with, or from the settings
+         */
+        async loadTuning() {
+            let tuning = null;
+
+            try {
+                const config = await this.getDestinationConfig();
+                const sameSource = config.tuning && MigrationState.sourceUrl &&
+                    config.tuning.source_url.replace(/\/$/, '') === MigrationState.sourceUrl.replace(/\/$/, '');
+                tuning = sameSource ? config.tuning : null;
+            } catch (error) {
+                log('warn', 'Could not load the tuned transfer sizes:', error);
+            }
+
+            Tuner.reset(tuning);
+        },
+
+        /**
+         * Record the sizes the Tuner ended with for the next migration from this source
+         */
+        async saveTuning() {
+            if (!MigrationState.sourceUrl) return;
+
+            try {
+                const response = await Host.transport.post('sm_save_tuning', {
+                    source_url: MigrationState.sourceUrl,
+                    chunk_size: Tuner.get('chunk'),
+                    batch_size: Tuner.get('batch')
+                });
+                if (!response.success) {
+                    throw new Error(response.data || 'Failed to save the tuned transfer sizes');
+                }
+            } catch (error) {
+                log('warn', 'Could not save the tuned transfer sizes:', error);
+            }
+        },
+
+        /**
+         * Load the newest checkpoint for this destination
+         * The destination's record wins over the local one when it belongs to another migration or is newer.
+         * Resolves with the server checkpoint (or null); MigrationState.canResume tells whether anything can be resumed.
+         */
+        async loadCheckpoint() {
+            const hasResume = await MigrationState.load();
+
+            let checkpoint = null;
+            try {
+                checkpoint = await this.fetchCheckpoint();
+            } catch (error) {
+                log('warn', 'Could not load server checkpoint:', error);
+            }
+
+            if (checkpoint) {
+                const sameMigration = hasResume && checkpoint.migration_id === MigrationState.migrationId;
+                if (!sameMigration || checkpoint.updated_at * 1000 > MigrationState.updatedAt) {
+                    MigrationState.applyServerCheckpoint(checkpoint);
+                }
+            } else if (hasResume && MigrationState.migrationId) {
+                // Finished or discarded from another browser - the local copy is stale
+                Host.store.clear().catch(e => log('warn', 'Could not clear migration state:', e));
+                MigrationState.reset();
+            }
+
+            return checkpoint;
+        },
+
+        /**
+         * Resume interrupted migration, possibly one started from another browser
+         * Requires a connected source. The manifest comes from the checkpoint store and is only reloaded from source if missing.
+         * Resolves and rejects like start().
+         */
+        async resumeMigration() {
+            if (!MigrationState.canResume) {
+                throw new Error('No migration to resume.');
+            }
+
+            const resumePhase = MigrationState.resumePhase || 'scan';
+
+            MigrationState.isCancelled = false;
+            MigrationState.isPaused = false;
+
+            await this.acquireCheckpoint();
+
+            try {
+                // The resuming client may never have seen the source configuration
+                const sourceConfig = await API.getSourceInfo();
+                MigrationState.sourceTablePrefix = sourceConfig.table_prefix;
+            } catch (error) {
+                throw new Error(`Failed to reach the source: ${error.message}`);
+            }
+
+            // Reload manifest from source if the checkpoint store did not have it
+            if (this.runsPhase('files') && (!MigrationState.manifest || !Array.isArray(MigrationState.manifest.files))) {
+                Host.ui.updateStatus('scan', 'Reloading manifest from source...');
+                try {
+                    const manifest = await API.getManifest(MigrationState.options.syncFiles, this.getMode().files);
+                    MigrationState.manifest = manifest;
+                    MigrationState.totalFiles = manifest.files.length;
+                    MigrationState.saveManifest();
+                } catch (error) {
+                    throw new Error(`Failed to reload manifest from source: ${error.message}`);
+                }
+            }
+
+            return this.runPhases(resumePhase);
+        },
+
+        /**
+         * Build a migration plan without writing anything (dry run)
+         * Scans the source like the scan phase, asks the destination what it would do with each table
+         * and times a short probe against the source to estimate the duration.
+         * Takes the same options as start(). Without a table selection, chooseTables(tables) may pick
+         * the table names; otherwise all tables are planned.
+         */
+        async planMigration(options = {}, chooseTables = null) {
+            const settings = Object.assign({}, DEFAULT_OPTIONS, options);
+            const mode = MIGRATION_MODES[settings.mode] || MIGRATION_MODES.full;
+            const plan = {
+                mode: settings.mode,
+                label: mode.label,
+                sourceUrl: MigrationState.sourceUrl,
+                database: null,
+                files: null,
+                searchReplace: mode.database,
+                searchReplaceRules: mode.database ? settings.searchReplaceRules.length : 0,
+                verify: settings.verify,
+                probe: null,
+                estimatedSeconds: null
+            };
+
+            Host.ui.updateStatus('scan', 'Reading source configuration...');
+            const sourceConfig = await API.getSourceInfo();
+
+            if (mode.database) {
+                Host.ui.updateStatus('scan', 'Scanning database...');
+                const dbInfo = await API.getDatabaseInfo();
+                const selected = settings.tables === null && chooseTables ? await chooseTables(dbInfo.tables) : settings.tables;
+                const tables = this.filterTables(dbInfo.tables, selected);
+
+                Host.ui.updateStatus('scan', 'Checking destination tables...');
+                const destination = await this.planTables(tables, sourceConfig.table_prefix);
+                const planned = {};
+                destination.tables.forEach(table => {
+                    planned[table.source] = table;
+                });
+
+                plan.database = {
+                    tables: tables.map(table => Object.assign({}, table, {
+                        destination: planned[table.name] ? planned[table.name].table : table.name,
+                        action: planned[table.name] ? planned[table.name].action : 'invalid'
+                    })),
+                    rows: tables.reduce((sum, table) => sum + table.rows, 0),
+                    bytes: tables.reduce((sum, table) => sum + (table.data_size || 0), 0),
+                    protectedOptions: destination.protected_options,
+                    currentUser: destination.current_user,
+                    locked: destination.locked
+                };
+            }
+
+            if (mode.files !== null) {
+                Host.ui.updateStatus('scan', 'Scanning files...');
+                const manifest = await API.getManifest(settings.syncFiles, mode.files);
+                let transfer = manifest.files;
+                let removed = 0;
+
+                if (settings.syncFiles) {
+                    const unchanged = await this.findUnchangedFiles(manifest.files);
+                    transfer = manifest.files.filter(file => !unchanged.has(file.path));
+
+                    if (settings.deleteMissing) {
+                        const sourcePaths = new Set(manifest.files.map(file => file.path));
+                        removed = (await this.listDestinationFiles(mode.files)).filter(path => !sourcePaths.has(path)).length;
+                    }
+                }
+
+                plan.files = {
+                    total: manifest.files.length,
+                    transfer: transfer.length,
+                    bytes: transfer.reduce((sum, file) => sum + file.size, 0),
+                    unchanged: manifest.files.length - transfer.length,
+                    removed: removed,
+                    largest: transfer.slice().sort((a, b) => b.size - a.size).slice(0, 10)
+                        .map(file => ({ path: file.path, size: file.size }))
+                };
+            }
+
+            Host.ui.updateStatus('scan', 'Measuring transfer speed...');
+            plan.probe = await this.probeThroughput(plan);
+
+            let seconds = 0;
+            if (plan.database && plan.probe.rowsPerSecond) {
+                seconds += plan.database.rows / plan.probe.rowsPerSecond;
+            }
+            if (plan.files && plan.probe.bytesPerSecond) {
+                seconds += plan.files.bytes / plan.probe.bytesPerSecond;
+            }
+            plan.estimatedSeconds = Math.ceil(seconds);
+
+            Host.ui.updateStatus('scan', 'Plan ready');
+            return plan;
+        },
+
+        /**
+         * Time one row batch from the largest table and one chunk of the largest file
+         * Only reads from the source; destination write speed is not included.
+         */
+        async probeThroughput(plan) {
+            const probe = { rowsPerSecond: null, bytesPerSecond: null };
+
+            const table = plan.database && plan.database.tables.reduce((largest, candidate) =>
+                (!largest || candidate.rows > largest.rows ? candidate : largest), null);
+            if (table && table.rows > 0) {
+                const started = Date.now();
+                const data = await API.getTableRows(table.name, 0, Config.batchSize, 0);
+                probe.rowsPerSecond = data.count / Math.max((Date.now() - started) / 1000, 0.001);
+            }
+
+            const file = plan.files && plan.files.largest[0];
+            if (file && file.size > 0) {
+                const started = Date.now();
+                const data = await API.streamFile(file.path, 0, Math.min(file.size, Config.chunkSize));
+                probe.bytesPerSecond = data.bytes_read / Math.max((Date.now() - started) / 1000, 0.001);
+            }
+
+            return probe;
+        },
+
+        /**
+         * Register this run with the destination checkpoint, acquiring the migration lock
+         */
+        async acquireCheckpoint() {
+            const data = await this.saveCheckpoint(MigrationState.toCheckpoint());
+            MigrationState.migrationId = data.migration_id;
+            MigrationState.lastServerSync = Date.now();
+            await MigrationState.save();
+        },
+
+        /**
+         * Save checkpoint on the destination
+         */
+        async saveCheckpoint(checkpoint) {
+            const response = await Host.transport.post('sm_save_checkpoint', {
+                checkpoint: JSON.stringify(checkpoint)
+            });
+
+            if (!response.success) {
+                throw new Error(response.data || 'Failed to save migration checkpoint');
+            }
+
+            return response.data;
+        },
+
+        /**
+         * Fetch the checkpoint recorded on the destination (null when there is none)
+         */
+        async fetchCheckpoint() {
+            const response = await Host.transport.post('sm_get_checkpoint');
+
+            if (!response.success) {
+                throw new Error(response.data || 'Failed to load migration checkpoint');
+            }
+
+            return response.data.checkpoint;
+        },
+
+        /**
+         * Clear the destination checkpoint and release the migration lock
+         */
+        async clearCheckpoint(migrationId) {
+            const response = await Host.transport.post('sm_clear_checkpoint', {
+                migration_id: migrationId
+            });
+
+            if (!response.success) {
+                throw new Error(response.data || 'Failed to clear migration checkpoint');
+            }
+
+            return response;
+        },
+
+        /**
+         * Scan Phase: Gather information about source
+         */
+        async scanPhase() {
+            try {
+                Host.ui.updateStatus('scan', 'Connecting to source...');
+
+                // Get source configuration
+                const sourceConfig = await API.getSourceInfo();
+                MigrationState.sourceTablePrefix = sourceConfig.table_prefix;
+
+                const found = [];
+
+                if (this.runsPhase('files')) {
+                    Host.ui.updateStatus('scan', 'Scanning files...');
+
+                    // Get file manifest
+                    const manifest = await API.getManifest(MigrationState.options.syncFiles, this.getMode().files);
+                    MigrationState.manifest = manifest;
+                    MigrationState.saveManifest();
+                    found.push(`${manifest.total_count} files`);
+                }
+
+                if (this.runsPhase('database')) {
+                    Host.ui.updateStatus('scan', 'Scanning database...');
+
+                    // Get database info
+                    const dbInfo = await API.getDatabaseInfo();
+                    MigrationState.totalTables = dbInfo.total_tables;
+                    found.push(`${dbInfo.total_tables} tables`);
+                }
+
+                Host.ui.updateProgress('scan', 100, `Scan complete: ${found.join(', ')}`);
+                MigrationState.setPhase('scan_complete');
+            } catch (error) {
+                throw new Error(`Scan phase failed: ${error.message}`);
+            }
+        },
+
+        /**
+         * Database Phase: Transfer database tables
+         */
+        async databasePhase() {
+            try {
+                // Get source configuration if not already set
+                if (!MigrationState.sourceTablePrefix) {
+                    const sourceConfig = await API.getSourceInfo();
+                    MigrationState.sourceTablePrefix = sourceConfig.table_prefix;
+                }
+
+                // Get destination configuration
+                const destConfig = await this.getDestinationConfig();
+
+                // Get database info from source
+                const dbInfo = await API.getDatabaseInfo();
+
+                // Check if we're resuming
+                const startTable = MigrationState.currentTable || 0;
+
+                // Let the user leave tables out; the choice is kept in the checkpoint for resuming
+                if (MigrationState.options.tables === null && startTable === 0) {
+                    Host.ui.updateStatus('database', 'Choose the tables to migrate...');
+                    const chosen = await Host.ui.selectTables(dbInfo.tables);
+                    if (MigrationState.isCancelled) return;
+                    MigrationState.options.tables = chosen;
+                    MigrationState.save(true);
+                }
+
+                const tables = this.filterTables(dbInfo.tables, MigrationState.options.tables);
+                MigrationState.totalTables = tables.length;
+
+                if (tables.length === 0) {
+                    Host.ui.updateProgress('database', 100, 'No tables selected, database left unchanged');
+                    return;
+                }
+
+                // Prepare database (drop existing tables if needed)
+                if (startTable === 0) {
+                    const overwrite = await Host.ui.confirm(`This will overwrite ${tables.length} existing database table(s). Continue?`);
+                    if (overwrite) {
+                        Host.ui.updateStatus('database', 'Preparing database...');
+                        await this.prepareDatabase(tables, overwrite);
+                    } else {
+                        throw new Error('Migration cancelled by user');
+                    }
+                }
+
+                // Process each table
+                for (let i = startTable; i < tables.length; i++) {
+                    if (MigrationState.isCancelled) break;
+
+                    // Check for pause
+                    while (MigrationState.isPaused) {
+                        await new Promise(resolve => setTimeout(resolve, 100));
+                        if (MigrationState.isCancelled) return;
+                    }
+
+                    const table = tables[i];
+                    MigrationState.currentTable = i;
+
+                    const cursor = MigrationState.getTableCursor(table.name);
+                    if (cursor.done) continue;
+
+                    const tableStarted = Date.now();
+
+                    // Create the table unless rows were already copied into it
+                    if (cursor.rows === 0 && cursor.lastId === 0) {
+                        Host.ui.updateStatus('database', `Creating table ${table.name} (${i + 1}/${tables.length})`);
+
+                        // Get schema from source (use full table name with prefix)
+                        const schema = await API.getTableSchema(table.name);
+                        MigrationState.tableSchemas[table.name] = schema.schema;
+
+                        // Create table on destination
+                        await this.createTable(table.name, schema.schema, MigrationState.sourceTablePrefix);
+                    }
+
+                    Host.ui.updateStatus('database', `Transferring data from ${table.name} (${i + 1}/${tables.length})`);
+
+                    // Transfer rows in batches
+                    let totalRows = cursor.rows;
+
+                    await this.copyTableRows(table.name, cursor.lastId, (count, lastId, hasMore) => {
+                        totalRows += count;
+                        MigrationState.setTableCursor(table.name, { rows: totalRows, lastId: lastId, done: !hasMore });
+
+                        // Update progress
+                        const progress = tables.length > 0
+                            ? ((i + (table.rows > 0 ? totalRows / table.rows : 1)) / tables.length) * 100
+                            : 0;
+                        Host.ui.updateProgress('database', progress, `Transferred ${totalRows}/${table.rows} rows from ${table.name}`);
+
+                        // The rows are on the destination now, so the cursor is saved with every batch; a resume from an
+                        // older cursor would insert them again. Pausing or cancelling is a likely last save before the
+                        // page closes, so it also reaches the server checkpoint right away.
+                        MigrationState.save(MigrationState.isPaused || MigrationState.isCancelled);
+                    });
+
+                    // Time spent before an interruption is kept, so a resumed table adds to it
+                    const tableStats = MigrationState.stats.tables[table.name] || { rows: 0, seconds: 0 };
+                    MigrationState.stats.tables[table.name] = {
+                        rows: totalRows,
+                        seconds: tableStats.seconds + (Date.now() - tableStarted) / 1000
+                    };
+                }
+
+                if (!MigrationState.isCancelled) {
+                    Host.ui.updateProgress('database', 100, 'Database transfer complete');
+
+                    // Restore preserved settings (admin, options) after database phase
+                    Host.ui.updateStatus('database', 'Restoring preserved settings...');
+                    await this.finalizeMigration();
+                }
+            } catch (error) {
+                throw new Error(`Database phase failed: ${error.message}`);
+            }
+        },
+
+        /**
+         * Copy a table's rows from the source in keyset batches, starting after lastId
+         * Up to Config.prefetchDepth batches are fetched while the current one is written. Batches are still written
+         * in cursor order and onBatch(count, lastId, hasMore) runs after each write, so the cursor never passes rows
+         * the destination does not have; prefetched batches are dropped on cancel. Resolves early when cancelled.
+         */
+        async copyTableRows(tableName, lastId, onBatch) {
+            let prefetch = this.prefetchTableRows(tableName, lastId);
+            let hasMore = true;
+            MigrationState.activeTable = tableName;
+
+            try {
+                while (hasMore && !MigrationState.isCancelled) {
+                    const data = await prefetch.next();
+
+                    // Check for pause
+                    while (MigrationState.isPaused) {
+                        await new Promise(resolve => setTimeout(resolve, Config.pauseCheckInterval));
+                        if (MigrationState.isCancelled) return;
+                    }
+                    if (!data || MigrationState.isCancelled) return;
+
+                    // cancel() waits for this, as the destination writes a batch it was sent even when cancelled
+                    let written;
+                    MigrationState.rowWrite = new Promise(resolve => { written = resolve; });
+
+                    try {
+                        // Process rows (send to destination); a batch it cannot take is fetched again in a smaller size,
+                        // and so is everything prefetched after it
+                        try {
+                            await this.processTableRows(tableName, data.rows, MigrationState.sourceTablePrefix, data.payload);
+                        } catch (error) {
+                            if (!Tuner.isSizeError(error) || !Tuner.shrink('batch')) throw error;
+                            prefetch.stop();
+                            prefetch = this.prefetchTableRows(tableName, lastId);
+                            continue;
+                        }
+
+                        MigrationState.stats.rowsTransferred += data.count;
+                        if (data.payload) {
+                            MigrationState.stats.rowBytes += data.payload.size;
+                            MigrationState.stats.rowBytesTransferred += data.payload.body.length;
+                        }
+                        hasMore = data.has_more;
+                        lastId = data.next_id;
+                        onBatch(data.count, lastId, hasMore);
+                    } finally {
+                        written();
+                    }
+                }
+            } finally {
+                prefetch.stop();
+                MigrationState.activeTable = null;
+                MigrationState.rowWrite = null;
+            }
+        },
+
+        /**
+         * Fetch a table's row batches ahead of the writer, starting after lastId
+         * next() resolves with the batches in cursor order, or null once the table is exhausted, the prefetch is
+         * stopped or the migration is cancelled; it rejects when a fetch fails. Each fetch starts when the one before
+         * it returns its next_id, at most Config.prefetchDepth batches beyond the one taken last, and waits while the
+         * migration is paused.
+         */
+        prefetchTableRows(tableName, lastId) {
+            const queue = [];
+            let tail = Promise.resolve({ has_more: true, next_id: lastId });
+            let stopped = false;
+
+            const fetchAfter = async (previous) => {
+                if (!previous || !previous.has_more) return null;
+
+                while (MigrationState.isPaused && !MigrationState.isCancelled && !stopped) {
+                    await new Promise(resolve => setTimeout(resolve, Config.pauseCheckInterval));
+                }
+                if (MigrationState.isCancelled || stopped) return null;
+
+                return API.getTableRows(
+                    tableName,  // Use full table name with prefix
+                    0, // Using keyset pagination, offset not needed
+                    null, // Tuned batch size
+                    previous.next_id
+                );
+            };
+
+            const fill = (length) => {
+                while (!stopped && queue.length < length) {
+                    tail = tail.then(fetchAfter);
+                    tail.catch(() => {}); // Reported by next()
+                    queue.push(tail);
+                }
+            };
+
+            return {
+                next() {
+                    fill(1);
+                    const batch = queue.shift();
+                    fill(Config.prefetchDepth);
+                    return batch || Promise.resolve(null);
+                },
+                stop() {
+                    stopped = true;
+                }
+            };
+        },
+
+        /**
+         * Files Phase: Transfer files
+         * Runs a pool of Config.parallelTransfers workers pulling from a shared queue.
+         * Small files travel as zip batches; files above the batch threshold are streamed in chunks.
+         */
+        async filesPhase() {
+            try {
+                const manifest = MigrationState.manifest;
+                if (!manifest || !Array.isArray(manifest.files)) {
+                    throw new Error('File manifest is missing or invalid. Please restart the migration.');
+                }
+                const files = manifest.files;
+
+                // Check if we're resuming - currentFileIndex is the point below which every file is done
+                const startFile = MigrationState.currentFileIndex || 0;
+                const completed = MigrationState.completedFiles;
+
+                MigrationState.totalFiles = files.length;
+
+                // Incremental sync: files the destination already has are left untouched
+                const unchanged = MigrationState.options.syncFiles
+                    ? await this.findUnchangedFiles(files.slice(startFile).filter(file => !completed.has(file.path)))
+                    : new Set();
+
+                const queue = this.buildTransferQueue(manifest, startFile);
+                let nextUnit = 0;
+                let processed = startFile;
+                const finished = new Set();
+
+                // Advance the resume checkpoint past every contiguous finished file
+                const markFinished = (index) => {
+                    finished.add(index);
+                    while (finished.has(MigrationState.currentFileIndex)) {
+                        finished.delete(MigrationState.currentFileIndex);
+                        MigrationState.currentFileIndex++;
+                    }
+
+                    processed++;
+
+                    // Save state periodically
+                    if (processed % 10 === 0) {
+                        MigrationState.save();
+                    }
+
+                    const progress = (processed / files.length) * 100;
+                    Host.ui.updateProgress('files', progress, `Transferred ${processed}/${files.length} files`);
+                };
+
+                const markCompleted = (index) => {
+                    const file = files[index];
+                    MigrationState.markFileCompleted(file.path);
+                    MigrationState.countFileTransferred(file.path, file.size);
+                    MigrationState.removeFailedFile(file.path);
+                    markFinished(index);
+                };
+
+                // Stream one file in chunks, reporting whether the worker should keep going. A file that fails
+                // goes to the failed-files queue and the phase carries on without it.
+                const transferSingle = async (index) => {
+                    const file = files[index];
+                    try {
+                        await this.transferFile(file.path, file.size, file.hash);
+                        if (MigrationState.isCancelled) return false;
+                        markCompleted(index);
+                    } catch (error) {
+                        if (MigrationState.isCancelled) return false;
+                        log('error', { file: file.path }, 'Transfer failed, queued for a retry:', error);
+                        MigrationState.addFailedFile(file, error);
+                        markFinished(index);
+                    }
+                    return true;
+                };
+
+                MigrationState.currentFileIndex = startFile;
+
+                const worker = async () => {
+                    while (!MigrationState.isCancelled) {
+                        // Check for pause
+                        while (MigrationState.isPaused) {
+                            await new Promise(resolve => setTimeout(resolve, Config.pauseCheckInterval));
+                            if (MigrationState.isCancelled) return;
+                        }
+
+                        const unit = queue[nextUnit++];
+                        if (!unit) return;
+
+                        // Skip already completed and unchanged files
+                        const pending = [];
+                        for (const index of unit.indices) {
+                            const path = files[index].path;
+                            if (unchanged.has(path)) {
+                                MigrationState.markFileCompleted(path);
+                                MigrationState.stats.filesSkipped++;
+                                markFinished(index);
+                            } else if (completed.has(path)) {
+                                markFinished(index);
+                            } else {
+                                pending.push(index);
+                            }
+                        }
+
+                        if (pending.length === 0) continue;
+
+                        if (!unit.batched) {
+                            const file = files[pending[0]];
+                            Host.ui.updateStatus('files', `Transferring ${file.name} (${pending[0] + 1}/${files.length})`);
+                            if (!await transferSingle(pending[0])) return;
+                            continue;
+                        }
+
+                        Host.ui.updateStatus('files', `Transferring batch of ${pending.length} files (${pending[0] + 1}/${files.length})`);
+
+                        // A failed batch leaves each of its files to chunked streaming
+                        let extracted;
+                        try {
+                            extracted = await this.transferBatch(pending.map(index => files[index].path));
+                            if (MigrationState.isCancelled) return;
+                        } catch (error) {
+                            if (MigrationState.isCancelled) return;
+                            log('warn', `Batch of ${pending.length} files starting at ${files[pending[0]].path} failed, sending them one by one:`, error);
+                            extracted = new Set();
+                        }
+
+                        // Anything the batch did not deliver gets a second chance through chunked streaming
+                        for (const index of pending) {
+                            if (extracted.has(files[index].path)) {
+                                markCompleted(index);
+                            } else if (!await transferSingle(index)) {
+                                return;
+                            }
+                        }
+                    }
+                };
+
+                const workerCount = Math.max(1, Math.min(Config.parallelTransfers, queue.length));
+                await Promise.all(Array.from({ length: workerCount }, () => worker()));
+
+                MigrationState.save();
+
+                if (!MigrationState.isCancelled && MigrationState.options.syncFiles && MigrationState.options.deleteMissing) {
+                    await this.deleteMissingFiles(files);
+                }
+
+                if (!MigrationState.isCancelled) {
+                    const failed = MigrationState.failedFiles.length;
+                    Host.ui.updateProgress('files', 100, failed > 0
+                        ? `File transfer complete, ${failed} file(s) failed and can be retried`
+                        : 'File transfer complete');
+                }
+            } catch (error) {
+                throw new Error(`Files phase failed: ${error.message}`);
+            }
+        },
+
+        /**
+         * Ask the destination which files already match the source (incremental sync)
+         * A file is unchanged when size and content hash both match; files without a source hash are always transferred.
+         */
+        async findUnchangedFiles(files) {
+            const unchanged = new Set();
+            const candidates = files.filter(file => file.hash);
+
+            for (let i = 0; i < candidates.length && !MigrationState.isCancelled; i += Config.fileSyncBatch) {
+                const batch = candidates.slice(i, i + Config.fileSyncBatch);
+                Host.ui.updateStatus('files', `Comparing with destination files (${i + batch.length}/${candidates.length})`);
+
+                const destination = await this.getDestinationFileHashes(batch.map(file => ({ path: file.path, size: file.size })));
+                for (const file of batch) {
+                    const info = destination[file.path];
+                    if (info && info.size === file.size && info.hash === file.hash) {
+                        unchanged.add(file.path);
+                    }
+                }
+            }
+
+            return unchanged;
+        },
+
+        /**
+         * Delete destination files that are not in the source manifest (incremental sync)
+         */
+        async deleteMissingFiles(files) {
+            Host.ui.updateStatus('files', 'Looking for files removed on the source...');
+
+            const sourcePaths = new Set(files.map(file => file.path));
+            const missing = (await this.listDestinationFiles(this.getMode().files)).filter(path => !sourcePaths.has(path));
+
+            for (let i = 0; i < missing.length && !MigrationState.isCancelled; i += Config.fileSyncBatch) {
+                const batch = missing.slice(i, i + Config.fileSyncBatch);
+                Host.ui.updateStatus('files', `Deleting files removed on the source (${i + batch.length}/${missing.length})`);
+
+                const result = await this.deleteDestinationFiles(batch);
+                MigrationState.stats.filesDeleted += result.deleted.length;
+                result.failed.forEach(path => log('warn', `Could not delete ${path} on the destination`));
+            }
+
+            MigrationState.save();
+        },
+
+        /**
+         * Build the files phase work queue from the manifest
+         * Each unit is either a zip batch of small files or a single chunk-streamed file,
+         * ordered by manifest position so the resume checkpoint advances steadily.
+         * Sources without `file_batches` get one unit per file.
+         */
+        buildTransferQueue(manifest, startFile = 0) {
+            const files = manifest.files;
+            const indexByPath = new Map();
+            files.forEach((file, index) => indexByPath.set(file.path, index));
+
+            const units = [];
+            const batchedIndices = new Set();
+
+            if (Array.isArray(manifest.file_batches)) {
+                for (const batch of manifest.file_batches) {
+                    const indices = batch
+                        .map(path => indexByPath.get(path))
+                        .filter(index => index !== undefined && index >= startFile);
+
+                    if (indices.length > 0) {
+                        indices.forEach(index => batchedIndices.add(index));
+                        units.push({ batched: true, indices: indices });
+                    }
+                }
+            }
+
+            for (let i = startFile; i < files.length; i++) {
+                if (!batchedIndices.has(i)) {
+                    units.push({ batched: false, indices: [i] });
+                }
+            }
+
+            return units.sort((a, b) => a.indices[0] - b.indices[0]);
+        },
+
+        /**
+         * Transfer a batch of small files as a single zip archive
+         * Returns the set of paths the destination reported as extracted
+         */
+        async transferBatch(paths) {
+            const batch = await API.streamBatch(paths);
+            if (!batch.file_count) {
+                return new Set();
+            }
+
+            const result = await this.extractBatch(batch);
+
+            return new Set(Array.isArray(result.data.files) ? result.data.files : []);
+        },
+
+        /**
+         * Transfer a single file in chunks
+         * Always restarts from byte 0 so an interrupted file is rewritten rather than appended to.
+         * A file sent in more than one chunk is compared with the source's hash once finished and downloaded
+         * again if it differs; without a hash from the manifest, the source hashes it on request.
+         */
+        async transferFile(filePath, fileSize, fileHash = null) {
+            for (let attempt = 1; ; attempt++) {
+                const chunks = await this.streamFileChunks(filePath, fileSize);
+                if (MigrationState.isCancelled) return;
+
+                // A single chunk was already checked against its own checksum
+                if (!fileHash) {
+                    if (chunks <= 1) return;
+                    fileHash = (await API.getFileHash(filePath)).hash;
+                }
+
+                // Chunks are checked one by one; this catches a file assembled wrongly or changed mid-transfer
+                const destination = await this.getDestinationFileHashes([{ path: filePath, size: fileSize }]);
+                if (this.compareFile({ size: fileSize, hash: fileHash }, destination[filePath]) === 'match') return;
+
+                if (attempt >= Config.maxRetries) {
+                    throw new Error(`${filePath} does not match the source after ${attempt} attempts`);
+                }
+                MigrationState.incrementRetry();
+            }
+        },
+
+        /**
+         * Stream a file to the destination chunk by chunk, each written at its own offset
+         * An empty file still gets one empty chunk, which creates it. Returns the number of chunks written.
+         */
+        async streamFileChunks(filePath, fileSize) {
+            let offset = 0;
+            let chunks = 0;
+
+            while ((chunks === 0 || offset < fileSize) && !MigrationState.isCancelled) {
+                // Check for pause
+                while (MigrationState.isPaused) {
+                    await new Promise(resolve => setTimeout(resolve, Config.pauseCheckInterval));
+                    if (MigrationState.isCancelled) return chunks;
+                }
+
+                const chunk = await API.streamFile(filePath, offset, fileSize, true);
+
+                // Send chunk to destination; one it cannot take is fetched again in a smaller size
+                try {
+                    await this.writeFileChunk(filePath, chunk, offset);
+                } catch (error) {
+                    if (!Tuner.isSizeError(error) || !Tuner.shrink('chunk')) throw error;
+                    continue;
+                }
+
+                offset += chunk.bytes_read;
+                chunks++;
+            }
+
+            return chunks;
+        },
+
+        /**
+         * Finalize Phase: Search & Replace, flush permalinks
+         */
+        async finalizePhase() {
+            try {
+                // URLs only need rewriting in a migrated database
+                if (this.runsPhase('database')) {
+                    await this.performSearchReplace();
+                    if (MigrationState.isCancelled) return;
+                }
+
+                Host.ui.updateStatus('finalize', 'Flushing permalinks...');
+
+                // Flush permalinks
+                await this.flushPermalinks();
+
+                Host.ui.updateProgress('finalize', 100, 'Finalization complete');
+            } catch (error) {
+                throw new Error(`Finalize phase failed: ${error.message}`);
+            }
+        },
+
+        /**
+         * Verify Phase: compare what was migrated with the source, changing nothing
+         * Results go to MigrationState.verification; getMismatches() lists what can be re-transferred.
+         */
+        async verifyPhase() {
+            try {
+                MigrationState.verification = { tables: [], files: [], filesChecked: 0 };
+
+                if (this.runsPhase('database')) {
+                    await this.verifyTables();
+                    if (MigrationState.isCancelled) return;
+                }
+
+                if (this.runsPhase('files')) {
+                    await this.verifyFiles();
+                    if (MigrationState.isCancelled) return;
+                }
+
+                const mismatches = this.getMismatches();
+                const count = mismatches.tables.length + mismatches.files.length;
+                Host.ui.updateProgress('verify', 100, count === 0
+                    ? 'Verification passed: the destination matches the source'
+                    : `Verification found ${mismatches.tables.length} table(s) and ${mismatches.files.length} file(s) that differ`);
+            } catch (error) {
+                throw new Error(`Verify phase failed: ${error.message}`);
+            }
+        },
+
+        /**
+         * Compare every migrated table with the source
+         */
+        async verifyTables() {
+            const dbInfo = await API.getDatabaseInfo();
+            const tables = this.filterTables(dbInfo.tables, MigrationState.options.tables);
+            const replace = await this.getVerifyReplacement();
+            const share = this.runsPhase('files') ? 50 : 100;
+
+            for (let i = 0; i < tables.length; i++) {
+                Host.ui.updateProgress('verify', (i / tables.length) * share, `Comparing table ${tables[i].name} (${i + 1}/${tables.length})`);
+
+                const result = await this.verifyTable(tables[i].name, replace);
+                if (MigrationState.isCancelled) return;
+
+                MigrationState.verification.tables.push(result);
+            }
+        },
+
+        /**
+         * Compare one migrated table with the source
+         * Row counts are compared, then checksums of key-ordered chunks of Config.batchSize rows; tables without
+         * a single-column primary key are compared by row count only.
+         * Resolves with { table, status, sourceRows, destinationRows, chunks, ranges }. status is 'match', 'mismatch',
+         * 'missing' (not on the destination) or 'protected' (the destination keeps rows of its own, so nothing is
+         * compared). chunks counts the chunks whose rows differ; ranges lists the key ranges { after, until } of the
+         * first VERIFY_RANGES of them, null ends being open.
+         */
+        async verifyTable(tableName, replace) {
+            const prefix = MigrationState.sourceTablePrefix;
+            const unprefixed = tableName.startsWith(prefix) ? tableName.slice(prefix.length) : null;
+            const replaced = unprefixed !== null && !MigrationState.options.searchReplaceExclude.includes(unprefixed);
+            const result = { table: tableName, status: 'match', sourceRows: 0, destinationRows: 0, chunks: 0, ranges: [] };
+
+            let after = null;
+            let done = false;
+
+            while (!done) {
+                // Check for pause
+                while (MigrationState.isPaused) {
+                    await new Promise(resolve => setTimeout(resolve, 100));
+                    if (MigrationState.isCancelled) return result;
+                }
+                if (MigrationState.isCancelled) return result;
+
+                const source = await API.getRowChecksums(tableName, after, Config.batchSize, replaced ? replace : null);
+                const until = source.done ? null : source.last_key;
+                const destination = await this.getDestinationRowChecksums(tableName, after, until);
+
+                if (after === null) {
+                    result.sourceRows = source.total;
+                    result.destinationRows = destination.total || 0;
+
+                    if (!destination.exists || destination.protected) {
+                        result.status = destination.exists ? 'protected' : 'missing';
+                        return result;
+                    }
+                    if (source.total !== destination.total) {
+                        result.status = 'mismatch';
+                    }
+                }
+
+                if (source.checksum !== destination.checksum) {
+                    result.status = 'mismatch';
+                    result.chunks++;
+                    if (result.ranges.length < VERIFY_RANGES) {
+                        result.ranges.push({ after: after, until: until });
+                    }
+                }
+
+                done = source.done;
+                after = source.last_key;
+            }
+
+            return result;
+        },
+
+        /**
+         * Compare the destination files with the source manifest by size and content hash
+         * Rescans the source with hashes when the manifest was built without them. Only files that differ are listed.
+         */
+        async verifyFiles() {
+            let manifest = MigrationState.manifest;
+            if (!manifest || !Array.isArray(manifest.files) || manifest.files.some(file => !file.hash)) {
+                Host.ui.updateStatus('verify', 'Hashing source files...');
+                manifest = await API.getManifest(true, this.getMode().files);
+            }
+
+            const files = manifest.files;
+            const start = this.runsPhase('database') ? 50 : 0;
+
+            for (let i = 0; i < files.length && !MigrationState.isCancelled; i += Config.fileSyncBatch) {
+                // Check for pause
+                while (MigrationState.isPaused) {
+                    await new Promise(resolve => setTimeout(resolve, 100));
+                    if (MigrationState.isCancelled) return;
+                }
+
+                const batch = files.slice(i, i + Config.fileSyncBatch);
+                Host.ui.updateProgress('verify', start + (i / files.length) * (100 - start), `Comparing files (${i + batch.length}/${files.length})`);
+
+                const destination = await this.getDestinationFileHashes(batch.map(file => ({ path: file.path, size: file.size })));
+                for (const file of batch) {
+                    const status = this.compareFile(file, destination[file.path]);
+                    if (status !== 'match') {
+                        MigrationState.verification.files.push({ path: file.path, size: file.size, hash: file.hash, status: status });
+                    }
+                }
+                MigrationState.verification.filesChecked += batch.length;
+            }
+        },
+
+        /**
+         * Compare a manifest entry with the destination's size and hash: 'match', 'missing', 'size' or 'hash'
+         */
+        compareFile(file, info) {
+            if (!info) return 'missing';
+            if (info.size !== file.size) return 'size';
+            return info.hash === file.hash ? 'match' : 'hash';
+        },
+
+        /**
+         * The search & replace the destination ran, for the source to apply before checksumming
+         */
+        async getVerifyReplacement() {
+            const config = await this.getDestinationConfig();
+
+            return {
+                search_url: config.source_url,
+                replace_url: config.home_url,
+                rules: MigrationState.options.searchReplaceRules.map(ruleToServer)
+            };
+        },
+
+        /**
+         * Tables and files the verify phase found different on the destination (missing ones included)
+         */
+        getMismatches() {
+            const verification = MigrationState.verification || { tables: [], files: [] };
+
+            return {
+                tables: verification.tables.filter(table => table.status === 'mismatch' || table.status === 'missing'),
+                files: verification.files.filter(file => file.status !== 'match')
+            };
+        },
+
+        /**
+         * Copy a table again after verification found it different, then compare it again
+         * Recreates the destination table, copies every row and, unless the table is excluded, reruns
+         * search & replace on it. Resolves with the new comparison, which replaces the table's verification entry.
+         */
+        async retransferTable(tableName) {
+            const verification = MigrationState.verification;
+            const index = verification ? verification.tables.findIndex(table => table.table === tableName) : -1;
+            if (index === -1) {
+                throw new Error(`${tableName} is not in the verification results`);
+            }
+
+            const previous = verification.tables[index];
+            if (previous.status === 'protected') {
+                throw new Error(`${tableName} is protected: the destination keeps its own rows`);
+            }
+
+            const prefix = MigrationState.sourceTablePrefix;
+            Host.ui.updateStatus('verify', `Re-transferring ${tableName}...`);
+
+            const schema = await API.getTableSchema(tableName);
+            if (previous.status !== 'missing') {
+                const config = await this.getDestinationConfig();
+                await this.dropTable(tableName.startsWith(prefix) ? config.table_prefix + tableName.slice(prefix.length) : tableName);
+            }
+            await this.createTable(tableName, schema.schema, prefix);
+
+            let rows = 0;
+            await this.copyTableRows(tableName, 0, count => {
+                rows += count;
+                Host.ui.updateStatus('verify', `Re-transferring ${tableName}: ${rows}/${previous.sourceRows} rows`);
+            });
+            if (MigrationState.isCancelled) return previous;
+
+            const unprefixed = tableName.startsWith(prefix) ? tableName.slice(prefix.length) : null;
+            if (unprefixed !== null && !MigrationState.options.searchReplaceExclude.includes(unprefixed)) {
+                let cursor = null;
+                let done = false;
+                while (!done) {
+                    Host.ui.updateStatus('verify', `Search & replace: ${tableName}`);
+                    const page = await this.searchReplacePage('sm_search_replace', unprefixed, cursor);
+                    done = page.done;
+                    cursor = page.cursor;
+                }
+            }
+
+            Host.ui.updateStatus('verify', `Comparing table ${tableName}...`);
+            const result = await this.verifyTable(tableName, await this.getVerifyReplacement());
+            verification.tables[index] = result;
+
+            return result;
+        },
+
+        /**
+         * Copy a file again after verification found it different, then compare it again
+         * Resolves with the file's verification entry, whose status is 'match' once the copies agree.
+         */
+        async retransferFile(path) {
+            const file = MigrationState.verification && MigrationState.verification.files.find(entry => entry.path === path);
+            if (!file) {
+                throw new Error(`${path} is not in the verification results`);
+            }
+
+            Host.ui.updateStatus('verify', `Re-transferring ${path}...`);
+
+            await this.copyFile(path, file.size, file.hash);
+            MigrationState.countFileTransferred(path, file.size);
+
+            const destination = await this.getDestinationFileHashes([{ path: path, size: file.size }]);
+            file.status = this.compareFile(file, destination[path]);
+
+            return file;
+        },
+
+        /**
+         * Copy one file outside the files phase's queue
+         * Small files go as a batch of one like in the files phase, which also creates empty files.
+         */
+        async copyFile(path, size, hash) {
+            const extracted = size <= Config.chunkSize ? await this.transferBatch([path]) : new Set();
+            if (!extracted.has(path)) {
+                await this.transferFile(path, size, hash);
+            }
+        },
+
+        /**
+         * Try a file from the failed-files queue again
+         * Resolves once it is copied and off the queue; rejects when it failed again, leaving it queued with the
+         * new error.
+         */
+        async retryFailedFile(path) {
+            const file = MigrationState.failedFiles.find(entry => entry.path === path);
+            if (!file) {
+                throw new Error(`${path} is not in the failed files`);
+            }
+
+            try {
+                await this.copyFile(file.path, file.size, file.hash);
+            } catch (error) {
+                log('error', { file: path }, 'Retry failed:', error);
+                MigrationState.addFailedFile(file, error);
+                throw error;
+            }
+
+            log('info', { file: path }, 'Transferred on retry');
+            MigrationState.markFileCompleted(path);
+            MigrationState.countFileTransferred(path, file.size);
+            MigrationState.removeFailedFile(path);
+        },
+
+        /**
+         * Try every file in the failed-files queue again, one at a time, until done or cancelled
+         * Resolves with the number of files still failing.
+         */
+        async retryFailedFiles() {
+            for (const file of MigrationState.failedFiles.slice()) {
+                if (MigrationState.isCancelled) break;
+                try {
+                    await this.retryFailedFile(file.path);
+                } catch (error) {
+                    // Stays queued with the new error
+                }
+            }
+
+            return MigrationState.failedFiles.length;
+        },
+
+        /**
+         * Give up on a file from the failed-files queue; it is recorded as skipped
+         */
+        skipFailedFile(path) {
+            const file = MigrationState.failedFiles.find(entry => entry.path === path);
+            if (!file) return;
+
+            log('warn', { file: path }, 'Skipped after failing:', file.message);
+            MigrationState.stats.skippedFiles.push({ path: path, message: file.message });
+            MigrationState.removeFailedFile(path);
+        },
+
+        /**
+         * Get destination configuration
+         */
+        async getDestinationConfig() {
+            const response = await Host.transport.post('sm_get_config');
+
+            if (!response.success) {
+                throw new Error(response.data || 'Failed to get destination config');
+            }
+
+            return response.data;
+        },
+
+        /**
+         * Ask the destination what preparing the database would do to each table (no changes are made)
+         */
+        async planTables(tables, sourcePrefix) {
+            const response = await Host.transport.post('sm_plan_migration', {
+                tables: tables.map(table => table.name),
+                source_prefix: sourcePrefix
+            }, { json: true });
+
+            if (!response.success) {
+                throw new Error(response.data || 'Failed to plan the database migration');
+            }
+
+            return response.data;
+        },
+
+        /**
+         * Keep the source tables that were selected for migration (null selects all)
+         */
+        filterTables(tables, selected) {
+            if (!Array.isArray(selected)) return tables;
+
+            const names = new Set(selected);
+            return tables.filter(table => names.has(table.name));
+        },
+
+        /**
+         * Prepare database (drop existing tables)
+         */
+        async prepareDatabase(tables, overwrite) {
+            const tableNames = tables.map(t => t.name);
+
+            const response = await Host.transport.post('sm_prepare_database', {
+                migration_id: MigrationState.migrationId,
+                overwrite: overwrite,
+                tables: tableNames,
+                source_prefix: MigrationState.sourceTablePrefix
+            });
+
+            if (!response.success) {
+                throw new Error(response.data || 'Failed to prepare database');
+            }
+
+            return response;
+        },
+
+        /**
+         * Create table on destination
+         */
+        async createTable(sourceTableName, schema, sourcePrefix) {
+            // Sent as JSON (better for large schemas)
+            const result = await Host.transport.post('sm_create_table', {
+                source_table_name: sourceTableName,
+                source_prefix: sourcePrefix,
+                schema: schema
+            }, { json: true });
+
+            if (!result.success) {
+                throw new Error(result.data || 'Failed to create table');
+            }
+
+            return result;
+        },
+
+        /**
+         * Drop a table on the destination (destination table name)
+         */
+        async dropTable(table) {
+            const response = await Host.transport.post('sm_drop_table', {
+                table: table
+            });
+
+            if (!response.success) {
+                throw new Error(response.data || 'Failed to drop table');
+            }
+
+            return response;
+        },
+
+        /**
+         * Checksum the destination rows of a migrated table in the key range (after, until]
+         * Both ends may be null; the first chunk (after null) also reports the row count.
+         */
+        async getDestinationRowChecksums(tableName, after, until) {
+            const response = await Host.transport.post('sm_verify_rows', {
+                table: tableName,
+                source_prefix: MigrationState.sourceTablePrefix,
+                after: after,
+                until: until,
+                limit: Config.batchSize
+            }, { json: true });
+
+            if (!response.success) {
+                throw new Error(response.data || `Failed to verify table ${tableName}`);
+            }
+
+            return response.data;
+        },
+
+        /**
+         * Process table rows (send to destination)
+         * `payload` is the batch as downloaded (see API.requestRows()), forwarded as is when it is gzipped.
+         */
+        async processTableRows(tableName, rows, sourcePrefix, payload = null) {
+            const body = await this.compressTableRows(rows, payload);
+
+            const result = body
+                ? await Host.transport.upload('sm_process_rows', {
+                    table: tableName,
+                    source_prefix: sourcePrefix,
+                    encoding: 'gzip'
+                }, body)
+                : await Host.transport.post('sm_process_rows', {
+                    table: tableName,
+                    source_prefix: sourcePrefix,
+                    rows: rows
+                }, { json: true });
+
+            if (!result.success) {
+                throw new Error(result.data || 'Failed to process rows');
+            }
+
+            return result;
+        },
+
+        /**
+         * Gzipped JSON of a row batch for the destination, null to send it as plain JSON
+         * A batch that arrived gzipped is forwarded as downloaded; others are compressed here when possible.
+         */
+        async compressTableRows(rows, payload) {
+            if (!Host.transport.upload || !Config.binaryEncodings.includes('gzip')) {
+                return null;
+            }
+
+            if (payload && payload.encoding === 'gzip') {
+                return payload.body;
+            }
+
+            if (typeof CompressionStream !== 'function') {
+                return null;
+            }
+
+            return transcode(new TextEncoder().encode(JSON.stringify({ rows: rows })), new CompressionStream('gzip'));
+        },
+
+        /**
+         * Write file chunk (send to destination)
+         */
+        async writeFileChunk(filePath, chunk, offset) {
+            if (chunk.body) {
+                return this.uploadFileChunk(filePath, chunk, offset);
+            }
+
+            const response = await Host.transport.post('sm_write_chunk', {
+                path: filePath,
+                data: chunk.data,
+                checksum: chunk.checksum,
+                offset: offset
+            });
+
+            if (!response.success) {
+                throw new Error(response.data || 'Failed to write file chunk');
+            }
+
+            return response;
+        },
+
+        /**
+         * Upload a raw file chunk (send to destination)
+         * Compressed bytes are forwarded as downloaded when the destination takes their encoding and decompressed
+         * here otherwise; uncompressed bytes are gzipped when that makes them smaller.
+         */
+        async uploadFileChunk(filePath, chunk, offset) {
+            let body = chunk.body;
+            let encoding = chunk.encoding;
+
+            if (encoding !== 'identity' && !Config.binaryEncodings.includes(encoding)) {
+                body = await transcode(body, new DecompressionStream(encoding));
+                encoding = 'identity';
+            } else if (encoding === 'identity' && Config.binaryEncodings.includes('gzip') && typeof CompressionStream === 'function') {
+                const compressed = await transcode(body, new CompressionStream('gzip'));
+                if (compressed.length < body.length) {
+                    body = compressed;
+                    encoding = 'gzip';
+                }
+            }
+
+            const response = await Host.transport.upload('sm_write_chunk', {
+                path: filePath,
+                checksum: chunk.checksum,
+                offset: offset,
+                encoding: encoding
+            }, body);
+
+            if (!response.success) {
+                throw new Error(response.data || 'Failed to write file chunk');
+            }
+
+            return response;
+        },
+
+        /**
+         * Extract a zip batch of files (send to destination)
+         */
+        async extractBatch(batch) {
+            const response = await Host.transport.post('sm_extract_batch', {
+                data: batch.data,
+                checksum: batch.checksum
+            });
+
+            if (!response.success) {
+                throw new Error(response.data || 'Failed to extract file batch');
+            }
+
+            return response;
+        },
+
+        /**
+         * Get size and content hash of destination files, keyed by path (missing files are left out)
+         */
+        async getDestinationFileHashes(files) {
+            const response = await Host.transport.post('sm_get_file_hashes', {
+                files: files
+            }, { json: true });
+
+            if (!response.success) {
+                throw new Error(response.data || 'Failed to compare destination files');
+            }
+
+            return response.data.files;
+        },
+
+        /**
+         * List the files a migration manages on the destination, limited to a manifest scope
+         */
+        async listDestinationFiles(scope = 'all') {
+            const response = await Host.transport.post('sm_list_files', {
+                scope: scope
+            });
+
+            if (!response.success) {
+                throw new Error(response.data || 'Failed to list destination files');
+            }
+
+            return response.data.files;
+        },
+
+        /**
+         * Delete files on the destination
+         */
+        async deleteDestinationFiles(paths) {
+            const response = await Host.transport.post('sm_delete_files', {
+                paths: paths
+            }, { json: true });
+
+            if (!response.success) {
+                throw new Error(response.data || 'Failed to delete destination files');
+            }
+
+            return response.data;
+        },
+
+        /**
+         * Perform search & replace one table page at a time
+         * Progress is checkpointed after every page, so a failed or cancelled finalize resumes where it stopped.
+         * With reviewSearchReplace, nothing is written until the host approves the preview; a rejection fails
+         * the phase, so it can be resumed.
+         */
+        async performSearchReplace() {
+            if (!MigrationState.replaceCursor) {
+                Host.ui.updateStatus('finalize', 'Listing tables for search & replace...');
+                const tables = await this.getSearchReplaceTables();
+
+                if (MigrationState.options.reviewSearchReplace) {
+                    const preview = await this.previewSearchReplace(tables);
+                    if (MigrationState.isCancelled) return;
+
+                    Host.ui.updateStatus('finalize', 'Waiting for search & replace approval...');
+                    const approved = await Host.ui.reviewSearchReplace(preview);
+                    if (MigrationState.isCancelled) return;
+                    if (!approved) {
+                        throw new Error('Search & replace was not approved');
+                    }
+                }
+
+                MigrationState.replaceCursor = { tables: tables, index: 0, cursor: null, rows: 0 };
+                MigrationState.stats.searchReplaceRules = [];
+                MigrationState.stats.searchReplaceTables = [];
+                MigrationState.save(true);
+            }
+
+            const progress = MigrationState.replaceCursor;
+            const totalRows = progress.tables.reduce((sum, table) => sum + table.rows, 0);
+
+            while (progress.index < progress.tables.length) {
+                if (MigrationState.isCancelled) return;
+
+                // Check for pause
+                while (MigrationState.isPaused) {
+                    await new Promise(resolve => setTimeout(resolve, 100));
+                    if (MigrationState.isCancelled) return;
+                }
+
+                const table = progress.tables[progress.index];
+                Host.ui.updateProgress('finalize', totalRows > 0 ? Math.min(progress.rows / totalRows, 1) * 95 : 0,
+                    `Search & replace: ${table.table} (${progress.index + 1}/${progress.tables.length})`);
+
+                const page = await this.searchReplacePage('sm_search_replace', table.table, progress.cursor);
+                addReplaceCounts(MigrationState.stats.searchReplaceRules, MigrationState.stats.searchReplaceTables, page);
+
+                progress.rows += page.rows_processed;
+                if (page.done) {
+                    progress.index++;
+                    progress.cursor = null;
+                } else {
+                    progress.cursor = page.cursor;
+                }
+                MigrationState.save();
+            }
+
+            Host.ui.updateProgress('finalize', 95, 'Search & replace complete');
+        },
+
+        /**
+         * List the tables search & replace will scan, with approximate row counts
+         */
+        async getSearchReplaceTables() {
+            const response = await Host.transport.post('sm_search_replace_tables', this.searchReplaceRequest(), { json: true });
+
+            if (!response.success) {
+                throw new Error(response.data || 'Failed to list tables for search & replace');
+            }
+
+            return response.data.tables;
+        },
+
+        /**
+         * Run one page of search & replace (or its preview) on a table
+         */
+        async searchReplacePage(action, table, cursor) {
+            const response = await Host.transport.post(action, Object.assign(this.searchReplaceRequest(), {
+                table: table,
+                cursor: cursor
+            }), { json: true });
+
+            if (!response.success) {
+                throw new Error(response.data || `Search & replace failed on ${table}`);
+            }
+
+            return response.data;
+        },
+
+        /**
+         * Search & replace request: the migrated tables (unprefixed), exclusions and custom rules
+         * Without a recorded table selection the destination scans every table with its prefix.
+         */
+        searchReplaceRequest() {
+            const options = MigrationState.options;
+            const prefix = MigrationState.sourceTablePrefix;
+
+            return {
+                tables: Array.isArray(options.tables)
+                    ? options.tables.filter(name => name.startsWith(prefix)).map(name => name.slice(prefix.length))
+                    : null,
+                exclude_tables: options.searchReplaceExclude,
+                rules: options.searchReplaceRules.map(ruleToServer)
+            };
+        },
+
+        /**
+         * Preview search & replace: rows that would change per table and column, with before/after samples
+         * Pages through the tables like performSearchReplace(); resolves with the combined results.
+         */
+        async previewSearchReplace(tables) {
+            const preview = { tables_processed: 0, rows_processed: 0, replacements_made: 0, tables: [], rules: [], changes: [] };
+            const totalRows = tables.reduce((sum, table) => sum + table.rows, 0);
+
+            for (let i = 0; i < tables.length; i++) {
+                let cursor = null;
+                let done = false;
+
+                while (!done) {
+                    if (MigrationState.isCancelled) return preview;
+
+                    Host.ui.updateProgress('finalize', totalRows > 0 ? Math.min(preview.rows_processed / totalRows, 1) * 100 : 0,
+                        `Previewing search & replace: ${tables[i].table} (${i + 1}/${tables.length})`);
+
+                    const page = await this.searchReplacePage('sm_preview_search_replace', tables[i].table, cursor);
+                    addReplaceCounts(preview.rules, preview.tables, page);
+                    preview.tables_processed += page.tables_processed;
+                    preview.rows_processed += page.rows_processed;
+                    preview.replacements_made += page.replacements_made;
+
+                    for (const change of page.changes) {
+                        const known = preview.changes.find(c => c.table === change.table && c.column === change.column);
+                        if (known) {
+                            known.rows += change.rows;
+                            known.samples = known.samples.concat(change.samples).slice(0, PREVIEW_SAMPLES);
+                        } else {
+                            preview.changes.push(change);
+                        }
+                    }
+
+                    done = page.done;
+                    cursor = page.cursor;
+                }
+            }
+
+            return preview;
+        },
+
+        /**
+         * Finalize migration - restore preserved settings
+         * Called after database phase to restore destination admin and options
+         */
+        async finalizeMigration() {
+            const response = await Host.transport.post('sm_finalize_migration');
+
+            if (!response.success) {
+                log('warn', 'Failed to finalize migration:', response.data);
+            }
+
+            return response;
+        },
+
+        /**
+         * Flush permalinks
+         */
+        async flushPermalinks() {
+            const response = await Host.transport.post('sm_flush_permalinks');
+
+            if (!response.success) {
+                throw new Error(response.data || 'Failed to flush permalinks');
+            }
+
+            return response;
+        },
+
+        /**
+         * Pause migration
+         */
+        pause() {
+            this._previousPhase = MigrationState.phase;
+            MigrationState.isPaused = true;
+            MigrationState.setPhase('paused');
+        },
+
+        /**
+         * Resume from pause (within active migration)
+         */
+        resume() {
+            MigrationState.isPaused = false;
+            if (this._previousPhase && this._previousPhase !== 'paused') {
+                MigrationState.setPhase(this._previousPhase);
+            }
+            // Resume will be handled by the current loop
+        },
+
+        /**
+         * Change the download limits of the running migration (see Config.bandwidthLimit and requestsPerSecond)
+         */
+        setLimits(limits) {
+            ['bandwidthLimit', 'requestsPerSecond'].forEach(key => {
+                if (limits[key] !== undefined) {
+                    Config[key] = Math.max(0, Number(limits[key]) || 0);
+                }
+            });
+        },
+
+        /**
+         * Cancel migration - progress is saved for resuming
+         */
+        async cancel() {
+            MigrationState.isCancelled = true;
+            MigrationState.canResume = true;
+
+            // A row batch already sent is still written; save once its cursor is recorded
+            await MigrationState.rowWrite;
+
+            return MigrationState.save(true);
+        }
+    };
+
+
+    /**
+     * Wire the core to its environment
+     */
+    function configure(options = {}) {
+        Object.assign(Config, options.settings);
+
+        if (options.transport) {
+            Host.transport = options.transport;
+        }
+        if (options.store) {
+            Host.store = options.store;
+        }
+        if (options.ui) {
+            Host.ui = Object.assign({}, DEFAULT_UI, options.ui);
+        }
+    }
+
+    return {
+        Config: Config,
+        MIGRATION_MODES: MIGRATION_MODES,
+        TABLE_ACTIONS: TABLE_ACTIONS,
+        MemoryStore: MemoryStore,
+        MigrationState: MigrationState,
+        API: API,
+        Orchestrator: Orchestrator,
+        configure: configure
+    };
+}));
@@ -0,0 +1,788 @@
+#!/usr/bin/env node
+/**
+ * Simple Migrator CLI
+ *
+ * Headless migration runner for deploy scripts. Drives the same scan, database,
+ * files, finalize and verify phases as the admin page through migrator-core.js, talking
+ * to the destination's REST bridge with an application password.
+ *
+ * Requires Node.js 18 or later (global fetch).
+ *
+ * @package Simple_Migrator
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const { MIGRATION_MODES, TABLE_ACTIONS, MigrationState, Orchestrator, configure } = require(path.join(__dirname, '..', 'assets', 'js', 'migrator-core.js'));
+
+/**
+ * Process exit codes
+ */
+const EXIT = {
+    OK: 0,
+    FAILED: 1,           // A migration phase failed; progress is saved for --resume
+    USAGE: 2,            // Missing or invalid arguments
+    CONNECTION: 3,       // Source or destination unreachable, or credentials rejected
+    LOCKED: 4,           // Another migration holds the destination lock
+    NOTHING_TO_RESUME: 5,
+    MISMATCH: 6,         // Complete, but --verify found tables or files that still differ from the source
+    FILES_FAILED: 7,     // Complete, but some files could not be transferred
+    CANCELLED: 130       // Interrupted (Ctrl+C); progress is saved for --resume
+};
+
+const USAGE = `Usage: simple-migrator [options]
+
+Migrate a WordPress site running Simple Migrator in source mode onto this destination.
+
+Options:
+  --key <key>                 Migration key copied from the source   (env SM_MIGRATION_KEY)
+  --destination <url>         Destination site URL                   (env SM_DESTINATION_URL)
+  --user <login>              Destination administrator login        (env SM_DESTINATION_USER)
+  --app-password <password>   Application password for that user     (env SM_DESTINATION_APP_PASSWORD)
+  --mode <mode>               What to migrate: full (default), database, files, uploads or code (plugins and themes)
+  --resume                    Resume the interrupted migration recorded on the destination
+  --dry-run                   Print the migration plan and an estimated duration without changing anything
+  --sync                      Only transfer files that differ from the destination copy
+  --delete-missing            With --sync, delete destination files that no longer exist on the source
+  --exclude-tables <list>     Comma-separated source tables to leave out; * matches any characters (wp_wc_*)
+  --replace-rules <file>      JSON array of extra search & replace rules applied after the URL replacement:
+                              [{ "search", "replace", "regex", "caseSensitive", "tables": ["posts"] }]
+  --replace-exclude <list>    Comma-separated unprefixed tables to leave out of search & replace (wc_sessions)
+  --review-replace            Print a search & replace preview with before/after samples and ask before applying it
+  --bandwidth-limit <KB/s>    Cap the download speed from the source (default: the destination's setting)
+  --requests-per-second <n>   Cap the file and table row downloads started per second (default: the destination's setting)
+  --verify                    Compare the migrated tables and files with the source afterwards and offer to
+                              re-transfer each one that differs
+  --report <file>             Write a JSON report of the completed migration (environments, options, tables,
+                              files per directory, failures, search & replace and retries) to this file
+  --yes                       Answer yes to every confirmation (database overwrite, retrying failed files,
+                              re-transferring what --verify found); required when stdin is not a terminal
+  --json                      Print newline-delimited JSON events instead of text
+  --verbose                   Also print retries and other diagnostics
+  --help                      Show this help
+
+Exit codes:
+  0 complete, 1 migration failed, 2 usage error, 3 connection or authentication failed,
+  4 destination locked by another migration, 5 nothing to resume, 6 verification found differences,
+  7 files failed to transfer, 130 cancelled`;
+
+/**
+ * Error for invalid command-line arguments
+ */
+class UsageError extends Error {}
+
+/**
+ * Parse command-line arguments, falling back to environment variables for credentials
+ * `interactive` tells whether confirmations can be asked on stdin.
+ */
+function parseArgs(argv, env, interactive = !!process.stdin.isTTY) {
+    const options = {
+        key: env.SM_MIGRATION_KEY || '',
+        destination: env.SM_DESTINATION_URL || '',
+        user: env.SM_DESTINATION_USER || '',
+        appPassword: env.SM_DESTINATION_APP_PASSWORD || '',
+        mode: 'full',
+        excludeTables: [],
+        replaceRulesFile: '',
+        replaceRules: [],
+        replaceExclude: [],
+        reviewReplace: false,
+        verify: false,
+        reportFile: '',
+        bandwidthLimit: null,
+        requestsPerSecond: null,
+        resume: false,
+        dryRun: false,
+        sync: false,
+        deleteMissing: false,
+        yes: false,
+        json: false,
+        verbose: false,
+        help: false
+    };
+
+    const values = { '--key': 'key', '--destination': 'destination', '--user': 'user', '--app-password': 'appPassword' };
+    const choices = { '--mode': 'mode', '--replace-rules': 'replaceRulesFile', '--report': 'reportFile' };
+    const lists = { '--exclude-tables': 'excludeTables', '--replace-exclude': 'replaceExclude' };
+    const numbers = { '--bandwidth-limit': 'bandwidthLimit', '--requests-per-second': 'requestsPerSecond' };
+    const flags = { '--resume': 'resume', '--dry-run': 'dryRun', '--sync': 'sync', '--delete-missing': 'deleteMissing', '--review-replace': 'reviewReplace', '--verify': 'verify', '--yes': 'yes', '--json': 'json', '--verbose': 'verbose', '--help': 'help', '-h': 'help' };
+
+    for (let i = 0; i < argv.length; i++) {
+        const [name, inline] = argv[i].split(/=(.*)/s);
+
+        if (flags[name]) {
+            options[flags[name]] = true;
+        } else if (values[name] || choices[name] || lists[name] || numbers[name]) {
+            const value = inline !== undefined ? inline : argv[++i];
+            if (value === undefined || value === '') {
+                throw new UsageError(`${name} needs a value`);
+            }
+            if (values[name]) {
+                options[values[name]] = value;
+            } else if (choices[name]) {
+                options[choices[name]] = value;
+            } else if (numbers[name]) {
+                if (!/^\d+(\.\d+)?$/.test(value)) {
+                    throw new UsageError(`${name} needs a number, 0 for no limit`);
+                }
+                options[numbers[name]] = Number(value);
+            } else {
+                options[lists[name]].push(...value.split(',').map(item => item.trim()).filter(Boolean));
+            }
+        } else {
+            throw new UsageError(`Unknown option: ${argv[i]}`);
+        }
+    }
+
+    if (options.help) {
+        return options;
+    }
+
+    for (const [name, key] of Object.entries(values)) {
+        if (!options[key]) {
+            throw new UsageError(`Missing ${name}`);
+        }
+    }
+
+    if (!MIGRATION_MODES[options.mode]) {
+        throw new UsageError(`Unknown --mode: ${options.mode} (use ${Object.keys(MIGRATION_MODES).join(', ')})`);
+    }
+
+    if (options.dryRun && options.resume) {
+        throw new UsageError('--dry-run cannot be combined with --resume');
+    }
+
+    // Nothing could answer the overwrite confirmation, so the run would stop after connecting
+    if (!options.yes && !options.dryRun && !interactive) {
+        throw new UsageError('--yes is required when stdin is not a terminal');
+    }
+
+    if (options.dryRun && options.reportFile) {
+        throw new UsageError('--report cannot be combined with --dry-run');
+    }
+
+    if (options.deleteMissing && !options.sync) {
+        throw new UsageError('--delete-missing requires --sync');
+    }
+
+    if (options.sync && MIGRATION_MODES[options.mode].files === null) {
+        throw new UsageError(`--sync does not apply to --mode ${options.mode}`);
+    }
+
+    if (options.replaceRulesFile) {
+        if (!MIGRATION_MODES[options.mode].database) {
+            throw new UsageError(`--replace-rules does not apply to --mode ${options.mode}`);
+        }
+        options.replaceRules = loadReplaceRules(options.replaceRulesFile);
+    }
+
+    if (options.reviewReplace && !MIGRATION_MODES[options.mode].database) {
+        throw new UsageError(`--review-replace does not apply to --mode ${options.mode}`);
+    }
+
+    if (options.replaceExclude.length > 0 && !MIGRATION_MODES[options.mode].database) {
+        throw new UsageError(`--replace-exclude does not apply to --mode ${options.mode}`);
+    }
+
+    const invalidExclude = options.replaceExclude.find(table => !/^[a-zA-Z0-9_]+$/.test(table));
+    if (invalidExclude) {
+        throw new UsageError(`--replace-exclude: invalid table name ${invalidExclude}`);
+    }
+
+    return options;
+}
+
+/**
+ * Read and validate a --replace-rules file
+ */
+function loadReplaceRules(file) {
+    let rules;
+    try {
+        rules = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new UsageError(`Cannot read --replace-rules ${file}: ${error.message}`);
+    }
+
+    if (!Array.isArray(rules)) {
+        throw new UsageError('--replace-rules must contain a JSON array of rules');
+    }
+
+    return rules.map((rule, index) => {
+        const label = `--replace-rules rule ${index + 1}`;
+
+        if (!rule || typeof rule.search !== 'string' || rule.search === '') {
+            throw new UsageError(`${label} needs a non-empty "search" string`);
+        }
+        if (rule.replace !== undefined && typeof rule.replace !== 'string') {
+            throw new UsageError(`${label}: "replace" must be a string`);
+        }
+        if (rule.tables !== undefined && (!Array.isArray(rule.tables) || rule.tables.some(table => !/^[a-zA-Z0-9_]+$/.test(table)))) {
+            throw new UsageError(`${label}: "tables" must be an array of unprefixed table names`);
+        }
+        if (rule.regex) {
+            try {
+                new RegExp(rule.search);
+            } catch (error) {
+                throw new UsageError(`${label} has an invalid regular expression: ${error.message}`);
+            }
+        }
+
+        return {
+            search: rule.search,
+            replace: rule.replace || '',
+            regex: !!rule.regex,
+            caseSensitive: !!rule.caseSensitive,
+            tables: rule.tables || []
+        };
+    });
+}
+
+/**
+ * Build a matcher for table names from patterns where * matches any characters
+ */
+function tableMatcher(patterns) {
+    const expressions = patterns.map(pattern =>
+        new RegExp('^' + pattern.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$'));
+
+    return name => expressions.some(expression => expression.test(name));
+}
+
+/**
+ * Split a migration key into the source URL and secret
+ */
+function parseMigrationKey(key) {
+    const parts = key.trim().split('|');
+    if (parts.length !== 2) {
+        throw new UsageError('Invalid migration key format');
+    }
+
+    const secret = Buffer.from(parts[1], 'base64').toString('utf8');
+    if (!secret) {
+        throw new UsageError('Invalid migration key: failed to decode secret');
+    }
+
+    return { url: parts[0], secret: secret };
+}
+
+/**
+ * Destination transport over the REST bridge (/destination/<action>)
+ * Resolves with the same { success, data } envelope as admin-ajax.php.
+ */
+function createRestTransport(destinationUrl, user, appPassword) {
+    const endpoint = destinationUrl.replace(/\/$/, '') + '/wp-json/simple-migrator/v1/destination/';
+    const authorization = 'Basic ' + Buffer.from(`${user}:${appPassword}`).toString('base64');
+
+    const parse = async (response) => {
+        const responseText = await response.text();
+
+        let result;
+        try {
+            result = JSON.parse(responseText);
+        } catch (e) {
+            throw new Error(`Invalid JSON response from destination (HTTP ${response.status}). Check PHP error logs.`);
+        }
+
+        // REST API errors (authentication, unknown action) use { code, message }
+        if (!response.ok && result && result.code) {
+            throw new Error(`${result.message || result.code} (HTTP ${response.status})`);
+        }
+
+        return result;
+    };
+
+    return {
+        async post(action, data = {}) {
+            const response = await fetch(endpoint + action, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': authorization
+                },
+                body: JSON.stringify(data)
+            });
+
+            return parse(response);
+        },
+
+        async upload(action, params, body) {
+            const response = await fetch(endpoint + action + '?' + new URLSearchParams(params).toString(), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/octet-stream',
+                    'Authorization': authorization
+                },
+                body: body
+            });
+
+            return parse(response);
+        }
+    };
+}
+
+/**
+ * Terminal reporter - the core's UI hooks
+ * Status and progress are throttled, except for the first report of a phase and its completion.
+ * Text mode rewrites a single line on a TTY; JSON mode prints one event per line.
+ */
+function createReporter(options) {
+    const out = process.stdout;
+    const interactive = !options.json && out.isTTY;
+    let progressLine = false;
+    let lastPhase = null;
+    let lastReport = 0;
+
+    const clearProgress = () => {
+        if (progressLine) {
+            out.write('\r\x1b[K');
+            progressLine = false;
+        }
+    };
+
+    const reporter = {
+        emit(event) {
+            out.write(JSON.stringify(Object.assign({ time: new Date().toISOString() }, event)) + '\n');
+        },
+
+        print(text) {
+            clearProgress();
+            out.write(text + '\n');
+        },
+
+        report(phase, percent, status) {
+            const now = Date.now();
+            const milestone = phase !== lastPhase || percent >= 100;
+            if (!milestone && now - lastReport < (interactive ? 200 : 5000)) return;
+            lastPhase = phase;
+            lastReport = now;
+
+            if (options.json) {
+                reporter.emit({ event: 'progress', phase: phase, percent: percent === null ? null : Math.round(percent * 10) / 10, status: status || '' });
+                return;
+            }
+
+            const line = `[${phase}] ` + (percent === null ? '' : `${Math.round(percent)}% `) + (status || '');
+            if (interactive && !milestone) {
+                clearProgress();
+                out.write(line.slice(0, (out.columns || 80) - 1));
+                progressLine = true;
+            } else {
+                reporter.print(line);
+            }
+        },
+
+        updateStatus(phase, status) {
+            reporter.report(phase, null, status);
+        },
+
+        updateProgress(phase, percent, status) {
+            reporter.report(phase, percent, status);
+        },
+
+        selectTables(tables) {
+            const excluded = tableMatcher(options.excludeTables);
+            const selected = tables.filter(table => !excluded(table.name)).map(table => table.name);
+            const skipped = tables.filter(table => excluded(table.name)).map(table => table.name);
+
+            if (options.json) {
+                reporter.emit({ event: 'tables', selected: selected, excluded: skipped });
+            } else if (skipped.length > 0) {
+                reporter.print(`Leaving out ${skipped.length} of ${tables.length} tables: ${skipped.join(', ')}`);
+            }
+
+            return selected;
+        },
+
+        reviewSearchReplace(preview) {
+            if (options.json) {
+                reporter.emit({ event: 'search_replace_preview', rows: preview.replacements_made, changes: preview.changes, rules: preview.rules });
+            } else {
+                reporter.print(`Search & replace would change ${preview.replacements_made} row(s):`);
+                for (const change of preview.changes) {
+                    reporter.print(`  ${change.table}.${change.column}: ${change.rows} row(s)`);
+                    // One line per sample: escape line breaks in the stored value
+                    for (const sample of change.samples) {
+                        reporter.print(`    - ${sample.before.replace(/\r?\n/g, '\\n')}`);
+                        reporter.print(`    + ${sample.after.replace(/\r?\n/g, '\\n')}`);
+                    }
+                }
+                for (const rule of preview.rules) {
+                    reporter.print(`  Rule "${rule.search}": ${rule.replacements} replacement(s)`);
+                }
+            }
+
+            return reporter.confirm('Apply these search & replace changes?');
+        },
+
+        async confirm(message) {
+            const question = message.replace(/\n+/g, ' ');
+
+            if (options.yes) {
+                reporter.log({ level: 'info', message: `${question} -> yes (--yes)` });
+                return true;
+            }
+
+            if (options.json || !process.stdin.isTTY) {
+                reporter.log({ level: 'warn', message: `${question} -> no (pass --yes to accept)` });
+                return false;
+            }
+
+            clearProgress();
+            const rl = readline.createInterface({ input: process.stdin, output: out });
+            const answer = await new Promise(resolve => rl.question(`${question} [y/N] `, resolve));
+            rl.close();
+
+            return /^y(es)?$/i.test(answer.trim());
+        },
+
+        // Entries from the core carry time, phase, table and file; the CLI's own only a level and message
+        log(entry) {
+            if (entry.level === 'info' && !options.verbose) return;
+
+            if (options.json) {
+                reporter.emit({ event: 'log', level: entry.level, message: entry.message, phase: entry.phase || null, table: entry.table || null, file: entry.file || null });
+            } else {
+                const subject = entry.file || entry.table;
+                clearProgress();
+                process.stderr.write(`${entry.level}: ${subject ? `${subject}: ` : ''}${entry.message}\n`);
+            }
+        }
+    };
+
+    return reporter;
+}
+
+/**
+ * Format a byte count for humans
+ */
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes || 0;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${Math.round(value * 10) / 10} ${units[unit]}`;
+}
+
+/**
+ * Print a migration plan from Orchestrator.planMigration()
+ */
+function printPlan(reporter, options, plan) {
+    if (options.json) {
+        reporter.emit({ event: 'plan', plan: plan });
+        return;
+    }
+
+    reporter.print(`Migration plan: ${plan.label} from ${plan.sourceUrl} (nothing has been changed)`);
+
+    if (plan.database) {
+        const db = plan.database;
+        reporter.print(`Database: ${db.tables.length} tables, ${db.rows} rows, ${formatBytes(db.bytes)}`);
+        if (db.locked) reporter.print('  Another migration currently holds the destination lock.');
+        for (const table of db.tables) {
+            reporter.print(`  ${table.name} -> ${table.destination}: ${table.rows} rows, ${formatBytes(table.data_size)}, ${TABLE_ACTIONS[table.action] || table.action}`);
+        }
+        if (db.currentUser) reporter.print(`  Kept account: ${db.currentUser}`);
+        if (db.protectedOptions && db.protectedOptions.length > 0) {
+            reporter.print(`  Protected options restored afterwards: ${db.protectedOptions.join(', ')}`);
+        }
+    }
+
+    if (plan.files) {
+        const files = plan.files;
+        reporter.print(`Files: ${files.transfer} to transfer, ${formatBytes(files.bytes)}` +
+            (files.unchanged > 0 || files.removed > 0 ? ` (${files.unchanged} unchanged, ${files.removed} to delete)` : ''));
+        for (const file of files.largest) {
+            reporter.print(`  ${file.path} (${formatBytes(file.size)})`);
+        }
+    }
+
+    reporter.print(`Search & replace: ${plan.searchReplace ? 'yes' : 'no'}` +
+        (plan.searchReplaceRules > 0 ? ` (${plan.searchReplaceRules} extra rule(s))` : ''));
+    reporter.print(`Verify: ${plan.verify ? 'yes' : 'no'}`);
+    reporter.print(`Estimated duration: ${Math.floor(plan.estimatedSeconds / 60)}m ${plan.estimatedSeconds % 60}s (source download speed only)`);
+}
+
+/**
+ * Describe how a table or file found by the verify phase differs from the source
+ */
+function describeMismatch(item) {
+    if (item.status === 'missing') return 'missing on the destination';
+    if (item.status === 'size') return 'different size';
+    if (item.status === 'hash') return 'different content';
+
+    let text = `${item.sourceRows} rows on the source, ${item.destinationRows} on the destination`;
+    if (item.ranges.length > 0) {
+        const first = item.ranges[0];
+        text += `, ${item.chunks} chunk(s) differ (first: keys ${first.after === null ? 'from the start' : '> ' + first.after}` +
+            ` ${first.until === null ? 'to the end' : '<= ' + first.until})`;
+    }
+    return text;
+}
+
+/**
+ * Offer to re-transfer every table and file the verify phase found different, one confirmation each
+ */
+async function retransferMismatches(reporter) {
+    const mismatches = Orchestrator.getMismatches();
+    const items = mismatches.tables.map(table => ({ type: 'table', name: table.table, item: table }))
+        .concat(mismatches.files.map(file => ({ type: 'file', name: file.path, item: file })));
+
+    for (const { type, name, item } of items) {
+        if (!await reporter.confirm(`${type === 'table' ? 'Table' : 'File'} ${name} differs from the source (${describeMismatch(item)}). Re-transfer it?`)) {
+            continue;
+        }
+
+        try {
+            const result = type === 'table' ? await Orchestrator.retransferTable(name) : await Orchestrator.retransferFile(name);
+            if (result.status !== 'match') {
+                reporter.log({ level: 'warn', message: `${name} still differs from the source after re-transferring it` });
+            }
+        } catch (error) {
+            reporter.log({ level: 'error', message: `Could not re-transfer ${name}: ${error.message}` });
+        }
+    }
+}
+
+/**
+ * Write the report of the completed migration as JSON
+ * A report that cannot be written is only warned about; the migration itself succeeded.
+ */
+async function writeReport(reporter, file) {
+    try {
+        fs.writeFileSync(file, JSON.stringify(await Orchestrator.buildReport(), null, 2) + '\n');
+        reporter.log({ level: 'info', message: `Report written to ${file}` });
+    } catch (error) {
+        reporter.log({ level: 'warn', message: `Could not write the report to ${file}: ${error.message}` });
+    }
+}
+
+/**
+ * Report the outcome and return the exit code
+ */
+function finish(reporter, options, code, message) {
+    const stats = MigrationState.stats;
+
+    if (options.json) {
+        reporter.emit({ event: 'finish', exit_code: code, message: message, stats: stats, verification: MigrationState.verification, failed_files: MigrationState.failedFiles });
+        return code;
+    }
+
+    if (code === EXIT.OK || code === EXIT.MISMATCH || code === EXIT.FILES_FAILED) {
+        const duration = stats.startTime && stats.endTime
+            ? Math.round((new Date(stats.endTime) - new Date(stats.startTime)) / 1000) : 0;
+        reporter.print(message);
+        reporter.print(`  Duration: ${Math.floor(duration / 60)}m ${duration % 60}s`);
+        reporter.print(`  Rows transferred: ${stats.rowsTransferred}`);
+        if (stats.rowBytesTransferred > 0) {
+            reporter.print(`  Row compression: ${stats.rowBytes} bytes sent as ${stats.rowBytesTransferred} (${(stats.rowBytes / stats.rowBytesTransferred).toFixed(1)}:1)`);
+        }
+        reporter.print(`  Files transferred: ${stats.filesTransferred}`);
+        if (stats.filesSkipped > 0) reporter.print(`  Files unchanged: ${stats.filesSkipped}`);
+        if (stats.filesDeleted > 0) reporter.print(`  Files deleted: ${stats.filesDeleted}`);
+        reporter.print(`  Data transferred: ${stats.bytesTransferred} bytes`);
+        if (stats.searchReplaceTables.length > 0) {
+            const changed = stats.searchReplaceTables.filter(table => table.replacements_made > 0);
+            reporter.print(`  Search & replace: ${changed.reduce((sum, table) => sum + table.replacements_made, 0)} rows updated in ${changed.length} of ${stats.searchReplaceTables.length} tables`);
+            for (const table of changed) {
+                reporter.print(`    ${table.table}: ${table.replacements_made} of ${table.rows_processed}`);
+            }
+        }
+        for (const rule of stats.searchReplaceRules) {
+            reporter.print(`  Rule "${rule.search}": ${rule.replacements} replacements`);
+        }
+        if (stats.retries > 0) reporter.print(`  Retries: ${stats.retries}`);
+        if (stats.errors.length > 0) reporter.print(`  Errors encountered: ${stats.errors.length}`);
+        if (MigrationState.failedFiles.length > 0) {
+            reporter.print(`  Files failed: ${MigrationState.failedFiles.length}`);
+            for (const file of MigrationState.failedFiles) {
+                reporter.print(`    ${file.path}: ${file.message}`);
+            }
+        }
+
+        const verification = MigrationState.verification;
+        if (verification) {
+            const mismatches = Orchestrator.getMismatches();
+            const skipped = verification.tables.filter(table => table.status === 'protected').map(table => table.table);
+            reporter.print(`  Verified: ${verification.tables.length - skipped.length} tables, ${verification.filesChecked} files` +
+                (skipped.length > 0 ? ` (not compared, protected: ${skipped.join(', ')})` : ''));
+            for (const table of mismatches.tables) {
+                reporter.print(`    ${table.table}: ${describeMismatch(table)}`);
+            }
+            for (const file of mismatches.files) {
+                reporter.print(`    ${file.path}: ${describeMismatch(file)}`);
+            }
+        }
+    } else {
+        process.stderr.write(`${message}\n`);
+    }
+
+    return code;
+}
+
+/**
+ * Run the CLI and resolve with the exit code
+ */
+async function main(argv, env) {
+    let options;
+    let source;
+    try {
+        options = parseArgs(argv, env);
+        if (options.help) {
+            process.stdout.write(USAGE + '\n');
+            return EXIT.OK;
+        }
+        source = parseMigrationKey(options.key);
+    } catch (error) {
+        if (!(error instanceof UsageError)) throw error;
+        process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+        return EXIT.USAGE;
+    }
+
+    if (typeof fetch !== 'function') {
+        process.stderr.write('Node.js 18 or later is required.\n');
+        return EXIT.USAGE;
+    }
+
+    const reporter = createReporter(options);
+    configure({
+        transport: createRestTransport(options.destination, options.user, options.appPassword),
+        ui: reporter
+    });
+
+    // Destination first: proves the credentials and supplies its transfer settings
+    try {
+        const destConfig = await Orchestrator.getDestinationConfig();
+        configure({ settings: destConfig.settings || {} });
+        Orchestrator.setLimits({
+            bandwidthLimit: options.bandwidthLimit !== null ? options.bandwidthLimit : undefined,
+            requestsPerSecond: options.requestsPerSecond !== null ? options.requestsPerSecond : undefined
+        });
+    } catch (error) {
+        return finish(reporter, options, EXIT.CONNECTION, `Cannot use the destination: ${error.message}`);
+    }
+
+    // A dry run only reads: no checkpoint, no lock
+    if (options.dryRun) {
+        try {
+            await Orchestrator.connect(source.url, source.secret, false);
+        } catch (error) {
+            return finish(reporter, options, EXIT.CONNECTION, `Cannot connect to the source: ${error.message}`);
+        }
+
+        try {
+            printPlan(reporter, options, await Orchestrator.planMigration({
+                mode: options.mode,
+                syncFiles: options.sync,
+                deleteMissing: options.deleteMissing,
+                searchReplaceRules: options.replaceRules,
+                verify: options.verify
+            }, tables => reporter.selectTables(tables)));
+        } catch (error) {
+            return finish(reporter, options, EXIT.FAILED, `Could not build the migration plan: ${error.message}`);
+        }
+
+        return EXIT.OK;
+    }
+
+    const checkpoint = await Orchestrator.loadCheckpoint();
+
+    if (options.resume) {
+        if (!MigrationState.canResume) {
+            return finish(reporter, options, EXIT.NOTHING_TO_RESUME, 'No migration to resume on the destination.');
+        }
+        if (MigrationState.sourceUrl && MigrationState.sourceUrl.replace(/\/$/, '') !== source.url.replace(/\/$/, '')) {
+            return finish(reporter, options, EXIT.USAGE, `The interrupted migration came from ${MigrationState.sourceUrl}; use its migration key to resume.`);
+        }
+        if (checkpoint && checkpoint.active) {
+            reporter.log({ level: 'warn', message: 'The destination saw activity from this migration recently; it may still be running elsewhere.' });
+        }
+    } else {
+        if (checkpoint && checkpoint.active) {
+            return finish(reporter, options, EXIT.LOCKED, 'Another migration is in progress on the destination. Use --resume to continue it.');
+        }
+        // Discard whatever an earlier, abandoned migration left behind
+        await MigrationState.clearSaved();
+        MigrationState.reset();
+    }
+
+    try {
+        await Orchestrator.connect(source.url, source.secret);
+    } catch (error) {
+        return finish(reporter, options, EXIT.CONNECTION, `Cannot connect to the source: ${error.message}`);
+    }
+
+    // First Ctrl+C cancels cleanly (progress is saved), a second one exits immediately
+    let interrupted = false;
+    process.on('SIGINT', () => {
+        if (interrupted) {
+            process.exit(EXIT.CANCELLED);
+        }
+        interrupted = true;
+        reporter.log({ level: 'warn', message: 'Cancelling after the current transfer... (Ctrl+C again to quit now)' });
+        Orchestrator.cancel();
+    });
+
+    let result;
+    try {
+        result = options.resume
+            ? await Orchestrator.resumeMigration()
+            : await Orchestrator.start({
+                mode: options.mode,
+                syncFiles: options.sync,
+                deleteMissing: options.deleteMissing,
+                searchReplaceRules: options.replaceRules,
+                reviewSearchReplace: options.reviewReplace,
+                searchReplaceExclude: options.replaceExclude,
+                verify: options.verify
+            });
+    } catch (error) {
+        await MigrationState.serverSync;
+        return finish(reporter, options, EXIT.FAILED, `Migration failed: ${error.message}`);
+    }
+
+    if (result === 'cancelled') {
+        await MigrationState.serverSync;
+        return finish(reporter, options, EXIT.CANCELLED, 'Migration cancelled. Run again with --resume to continue.');
+    }
+
+    if (MigrationState.failedFiles.length > 0 &&
+        await reporter.confirm(`${MigrationState.failedFiles.length} file(s) failed to transfer. Retry them?`)) {
+        await Orchestrator.retryFailedFiles();
+    }
+
+    if (MigrationState.verification) {
+        await retransferMismatches(reporter);
+    }
+
+    if (options.reportFile) {
+        await writeReport(reporter, options.reportFile);
+    }
+
+    const mismatches = Orchestrator.getMismatches();
+    if (mismatches.tables.length > 0 || mismatches.files.length > 0) {
+        return finish(reporter, options, EXIT.MISMATCH, 'Migration complete, but the destination still differs from the source.');
+    }
+
+    if (MigrationState.failedFiles.length > 0) {
+        return finish(reporter, options, EXIT.FILES_FAILED, 'Migration complete, but some files failed to transfer. Run again with --sync to copy them.');
+    }
+
+    return finish(reporter, options, EXIT.OK, 'Migration complete.');
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2), process.env).then(code => {
+        process.exit(code);
+    }, error => {
+        process.stderr.write(`${error.stack || error}\n`);
+        process.exit(EXIT.FAILED);
+    });
+}
+
+module.exports = { EXIT, main, parseArgs, parseMigrationKey, tableMatcher };
@@ -9,10 +9,19 @@
 
 namespace Simple_Migrator\Admin;
 
+use Simple_Migrator\AJAX_Handler;
+use Simple_Migrator\Migration_History;
 use Simple_Migrator\Settings;
 
 class Admin_Page {
 
+    /**
+     * Migration attempts per History tab page
+     *
+     * @var int
+     */
+    const HISTORY_PER_PAGE = 20;
+
     /**
      * Single instance
      *
@@ -38,6 +47,7 @@ class Admin_Page {
     private function __construct() {
         add_action('admin_menu', array($this, 'add_admin_menu'));
         add_action('admin_enqueue_scripts', array($this, 'enqueue_scripts'));
+        add_action('admin_post_sm_export_history', array($this, 'export_history'));
     }
 
     /**
@@ -83,10 +93,18 @@ class Admin_Page {
         );
 
         // Enqueue scripts
+        wp_enqueue_script(
+            'sm-core-js',
+            SM_PLUGIN_URL . 'assets/js/migrator-core.js',
+            array(),
+            SM_VERSION,
+            true
+        );
+
         wp_enqueue_script(
             'sm-admin-js',
             SM_PLUGIN_URL . 'assets/js/admin.js',
-            array('jquery'),
+            array('jquery', 'sm-core-js'),
             SM_VERSION,
             true
         );
@@ -101,8 +119,14 @@ class Admin_Page {
             'homeUrl'      => home_url(),
             'settings'     => array(
                 'chunkSize'  => $sm_settings->get('chunk_size'),
+                'parallelTransfers' => $sm_settings->get('parallel_transfers'),
                 'batchSize'  => $sm_settings->get('batch_size'),
+                'prefetchDepth' => $sm_settings->get('prefetch_depth'),
+                'bandwidthLimit' => $sm_settings->get('bandwidth_limit'),
+                'requestsPerSecond' => $sm_settings->get('requests_per_second'),
                 'maxRetries' => $sm_settings->get('max_retries'),
+                'postMaxSize' => wp_convert_hr_to_bytes(ini_get('post_max_size')),
+                'binaryEncodings' => AJAX_Handler::get_binary_encodings(),
             ),
             'strings'      => array(
                 'connectionSuccess' => __('Connection successful!', 'simple-migrator'),
@@ -123,11 +147,25 @@ class Admin_Page {
 
         // Get current mode
         $mode = get_option('sm_source_mode', 'none');
+        $tab = isset($_GET['tab']) && $_GET['tab'] === 'history' ? 'history' : 'migration';
 
         ?>
         <div class="wrap sm-admin-wrap">
             <h1><?php echo esc_html(get_admin_page_title()); ?></h1>
 
+            <nav class="nav-tab-wrapper sm-tabs">
+                <a href="<?php echo esc_url(admin_url('admin.php?page=simple-migrator')); ?>" class="nav-tab<?php echo $tab === 'migration' ? ' nav-tab-active' : ''; ?>">
+                    <?php _e('Migration', 'simple-migrator'); ?>
+                </a>
+                <a href="<?php echo esc_url(admin_url('admin.php?page=simple-migrator&tab=history')); ?>" class="nav-tab<?php echo $tab === 'history' ? ' nav-tab-active' : ''; ?>">
+                    <?php _e('History', 'simple-migrator'); ?>
+                </a>
+            </nav>
+
+            <?php if ($tab === 'history') : ?>
+                <?php $this->render_history_tab(); ?>
+            <?php else : ?>
+
             <div class="sm-mode-selector">
                 <h2><?php _e('Select Migration Mode', 'simple-migrator'); ?></h2>
                 <p class="description">
@@ -258,7 +296,7 @@ class Admin_Page {
                     </div>
 
                     <div class="sm-progress-section">
-                        <h4><?php _e('Database Phase', 'simple-migrator'); ?></h4>
+                        <h4><?php _e('Database Phase', 'simple-migrator'); ?> <span class="sm-throughput" id="sm-database-throughput"></span></h4>
                         <div class="sm-progress-bar" role="progressbar" aria-valuenow="0" aria-valuemin="0" aria-valuemax="100">
                             <div class="sm-progress-fill" id="sm-database-progress" style="width: 0%;"></div>
                         </div>
@@ -266,7 +304,7 @@ class Admin_Page {
                     </div>
 
                     <div class="sm-progress-section">
-                        <h4><?php _e('Files Phase', 'simple-migrator'); ?></h4>
+                        <h4><?php _e('Files Phase', 'simple-migrator'); ?> <span class="sm-throughput" id="sm-files-throughput"></span></h4>
                         <div class="sm-progress-bar" role="progressbar" aria-valuenow="0" aria-valuemin="0" aria-valuemax="100">
                             <div class="sm-progress-fill" id="sm-files-progress" style="width: 0%;"></div>
                         </div>
@@ -281,12 +319,110 @@ class Admin_Page {
                         <div class="sm-progress-status" id="sm-finalize-status"><?php _e('Waiting to start...', 'simple-migrator'); ?></div>
                     </div>
 
+                    <div class="sm-progress-section">
+                        <h4><?php _e('Verify Phase', 'simple-migrator'); ?></h4>
+                        <div class="sm-progress-bar" role="progressbar" aria-valuenow="0" aria-valuemin="0" aria-valuemax="100">
+                            <div class="sm-progress-fill" id="sm-verify-progress" style="width: 0%;"></div>
+                        </div>
+                        <div class="sm-progress-status" id="sm-verify-status"><?php _e('Waiting to start...', 'simple-migrator'); ?></div>
+                    </div>
+
+                    <div class="sm-failed-files" aria-live="polite" style="display: none;"></div>
+
+                    <div id="sm-transfer-limits" class="sm-transfer-limits" style="display: none;">
+                        <label for="sm-live-bandwidth-limit"><?php _e('Bandwidth limit (KB/s)', 'simple-migrator'); ?></label>
+                        <input type="number" id="sm-live-bandwidth-limit" class="small-text" min="0" max="102400" step="64">
+                        <label for="sm-live-requests-per-second"><?php _e('Requests per second', 'simple-migrator'); ?></label>
+                        <input type="number" id="sm-live-requests-per-second" class="small-text" min="0" max="100" step="1">
+                        <span class="description"><?php _e('0 for no limit. Applies to this migration only.', 'simple-migrator'); ?></span>
+                    </div>
+
+                    <div id="sm-migration-options">
+                        <div class="sm-form-group">
+                            <label for="sm-migration-mode"><?php _e('What to Migrate', 'simple-migrator'); ?></label>
+                            <select id="sm-migration-mode">
+                                <option value="full"><?php _e('Full site (database and files)', 'simple-migrator'); ?></option>
+                                <option value="database"><?php _e('Database only', 'simple-migrator'); ?></option>
+                                <option value="files"><?php _e('Files only (plugins, themes and uploads)', 'simple-migrator'); ?></option>
+                                <option value="uploads"><?php _e('Uploads only', 'simple-migrator'); ?></option>
+                                <option value="code"><?php _e('Plugins & themes only', 'simple-migrator'); ?></option>
+                            </select>
+                            <p class="description">
+                                <?php _e('Partial migrations leave everything else on this site untouched. Search & replace and settings restoration only run when the database is migrated.', 'simple-migrator'); ?>
+                            </p>
+                        </div>
+
+                        <div class="sm-form-group">
+                            <label class="sm-checkbox-label">
+                                <input type="checkbox" id="sm-sync-files" value="1">
+                                <span><?php _e('Only transfer files that changed', 'simple-migrator'); ?></span>
+                            </label>
+                            <label class="sm-checkbox-label">
+                                <input type="checkbox" id="sm-delete-missing" value="1" disabled>
+                                <span><?php _e('Delete destination files that no longer exist on the source', 'simple-migrator'); ?></span>
+                            </label>
+                            <p class="description">
+                                <?php _e('Compares file sizes and checksums with the destination copy, so repeat migrations only send what is new or modified.', 'simple-migrator'); ?>
+                            </p>
+                        </div>
+
+                        <div class="sm-form-group" id="sm-search-replace-rules">
+                            <label><?php _e('Search & Replace', 'simple-migrator'); ?></label>
+                            <label class="sm-checkbox-label">
+                                <input type="checkbox" id="sm-review-search-replace" value="1" checked>
+                                <span><?php _e('Preview the changes and ask before applying them', 'simple-migrator'); ?></span>
+                            </label>
+                            <table class="wp-list-table widefat fixed sm-rules-table">
+                                <thead>
+                                    <tr>
+                                        <th><?php _e('Search', 'simple-migrator'); ?></th>
+                                        <th><?php _e('Replace', 'simple-migrator'); ?></th>
+                                        <th class="sm-rule-flag"><?php _e('Regex', 'simple-migrator'); ?></th>
+                                        <th class="sm-rule-flag"><?php _e('Match Case', 'simple-migrator'); ?></th>
+                                        <th><?php _e('Tables', 'simple-migrator'); ?></th>
+                                        <th class="sm-rule-remove"></th>
+                                    </tr>
+                                </thead>
+                                <tbody id="sm-rules-list"></tbody>
+                            </table>
+                            <button type="button" class="button" id="sm-add-rule">
+                                <span class="dashicons dashicons-plus-alt2"></span>
+                                <?php _e('Add Rule', 'simple-migrator'); ?>
+                            </button>
+                            <p class="description">
+                                <?php _e('Extra rules are applied in order after the source URL is replaced, keeping serialized data intact. Regular expressions are written without delimiters and can use $1 for captured groups. Tables are unprefixed names separated by commas (posts, postmeta); leave empty for all tables.', 'simple-migrator'); ?>
+                            </p>
+                            <label for="sm-replace-exclude"><?php _e('Skip Tables', 'simple-migrator'); ?></label>
+                            <input type="text" id="sm-replace-exclude" class="regular-text" placeholder="wc_sessions, actionscheduler_logs">
+                            <p class="description">
+                                <?php _e('Search & replace runs over every migrated table. List unprefixed table names, separated by commas, to leave out.', 'simple-migrator'); ?>
+                            </p>
+                        </div>
+
+                        <div class="sm-form-group">
+                            <label class="sm-checkbox-label">
+                                <input type="checkbox" id="sm-verify" value="1">
+                                <span><?php _e('Verify the result against the source', 'simple-migrator'); ?></span>
+                            </label>
+                            <p class="description">
+                                <?php _e('After finalizing, compares row counts and row checksums of the migrated tables and the size and checksum of every file with the source, and lists anything that differs so it can be transferred again. Protected tables keep rows of this site and are not compared.', 'simple-migrator'); ?>
+                            </p>
+                        </div>
+                    </div>
+
+                    <div id="sm-plan-report" class="sm-plan-report" style="display: none;"></div>
+
                     <div class="sm-actions">
                         <button type="button" class="button button-primary button-hero" id="sm-start-migration">
                             <span class="dashicons dashicons-download"></span>
                             <?php _e('Start Migration', 'simple-migrator'); ?>
                         </button>
 
+                        <button type="button" class="button button-hero" id="sm-preview-migration">
+                            <span class="dashicons dashicons-visibility"></span>
+                            <?php _e('Preview Migration', 'simple-migrator'); ?>
+                        </button>
+
                         <button type="button" class="button" id="sm-pause-migration" style="display: none;">
                             <span class="dashicons dashicons-pause"></span>
                             <?php _e('Pause', 'simple-migrator'); ?>
@@ -297,6 +433,8 @@ class Admin_Page {
                             <?php _e('Cancel', 'simple-migrator'); ?>
                         </button>
                     </div>
+
+                    <?php $this->render_log_panel('migration'); ?>
                 </div>
 
                 <div class="sm-card">
@@ -328,6 +466,8 @@ class Admin_Page {
                         <div class="sm-progress-status" id="sm-backup-progress-status"><?php _e('Preparing...', 'simple-migrator'); ?></div>
                     </div>
 
+                    <?php $this->render_log_panel('backup'); ?>
+
                     <div id="sm-backup-list" class="sm-backup-list">
                         <p class="description"><?php _e('Loading backups...', 'simple-migrator'); ?></p>
                     </div>
@@ -343,10 +483,354 @@ class Admin_Page {
                     </p>
                 </div>
             </div>
+
+            <?php endif; ?>
         </div>
         <?php
     }
 
+    /**
+     * Render the History tab: the list of migration attempts, or one attempt with ?run=<id>
+     */
+    private function render_history_tab() {
+        $run_id = isset($_GET['run']) ? absint($_GET['run']) : 0;
+        if ($run_id) {
+            $this->render_history_run($run_id);
+            return;
+        }
+
+        $page = isset($_GET['paged']) ? max(1, absint($_GET['paged'])) : 1;
+        $history = Migration_History::get_runs($page, self::HISTORY_PER_PAGE);
+
+        ?>
+        <div class="sm-card sm-history">
+            <h3>
+                <?php _e('Migration History', 'simple-migrator'); ?>
+                <?php if (!empty($history['runs'])) : ?>
+                    <a href="<?php echo esc_url($this->get_history_export_url()); ?>" class="button sm-history-export">
+                        <span class="dashicons dashicons-download"></span>
+                        <?php _e('Export JSON', 'simple-migrator'); ?>
+                    </a>
+                <?php endif; ?>
+            </h3>
+            <p class="description">
+                <?php _e('Every migration attempt into this site, newest first. A resumed migration is listed once per attempt.', 'simple-migrator'); ?>
+            </p>
+
+            <?php if (empty($history['runs'])) : ?>
+                <div class="sm-no-backups"><?php _e('No migrations have been run into this site yet.', 'simple-migrator'); ?></div>
+            <?php else : ?>
+                <table class="wp-list-table widefat fixed striped sm-history-table">
+                    <thead>
+                        <tr>
+                            <th><?php _e('Started', 'simple-migrator'); ?></th>
+                            <th><?php _e('Source', 'simple-migrator'); ?></th>
+                            <th><?php _e('Run By', 'simple-migrator'); ?></th>
+                            <th><?php _e('Outcome', 'simple-migrator'); ?></th>
+                            <th><?php _e('Phases Completed', 'simple-migrator'); ?></th>
+                            <th><?php _e('Rows', 'simple-migrator'); ?></th>
+                            <th><?php _e('Files', 'simple-migrator'); ?></th>
+                            <th><?php _e('Data', 'simple-migrator'); ?></th>
+                            <th><?php _e('Retries', 'simple-migrator'); ?></th>
+                            <th><?php _e('Errors', 'simple-migrator'); ?></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <?php foreach ($history['runs'] as $run) : ?>
+                            <tr>
+                                <td><a href="<?php echo esc_url($this->get_history_run_url($run['id'])); ?>"><?php echo esc_html($run['started_at']); ?></a></td>
+                                <td><code><?php echo esc_html($run['source_url']); ?></code></td>
+                                <td><?php echo esc_html($run['user_login'] ?: '—'); ?></td>
+                                <td><?php $this->render_history_status($run['status']); ?></td>
+                                <td><?php echo esc_html($run['phases'] ? implode(', ', $run['phases']) : '—'); ?></td>
+                                <td><?php echo esc_html(number_format_i18n($run['rows_transferred'])); ?></td>
+                                <td><?php echo esc_html(number_format_i18n($run['files_transferred'])); ?></td>
+                                <td><?php echo esc_html(size_format($run['bytes_transferred']) ?: '0 B'); ?></td>
+                                <td><?php echo esc_html(number_format_i18n($run['retries'])); ?></td>
+                                <td><?php echo esc_html(number_format_i18n($run['error_count'])); ?></td>
+                            </tr>
+                        <?php endforeach; ?>
+                    </tbody>
+                </table>
+
+                <?php
+                $pagination = paginate_links(array(
+                    'base'    => add_query_arg('paged', '%#%'),
+                    'format'  => '',
+                    'current' => $page,
+                    'total'   => (int) ceil($history['total'] / self::HISTORY_PER_PAGE),
+                ));
+                if ($pagination) {
+                    echo '<div class="tablenav"><div class="tablenav-pages">' . $pagination . '</div></div>';
+                }
+                ?>
+            <?php endif; ?>
+        </div>
+        <?php
+    }
+
+    /**
+     * Render the detail view of one migration attempt
+     *
+     * @param int $run_id
+     */
+    private function render_history_run($run_id) {
+        $run = Migration_History::get_run($run_id);
+        $back_url = admin_url('admin.php?page=simple-migrator&tab=history');
+
+        if (!$run) {
+            ?>
+            <div class="notice notice-error"><p><?php _e('Migration not found in the history.', 'simple-migrator'); ?></p></div>
+            <p><a href="<?php echo esc_url($back_url); ?>"><?php _e('← Back to History', 'simple-migrator'); ?></a></p>
+            <?php
+            return;
+        }
+
+        $details = $run['details'];
+        $stats = isset($details['stats']) && is_array($details['stats']) ? $details['stats'] : array();
+        $options = isset($details['options']) && is_array($details['options']) ? $details['options'] : array();
+        $errors = isset($stats['errors']) && is_array($stats['errors']) ? $stats['errors'] : array();
+        $replace_tables = isset($stats['searchReplaceTables']) && is_array($stats['searchReplaceTables']) ? $stats['searchReplaceTables'] : array();
+
+        ?>
+        <p><a href="<?php echo esc_url($back_url); ?>"><?php _e('← Back to History', 'simple-migrator'); ?></a></p>
+
+        <div class="sm-card sm-history">
+            <h3>
+                <?php printf(__('Migration from %s', 'simple-migrator'), '<code>' . esc_html($run['source_url']) . '</code>'); ?>
+                <a href="<?php echo esc_url($this->get_history_export_url($run['id'])); ?>" class="button sm-history-export">
+                    <span class="dashicons dashicons-download"></span>
+                    <?php _e('Export JSON', 'simple-migrator'); ?>
+                </a>
+            </h3>
+
+            <table class="wp-list-table widefat fixed striped">
+                <tbody>
+                    <tr>
+                        <th><?php _e('Outcome', 'simple-migrator'); ?></th>
+                        <td><?php $this->render_history_status($run['status']); ?></td>
+                    </tr>
+                    <?php if (!empty($details['error'])) : ?>
+                        <tr>
+                            <th><?php _e('Error', 'simple-migrator'); ?></th>
+                            <td><?php echo esc_html($details['error']); ?></td>
+                        </tr>
+                    <?php endif; ?>
+                    <tr>
+                        <th><?php _e('Run By', 'simple-migrator'); ?></th>
+                        <td><?php echo esc_html($run['user_login'] ?: '—'); ?></td>
+                    </tr>
+                    <tr>
+                        <th><?php _e('Started', 'simple-migrator'); ?></th>
+                        <td><?php echo esc_html($run['started_at']); ?></td>
+                    </tr>
+                    <tr>
+                        <th><?php _e('Ended', 'simple-migrator'); ?></th>
+                        <td><?php echo esc_html($run['ended_at'] ?: '—'); ?></td>
+                    </tr>
+                    <tr>
+                        <th><?php _e('Migration ID', 'simple-migrator'); ?></th>
+                        <td><code><?php echo esc_html($run['migration_id'] ?: '—'); ?></code></td>
+                    </tr>
+                    <tr>
+                        <th><?php _e('What to Migrate', 'simple-migrator'); ?></th>
+                        <td><?php echo esc_html(isset($options['mode']) ? $options['mode'] : '—'); ?></td>
+                    </tr>
+                    <tr>
+                        <th><?php _e('Phases Completed', 'simple-migrator'); ?></th>
+                        <td><?php echo esc_html($run['phases'] ? implode(', ', $run['phases']) : '—'); ?></td>
+                    </tr>
+                    <tr>
+                        <th><?php _e('Rows Transferred', 'simple-migrator'); ?></th>
+                        <td><?php echo esc_html(number_format_i18n($run['rows_transferred'])); ?></td>
+                    </tr>
+                    <tr>
+                        <th><?php _e('Files Transferred', 'simple-migrator'); ?></th>
+                        <td><?php echo esc_html(number_format_i18n($run['files_transferred'])); ?></td>
+                    </tr>
+                    <?php if (!empty($stats['filesSkipped'])) : ?>
+                        <tr>
+                            <th><?php _e('Files Unchanged', 'simple-migrator'); ?></th>
+                            <td><?php echo esc_html(number_format_i18n($stats['filesSkipped'])); ?></td>
+                        </tr>
+                    <?php endif; ?>
+                    <?php if (!empty($stats['filesDeleted'])) : ?>
+                        <tr>
+                            <th><?php _e('Files Deleted', 'simple-migrator'); ?></th>
+                            <td><?php echo esc_html(number_format_i18n($stats['filesDeleted'])); ?></td>
+                        </tr>
+                    <?php endif; ?>
+                    <tr>
+                        <th><?php _e('Data Transferred', 'simple-migrator'); ?></th>
+                        <td><?php echo esc_html(size_format($run['bytes_transferred']) ?: '0 B'); ?></td>
+                    </tr>
+                    <tr>
+                        <th><?php _e('Retries', 'simple-migrator'); ?></th>
+                        <td><?php echo esc_html(number_format_i18n($run['retries'])); ?></td>
+                    </tr>
+                </tbody>
+            </table>
+
+            <?php if (!empty($errors)) : ?>
+                <h4><?php printf(__('Errors (%s)', 'simple-migrator'), esc_html(number_format_i18n(count($errors)))); ?></h4>
+                <table class="wp-list-table widefat fixed striped">
+                    <thead>
+                        <tr>
+                            <th><?php _e('Time', 'simple-migrator'); ?></th>
+                            <th><?php _e('Context', 'simple-migrator'); ?></th>
+                            <th><?php _e('Message', 'simple-migrator'); ?></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <?php foreach ($errors as $error) : ?>
+                            <tr>
+                                <td><?php echo esc_html(isset($error['timestamp']) ? $error['timestamp'] : ''); ?></td>
+                                <td><?php echo esc_html(isset($error['context']) ? $error['context'] : ''); ?></td>
+                                <td><?php echo esc_html(isset($error['message']) ? $error['message'] : ''); ?></td>
+                            </tr>
+                        <?php endforeach; ?>
+                    </tbody>
+                </table>
+            <?php endif; ?>
+
+            <?php if (!empty($replace_tables)) : ?>
+                <h4><?php _e('Search & Replace', 'simple-migrator'); ?></h4>
+                <table class="wp-list-table widefat fixed striped">
+                    <thead>
+                        <tr>
+                            <th><?php _e('Table', 'simple-migrator'); ?></th>
+                            <th><?php _e('Rows Processed', 'simple-migrator'); ?></th>
+                            <th><?php _e('Rows Updated', 'simple-migrator'); ?></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <?php foreach ($replace_tables as $table) : ?>
+                            <tr>
+                                <td><code><?php echo esc_html(isset($table['table']) ? $table['table'] : ''); ?></code></td>
+                                <td><?php echo esc_html(number_format_i18n(isset($table['rows_processed']) ? $table['rows_processed'] : 0)); ?></td>
+                                <td><?php echo esc_html(number_format_i18n(isset($table['replacements_made']) ? $table['replacements_made'] : 0)); ?></td>
+                            </tr>
+                        <?php endforeach; ?>
+                    </tbody>
+                </table>
+            <?php endif; ?>
+
+            <details class="sm-history-options">
+                <summary><?php _e('Migration options', 'simple-migrator'); ?></summary>
+                <pre><?php echo esc_html(wp_json_encode($options, JSON_PRETTY_PRINT)); ?></pre>
+            </details>
+        </div>
+        <?php
+    }
+
+    /**
+     * Render a collapsible log panel; admin.js fills it with the log entries of its scope
+     *
+     * @param string $scope migration or backup
+     */
+    private function render_log_panel($scope) {
+        ?>
+        <details class="sm-log-panel" data-log-scope="<?php echo esc_attr($scope); ?>">
+            <summary>
+                <?php _e('Log', 'simple-migrator'); ?>
+                <span class="sm-log-count">0</span>
+            </summary>
+            <div class="sm-log-toolbar">
+                <label>
+                    <?php _e('Show', 'simple-migrator'); ?>
+                    <select class="sm-log-level">
+                        <option value="info"><?php _e('All entries', 'simple-migrator'); ?></option>
+                        <option value="warn"><?php _e('Warnings and errors', 'simple-migrator'); ?></option>
+                        <option value="error"><?php _e('Errors only', 'simple-migrator'); ?></option>
+                    </select>
+                </label>
+                <button type="button" class="button button-small sm-log-copy">
+                    <span class="dashicons dashicons-admin-page"></span>
+                    <?php _e('Copy Log', 'simple-migrator'); ?>
+                </button>
+                <button type="button" class="button button-small sm-log-download">
+                    <span class="dashicons dashicons-download"></span>
+                    <?php _e('Download Log', 'simple-migrator'); ?>
+                </button>
+            </div>
+            <div class="sm-log-entries" role="log" aria-live="polite">
+                <p class="sm-log-empty description"><?php _e('Nothing logged yet.', 'simple-migrator'); ?></p>
+            </div>
+        </details>
+        <?php
+    }
+
+    /**
+     * Render a migration outcome badge
+     *
+     * @param string $status running, complete, cancelled or error
+     */
+    private function render_history_status($status) {
+        $labels = array(
+            'running'   => __('Running or interrupted', 'simple-migrator'),
+            'complete'  => __('Complete', 'simple-migrator'),
+            'cancelled' => __('Cancelled', 'simple-migrator'),
+            'error'     => __('Failed', 'simple-migrator'),
+        );
+        $label = isset($labels[$status]) ? $labels[$status] : $status;
+
+        echo '<span class="sm-history-status sm-history-status-' . esc_attr($status) . '">' . esc_html($label) . '</span>';
+    }
+
+    /**
+     * Get the detail view URL of a migration attempt
+     *
+     * @param int $run_id
+     * @return string
+     */
+    private function get_history_run_url($run_id) {
+        return admin_url('admin.php?page=simple-migrator&tab=history&run=' . $run_id);
+    }
+
+    /**
+     * Get the JSON export URL of one attempt, or of the whole history
+     *
+     * @param int $run_id Attempt to export, 0 for all
+     * @return string
+     */
+    private function get_history_export_url($run_id = 0) {
+        $url = admin_url('admin-post.php?action=sm_export_history');
+        if ($run_id) {
+            $url = add_query_arg('run', $run_id, $url);
+        }
+        return wp_nonce_url($url, 'sm_export_history');
+    }
+
+    /**
+     * Download one migration attempt, or the whole history, as JSON
+     */
+    public function export_history() {
+        if (!current_user_can('manage_options')) {
+            wp_die(__('You do not have sufficient permissions to access this page.', 'simple-migrator'));
+        }
+
+        check_admin_referer('sm_export_history');
+
+        $run_id = isset($_GET['run']) ? absint($_GET['run']) : 0;
+        if ($run_id) {
+            $export = Migration_History::get_run($run_id);
+            if (!$export) {
+                wp_die(__('Migration not found in the history.', 'simple-migrator'));
+            }
+            $filename = 'sm-migration-' . $run_id . '.json';
+        } else {
+            $export = Migration_History::get_all_runs();
+            $filename = 'sm-migration-history-' . gmdate('Y-m-d') . '.json';
+        }
+
+        nocache_headers();
+        header('Content-Type: application/json; charset=utf-8');
+        header('Content-Disposition: attachment; filename="' . $filename . '"');
+
+        echo wp_json_encode($export, JSON_PRETTY_PRINT);
+        exit;
+    }
+
     /**
      * Get migration key string
      *
@@ -53,7 +53,11 @@ class Settings_Page {
 
         // Convert stored values to display units
         $chunk_mb   = $settings->get('chunk_size') / (1024 * 1024);
+        $parallel_transfers = $settings->get('parallel_transfers');
         $batch_size = $settings->get('batch_size');
+        $prefetch_depth = $settings->get('prefetch_depth');
+        $bandwidth_limit = $settings->get('bandwidth_limit');
+        $requests_per_second = $settings->get('requests_per_second');
         $max_retries = $settings->get('max_retries');
         $max_backups = $settings->get('max_backups');
         $lock_min   = $settings->get('lock_timeout') / 60;
@@ -86,6 +90,19 @@ class Settings_Page {
                         </p>
                     </div>
 
+                    <div class="sm-settings-field">
+                        <label for="sm-parallel-transfers">
+                            <?php _e('Parallel Transfers', 'simple-migrator'); ?>
+                            <span class="sm-settings-unit">(files)</span>
+                        </label>
+                        <input type="number" id="sm-parallel-transfers" name="parallel_transfers"
+                               value="<?php echo esc_attr($parallel_transfers); ?>"
+                               min="1" max="10" step="1" />
+                        <p class="description">
+                            <?php _e('Number of files transferred at the same time. Higher values hide network latency but put more load on both servers. Default: 3.', 'simple-migrator'); ?>
+                        </p>
+                    </div>
+
                     <div class="sm-settings-field">
                         <label for="sm-batch-size">
                             <?php _e('Batch Size', 'simple-migrator'); ?>
@@ -99,6 +116,45 @@ class Settings_Page {
                         </p>
                     </div>
 
+                    <div class="sm-settings-field">
+                        <label for="sm-prefetch-depth">
+                            <?php _e('Row Prefetch', 'simple-migrator'); ?>
+                            <span class="sm-settings-unit">(batches)</span>
+                        </label>
+                        <input type="number" id="sm-prefetch-depth" name="prefetch_depth"
+                               value="<?php echo esc_attr($prefetch_depth); ?>"
+                               min="0" max="5" step="1" />
+                        <p class="description">
+                            <?php _e('Number of row batches downloaded from the source while the destination is still inserting the previous one. 0 waits for each insert before the next download. Default: 2.', 'simple-migrator'); ?>
+                        </p>
+                    </div>
+
+                    <div class="sm-settings-field">
+                        <label for="sm-bandwidth-limit">
+                            <?php _e('Bandwidth Limit', 'simple-migrator'); ?>
+                            <span class="sm-settings-unit">(KB/s)</span>
+                        </label>
+                        <input type="number" id="sm-bandwidth-limit" name="bandwidth_limit"
+                               value="<?php echo esc_attr($bandwidth_limit); ?>"
+                               min="0" max="102400" step="64" />
+                        <p class="description">
+                            <?php _e('Maximum download speed from the source for files and table rows. Use it for shared hosts that suspend accounts under heavy traffic. Can be changed while a migration runs. Default: 0 (unlimited).', 'simple-migrator'); ?>
+                        </p>
+                    </div>
+
+                    <div class="sm-settings-field">
+                        <label for="sm-requests-per-second">
+                            <?php _e('Request Rate Limit', 'simple-migrator'); ?>
+                            <span class="sm-settings-unit">(requests/s)</span>
+                        </label>
+                        <input type="number" id="sm-requests-per-second" name="requests_per_second"
+                               value="<?php echo esc_attr($requests_per_second); ?>"
+                               min="0" max="100" step="1" />
+                        <p class="description">
+                            <?php _e('Maximum file and table row downloads started per second, across all parallel transfers. Default: 0 (unlimited).', 'simple-migrator'); ?>
+                        </p>
+                    </div>
+
                     <div class="sm-settings-field">
                         <label for="sm-max-retries">
                             <?php _e('Max Retries', 'simple-migrator'); ?>
@@ -203,7 +259,11 @@ class Settings_Page {
                     action: 'sm_save_settings',
                     nonce: smData.nonce,
                     chunk_size: $('#sm-chunk-size').val(),
+                    parallel_transfers: $('#sm-parallel-transfers').val(),
                     batch_size: $('#sm-batch-size').val(),
+                    prefetch_depth: $('#sm-prefetch-depth').val(),
+                    bandwidth_limit: $('#sm-bandwidth-limit').val(),
+                    requests_per_second: $('#sm-requests-per-second').val(),
                     max_retries: $('#sm-max-retries').val(),
                     max_backups: $('#sm-max-backups').val(),
                     lock_timeout: $('#sm-lock-timeout').val()
@@ -237,7 +297,11 @@ class Settings_Page {
                         // Update form fields with defaults
                         var d = response.data;
                         $('#sm-chunk-size').val(d.chunk_size);
+                        $('#sm-parallel-transfers').val(d.parallel_transfers);
                         $('#sm-batch-size').val(d.batch_size);
+                        $('#sm-prefetch-depth').val(d.prefetch_depth);
+                        $('#sm-bandwidth-limit').val(d.bandwidth_limit);
+                        $('#sm-requests-per-second').val(d.requests_per_second);
                         $('#sm-max-retries').val(d.max_retries);
                         $('#sm-max-backups').val(d.max_backups);
                         $('#sm-lock-timeout').val(d.lock_timeout);
@@ -288,9 +352,21 @@ class Settings_Page {
         if (isset($_POST['chunk_size'])) {
             $values['chunk_size'] = (int) (floatval($_POST['chunk_size']) * 1024 * 1024);
         }
+        if (isset($_POST['parallel_transfers'])) {
+            $values['parallel_transfers'] = (int) $_POST['parallel_transfers'];
+        }
         if (isset($_POST['batch_size'])) {
             $values['batch_size'] = (int) $_POST['batch_size'];
         }
+        if (isset($_POST['prefetch_depth'])) {
+            $values['prefetch_depth'] = (int) $_POST['prefetch_depth'];
+        }
+        if (isset($_POST['bandwidth_limit'])) {
+            $values['bandwidth_limit'] = (int) $_POST['bandwidth_limit'];
+        }
+        if (isset($_POST['requests_per_second'])) {
+            $values['requests_per_second'] = (int) $_POST['requests_per_second'];
+        }
         if (isset($_POST['max_retries'])) {
             $values['max_retries'] = (int) $_POST['max_retries'];
         }
@@ -333,7 +409,11 @@ class Settings_Page {
         // Return defaults in display units
         wp_send_json_success(array(
             'chunk_size'  => $defaults['chunk_size'] / (1024 * 1024),
+            'parallel_transfers' => $defaults['parallel_transfers'],
             'batch_size'  => $defaults['batch_size'],
+            'prefetch_depth' => $defaults['prefetch_depth'],
+            'bandwidth_limit' => $defaults['bandwidth_limit'],
+            'requests_per_second' => $defaults['requests_per_second'],
             'max_retries' => $defaults['max_retries'],
             'max_backups' => $defaults['max_backups'],
             'lock_timeout' => $defaults['lock_timeout'] / 60,
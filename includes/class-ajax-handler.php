@@ -11,6 +11,51 @@ namespace Simple_Migrator;
 
 class AJAX_Handler {
 
+    /**
+     * Option holding the server-side migration checkpoint
+     *
+     * @var string
+     */
+    const CHECKPOINT_OPTION = 'sm_migration_checkpoint';
+
+    /**
+     * Largest size a compressed row batch may decompress to, in bytes
+     *
+     * @var int
+     */
+    const MAX_ROWS_UPLOAD = 33554432;
+
+    /**
+     * Migration actions also reachable through the REST bridge, mapped to their handlers
+     *
+     * @var array
+     */
+    const REST_ACTIONS = array(
+        'sm_save_source_url'        => 'save_source_url',
+        'sm_get_config'             => 'get_config',
+        'sm_save_tuning'            => 'save_tuning',
+        'sm_save_history'           => 'save_history',
+        'sm_save_checkpoint'        => 'save_checkpoint',
+        'sm_get_checkpoint'         => 'get_checkpoint',
+        'sm_clear_checkpoint'       => 'clear_checkpoint',
+        'sm_prepare_database'       => 'prepare_database',
+        'sm_plan_migration'         => 'plan_migration',
+        'sm_create_table'           => 'create_table',
+        'sm_drop_table'             => 'drop_table',
+        'sm_process_rows'           => 'process_rows',
+        'sm_write_chunk'            => 'write_chunk',
+        'sm_extract_batch'          => 'extract_batch',
+        'sm_get_file_hashes'        => 'get_file_hashes',
+        'sm_list_files'             => 'list_files',
+        'sm_delete_files'           => 'delete_files',
+        'sm_search_replace'         => 'search_replace',
+        'sm_preview_search_replace' => 'preview_search_replace',
+        'sm_search_replace_tables'  => 'search_replace_tables',
+        'sm_verify_rows'            => 'verify_rows',
+        'sm_flush_permalinks'       => 'flush_permalinks',
+        'sm_finalize_migration'     => 'finalize_migration',
+    );
+
     /**
      * Single instance
      *
@@ -25,6 +70,13 @@ class AJAX_Handler {
      */
     private $json_data = null;
 
+    /**
+     * Whether the current request came through the REST bridge
+     *
+     * @var bool
+     */
+    private $rest_request = false;
+
     /**
      * Get instance
      *
@@ -48,15 +100,27 @@ class AJAX_Handler {
         add_action('wp_ajax_sm_save_source_key', array($this, 'save_source_key'));
         add_action('wp_ajax_sm_load_source_key', array($this, 'load_source_key'));
         add_action('wp_ajax_sm_get_config', array($this, 'get_config'));
+        add_action('wp_ajax_sm_save_tuning', array($this, 'save_tuning'));
+        add_action('wp_ajax_sm_save_history', array($this, 'save_history'));
         add_action('wp_ajax_sm_prepare_database', array($this, 'prepare_database'));
+        add_action('wp_ajax_sm_plan_migration', array($this, 'plan_migration'));
         add_action('wp_ajax_sm_process_rows', array($this, 'process_rows'));
         add_action('wp_ajax_sm_write_chunk', array($this, 'write_chunk'));
         add_action('wp_ajax_sm_extract_batch', array($this, 'extract_batch'));
+        add_action('wp_ajax_sm_get_file_hashes', array($this, 'get_file_hashes'));
+        add_action('wp_ajax_sm_list_files', array($this, 'list_files'));
+        add_action('wp_ajax_sm_delete_files', array($this, 'delete_files'));
         add_action('wp_ajax_sm_search_replace', array($this, 'search_replace'));
+        add_action('wp_ajax_sm_preview_search_replace', array($this, 'preview_search_replace'));
+        add_action('wp_ajax_sm_search_replace_tables', array($this, 'search_replace_tables'));
+        add_action('wp_ajax_sm_verify_rows', array($this, 'verify_rows'));
         add_action('wp_ajax_sm_flush_permalinks', array($this, 'flush_permalinks'));
         add_action('wp_ajax_sm_create_table', array($this, 'create_table'));
         add_action('wp_ajax_sm_drop_table', array($this, 'drop_table'));
         add_action('wp_ajax_sm_finalize_migration', array($this, 'finalize_migration'));
+        add_action('wp_ajax_sm_save_checkpoint', array($this, 'save_checkpoint'));
+        add_action('wp_ajax_sm_get_checkpoint', array($this, 'get_checkpoint'));
+        add_action('wp_ajax_sm_clear_checkpoint', array($this, 'clear_checkpoint'));
     }
 
     /**
@@ -88,6 +152,11 @@ class AJAX_Handler {
             return $_POST[$key];
         }
 
+        // Raw uploads carry their parameters in the query string
+        if ($this->is_binary_upload()) {
+            return isset($_GET[$key]) ? $_GET[$key] : null;
+        }
+
         // Check JSON input
         $json_data = $this->get_json_input();
         if ($json_data && isset($json_data[$key])) {
@@ -97,13 +166,74 @@ class AJAX_Handler {
         return null;
     }
 
+    /**
+     * Whether the request body is raw bytes (a binary file chunk)
+     *
+     * @return bool
+     */
+    private function is_binary_upload() {
+        $content_type = isset($_SERVER['CONTENT_TYPE']) ? $_SERVER['CONTENT_TYPE'] : '';
+        return strpos($content_type, 'application/octet-stream') === 0;
+    }
+
+    /**
+     * Compression a raw upload may use, depending on the zlib functions available
+     *
+     * @return array
+     */
+    public static function get_binary_encodings() {
+        $encodings = array('identity');
+        if (function_exists('gzdecode')) {
+            $encodings[] = 'gzip';
+        }
+        if (function_exists('gzuncompress')) {
+            $encodings[] = 'deflate';
+        }
+        return $encodings;
+    }
+
+    /**
+     * Run a migration action for a REST request
+     *
+     * Lets headless clients authenticated with an application password drive
+     * the destination. The handler replies with the same { success, data }
+     * envelope as over admin-ajax.php and exits.
+     *
+     * @param string           $action  AJAX action name, e.g. sm_process_rows
+     * @param \WP_REST_Request $request The REST request
+     * @return \WP_Error Only when the action is unknown
+     */
+    public function handle_rest_action($action, $request) {
+        if (!isset(self::REST_ACTIONS[$action])) {
+            return new \WP_Error(
+                'invalid_action',
+                __('Unknown migration action.', 'simple-migrator'),
+                array('status' => 404)
+            );
+        }
+
+        $this->rest_request = true;
+        $this->json_data = $request->get_json_params() ?: false;
+
+        $method = self::REST_ACTIONS[$action];
+        $this->$method();
+    }
+
     /**
      * Verify AJAX nonce and permissions
-     * Handles both form POST and JSON request bodies
+     * Handles both form POST and JSON request bodies. REST bridge requests were
+     * already authenticated by the REST API, so only the capability is checked.
      *
      * @return bool|WP_Error
      */
     private function verify_request() {
+        if ($this->rest_request) {
+            if (!current_user_can('manage_options')) {
+                return new \WP_Error('insufficient_permissions', __('You do not have sufficient permissions.', 'simple-migrator'));
+            }
+            return true;
+        }
+
         // Get nonce using the unified input method
         $nonce = $this->get_input('nonce');
 
@@ -175,7 +305,7 @@ class AJAX_Handler {
             return;
         }
 
-        $source_url = isset($_POST['source_url']) ? esc_url_raw($_POST['source_url']) : '';
+        $source_url = esc_url_raw((string) $this->get_input('source_url'));
 
         if (empty($source_url)) {
             wp_send_json_error(__('Invalid source URL.', 'simple-migrator'));
@@ -262,13 +392,380 @@ class AJAX_Handler {
 
         global $wpdb;
 
+        $settings = Settings::get_instance();
+
         wp_send_json_success(array(
             'table_prefix' => $wpdb->prefix,
             'home_url' => home_url(),
             'site_url' => site_url(),
+            'source_url' => get_option('sm_source_url', ''),
+            'tuning' => get_option('sm_transfer_tuning', null),
+            'environment' => array(
+                'version'         => SM_VERSION,
+                'wp_version'      => get_bloginfo('version'),
+                'mysql_version'   => $wpdb->db_version(),
+                'php_version'     => PHP_VERSION,
+                'max_upload_size' => size_format(wp_max_upload_size()),
+                'memory_limit'    => ini_get('memory_limit'),
+                'max_execution'   => ini_get('max_execution_time'),
+            ),
+            'settings' => array(
+                'chunkSize'         => $settings->get('chunk_size'),
+                'parallelTransfers' => $settings->get('parallel_transfers'),
+                'batchSize'         => $settings->get('batch_size'),
+                'prefetchDepth'     => $settings->get('prefetch_depth'),
+                'bandwidthLimit'    => $settings->get('bandwidth_limit'),
+                'requestsPerSecond' => $settings->get('requests_per_second'),
+                'maxRetries'        => $settings->get('max_retries'),
+                'postMaxSize'       => wp_convert_hr_to_bytes(ini_get('post_max_size')),
+                'binaryEncodings'   => self::get_binary_encodings(),
+            ),
+        ));
+    }
+
+    /**
+     * Save the chunk and batch sizes a migration ended with
+     *
+     * The next migration from the same source starts from them instead of
+     * the configured sizes.
+     */
+    public function save_tuning() {
+        $verify = $this->verify_request();
+        if (is_wp_error($verify)) {
+            wp_send_json_error($verify->get_error_message());
+            return;
+        }
+
+        $source_url = esc_url_raw((string) $this->get_input('source_url'));
+
+        if (empty($source_url)) {
+            wp_send_json_error(__('Invalid source URL.', 'simple-migrator'));
+            return;
+        }
+
+        $settings = Settings::get_instance();
+        $tuning = array(
+            'source_url' => $source_url,
+            'chunk_size' => $settings->validate('chunk_size', $this->get_input('chunk_size')),
+            'batch_size' => $settings->validate('batch_size', $this->get_input('batch_size')),
+            'updated_at' => time(),
+        );
+
+        update_option('sm_transfer_tuning', $tuning, false);
+
+        wp_send_json_success($tuning);
+    }
+
+    /**
+     * Record a migration attempt in the history
+     *
+     * Called when an attempt starts (without history_id) and again when it
+     * ends, with the outcome, the phases it completed and its stats.
+     */
+    public function save_history() {
+        $verify = $this->verify_request();
+        if (is_wp_error($verify)) {
+            wp_send_json_error($verify->get_error_message());
+            return;
+        }
+
+        $status = sanitize_key((string) $this->get_input('status'));
+        if (!in_array($status, Migration_History::STATUSES, true)) {
+            wp_send_json_error(__('Invalid migration status.', 'simple-migrator'));
+            return;
+        }
+
+        $phases = $this->get_input('phases');
+        $stats = $this->get_input('stats');
+        $options = $this->get_input('options');
+
+        $id = Migration_History::save(absint($this->get_input('history_id')), array(
+            'migration_id' => sanitize_key((string) $this->get_input('migration_id')),
+            'source_url' => esc_url_raw((string) $this->get_input('source_url')),
+            'status' => $status,
+            'phases' => is_array($phases) ? array_values(array_map('sanitize_key', $phases)) : array(),
+            'stats' => is_array($stats) ? $stats : array(),
+            'options' => is_array($options) ? $options : array(),
+            'error' => sanitize_text_field((string) $this->get_input('error')),
+        ));
+
+        if (!$id) {
+            wp_send_json_error(__('Could not record the migration in the history.', 'simple-migrator'));
+            return;
+        }
+
+        wp_send_json_success(array('history_id' => $id));
+    }
+
+    /**
+     * Save the migration checkpoint on the destination
+     *
+     * Lets another browser resume the migration. A checkpoint without a
+     * migration_id starts a new migration and acquires the lock; every save
+     * refreshes the lock so it only expires once the migration goes quiet.
+     */
+    public function save_checkpoint() {
+        $verify = $this->verify_request();
+        if (is_wp_error($verify)) {
+            wp_send_json_error($verify->get_error_message());
+            return;
+        }
+
+        $checkpoint = $this->get_input('checkpoint');
+        if (is_string($checkpoint)) {
+            // Form posts arrive slashed, JSON bodies do not
+            $checkpoint = json_decode(isset($_POST['checkpoint']) ? wp_unslash($checkpoint) : $checkpoint, true);
+        }
+
+        if (!is_array($checkpoint)) {
+            wp_send_json_error(__('Invalid checkpoint.', 'simple-migrator'));
+            return;
+        }
+
+        $migration_id = isset($checkpoint['migration_id']) ? sanitize_key($checkpoint['migration_id']) : '';
+        $lock = get_transient('sm_migration_lock');
+
+        if (empty($migration_id)) {
+            if ($lock) {
+                wp_send_json_error(__('Another migration is already in progress.', 'simple-migrator'));
+                return;
+            }
+            $migration_id = wp_generate_uuid4();
+        } elseif ($lock && $lock !== $migration_id) {
+            wp_send_json_error(__('Another migration is already in progress.', 'simple-migrator'));
+            return;
+        }
+
+        $stored = $this->sanitize_checkpoint($checkpoint);
+        $stored['migration_id'] = $migration_id;
+        $stored['updated_at'] = time();
+        $stored['updated_by'] = get_current_user_id();
+
+        update_option(self::CHECKPOINT_OPTION, $stored, false);
+        set_transient('sm_migration_lock', $migration_id, Settings::get_instance()->get('lock_timeout'));
+
+        wp_send_json_success(array(
+            'migration_id' => $migration_id,
         ));
     }
 
+    /**
+     * Get the migration checkpoint recorded on the destination
+     */
+    public function get_checkpoint() {
+        $verify = $this->verify_request();
+        if (is_wp_error($verify)) {
+            wp_send_json_error($verify->get_error_message());
+            return;
+        }
+
+        $checkpoint = get_option(self::CHECKPOINT_OPTION, null);
+
+        if (!is_array($checkpoint) || empty($checkpoint['migration_id'])) {
+            wp_send_json_success(array('checkpoint' => null));
+            return;
+        }
+
+        $user = get_userdata($checkpoint['updated_by']);
+        $checkpoint['updated_by_name'] = $user ? $user->display_name : '';
+        $checkpoint['active'] = get_transient('sm_migration_lock') === $checkpoint['migration_id'];
+
+        wp_send_json_success(array('checkpoint' => $checkpoint));
+    }
+
+    /**
+     * Clear the migration checkpoint and release its lock
+     */
+    public function clear_checkpoint() {
+        $verify = $this->verify_request();
+        if (is_wp_error($verify)) {
+            wp_send_json_error($verify->get_error_message());
+            return;
+        }
+
+        $migration_id = sanitize_key((string) $this->get_input('migration_id'));
+        $checkpoint = get_option(self::CHECKPOINT_OPTION, null);
+
+        // Only the migration that owns the checkpoint may clear it
+        if (is_array($checkpoint) && isset($checkpoint['migration_id']) && $checkpoint['migration_id'] !== $migration_id) {
+            wp_send_json_error(__('Checkpoint belongs to a different migration.', 'simple-migrator'));
+            return;
+        }
+
+        delete_option(self::CHECKPOINT_OPTION);
+
+        if (get_transient('sm_migration_lock') === $migration_id) {
+            delete_transient('sm_migration_lock');
+        }
+
+        wp_send_json_success();
+    }
+
+    /**
+     * Whitelist and sanitize a checkpoint sent by the browser
+     *
+     * @param array $checkpoint Raw checkpoint
+     * @return array Sanitized checkpoint
+     */
+    private function sanitize_checkpoint($checkpoint) {
+        $clean = array(
+            'phase'              => isset($checkpoint['phase']) ? sanitize_key($checkpoint['phase']) : 'idle',
+            'resume_phase'       => isset($checkpoint['resume_phase']) ? sanitize_key($checkpoint['resume_phase']) : '',
+            'source_url'         => isset($checkpoint['source_url']) ? esc_url_raw($checkpoint['source_url']) : '',
+            'current_table'      => isset($checkpoint['current_table']) ? absint($checkpoint['current_table']) : 0,
+            'total_tables'       => isset($checkpoint['total_tables']) ? absint($checkpoint['total_tables']) : 0,
+            'current_file_index' => isset($checkpoint['current_file_index']) ? absint($checkpoint['current_file_index']) : 0,
+            'total_files'        => isset($checkpoint['total_files']) ? absint($checkpoint['total_files']) : 0,
+            'options'            => array(),
+            'table_cursors'      => array(),
+            'replace_cursor'     => null,
+            'failed_files'       => array(),
+            'stats'              => array(),
+        );
+
+        if (isset($checkpoint['table_cursors']) && is_array($checkpoint['table_cursors'])) {
+            foreach ($checkpoint['table_cursors'] as $table => $cursor) {
+                if (!preg_match('/^[a-zA-Z0-9_]+$/', $table) || !is_array($cursor)) {
+                    continue;
+                }
+                $clean['table_cursors'][$table] = array(
+                    'rows'    => isset($cursor['rows']) ? absint($cursor['rows']) : 0,
+                    'last_id' => isset($cursor['last_id']) ? absint($cursor['last_id']) : 0,
+                    'done'    => !empty($cursor['done']),
+                );
+            }
+        }
+
+        // Search & replace progress: the tables to scan and where the current one stopped
+        if (isset($checkpoint['replace_cursor']['tables']) && is_array($checkpoint['replace_cursor']['tables'])) {
+            $replace = $checkpoint['replace_cursor'];
+            $tables = array();
+            foreach ($replace['tables'] as $table) {
+                if (is_array($table) && isset($table['table']) && preg_match('/^[a-zA-Z0-9_]+$/', $table['table'])) {
+                    $tables[] = array(
+                        'table' => $table['table'],
+                        'rows'  => isset($table['rows']) ? absint($table['rows']) : 0,
+                    );
+                }
+            }
+            // The cursor is a key value or row offset, only ever used as a prepared query parameter
+            $clean['replace_cursor'] = array(
+                'tables' => $tables,
+                'index'  => isset($replace['index']) ? absint($replace['index']) : 0,
+                'cursor' => isset($replace['cursor']) && is_scalar($replace['cursor']) ? (string) $replace['cursor'] : null,
+                'rows'   => isset($replace['rows']) ? absint($replace['rows']) : 0,
+            );
+        }
+
+        // Files waiting for a retry or skip; paths are only ever checked again by the file handlers
+        if (isset($checkpoint['failed_files']) && is_array($checkpoint['failed_files'])) {
+            foreach (array_slice($checkpoint['failed_files'], 0, 1000) as $file) {
+                if (!is_array($file) || !isset($file['path']) || !is_string($file['path']) || strpos($file['path'], "\0") !== false) {
+                    continue;
+                }
+                $clean['failed_files'][] = array(
+                    'path'     => $file['path'],
+                    'size'     => isset($file['size']) ? absint($file['size']) : 0,
+                    'hash'     => isset($file['hash']) && is_string($file['hash']) && preg_match('/^[a-f0-9]{32}$/', $file['hash']) ? $file['hash'] : null,
+                    'message'  => isset($file['message']) ? sanitize_text_field($file['message']) : '',
+                    'attempts' => isset($file['attempts']) ? absint($file['attempts']) : 0,
+                );
+            }
+        }
+
+        $options = isset($checkpoint['options']) && is_array($checkpoint['options']) ? $checkpoint['options'] : array();
+        $modes = array('full', 'database', 'files', 'uploads', 'code');
+        $clean['options']['mode'] = isset($options['mode']) && in_array($options['mode'], $modes, true) ? $options['mode'] : 'full';
+        foreach (array('sync_files', 'delete_missing', 'review_search_replace', 'verify') as $key) {
+            $clean['options'][$key] = !empty($options[$key]);
+        }
+        // Selected source tables; null means the selection has not been made
+        $clean['options']['tables'] = null;
+        if (isset($options['tables']) && is_array($options['tables'])) {
+            $clean['options']['tables'] = array_values(array_filter($options['tables'], function ($table) {
+                return is_string($table) && preg_match('/^[a-zA-Z0-9_]+$/', $table);
+            }));
+        }
+        $clean['options']['search_replace_rules'] = Serialization_Fixer::sanitize_rules(
+            isset($options['search_replace_rules']) ? $options['search_replace_rules'] : array()
+        );
+        // Unprefixed tables left out of search & replace
+        $clean['options']['search_replace_exclude'] = array();
+        if (isset($options['search_replace_exclude']) && is_array($options['search_replace_exclude'])) {
+            $clean['options']['search_replace_exclude'] = array_values(array_filter($options['search_replace_exclude'], function ($table) {
+                return is_string($table) && preg_match('/^[a-zA-Z0-9_]+$/', $table);
+            }));
+        }
+
+        $stats = isset($checkpoint['stats']) && is_array($checkpoint['stats']) ? $checkpoint['stats'] : array();
+        foreach (array('startTime', 'endTime') as $key) {
+            $clean['stats'][$key] = !empty($stats[$key]) ? sanitize_text_field($stats[$key]) : null;
+        }
+        foreach (array('bytesTransferred', 'rowsTransferred', 'filesTransferred', 'filesSkipped', 'filesDeleted', 'retries') as $key) {
+            $clean['stats'][$key] = isset($stats[$key]) ? absint($stats[$key]) : 0;
+        }
+
+        // Keep only the most recent errors to bound the option size
+        $clean['stats']['errors'] = array();
+        if (isset($stats['errors']) && is_array($stats['errors'])) {
+            foreach (array_slice($stats['errors'], -50) as $error) {
+                if (!is_array($error)) {
+                    continue;
+                }
+                $clean['stats']['errors'][] = array(
+                    'message'   => isset($error['message']) ? sanitize_text_field($error['message']) : '',
+                    'context'   => isset($error['context']) ? sanitize_text_field($error['context']) : '',
+                    'timestamp' => isset($error['timestamp']) ? sanitize_text_field($error['timestamp']) : '',
+                );
+            }
+        }
+
+        // Replacement counts of the custom search & replace rules
+        $clean['stats']['searchReplaceRules'] = array();
+        if (isset($stats['searchReplaceRules']) && is_array($stats['searchReplaceRules'])) {
+            foreach ($stats['searchReplaceRules'] as $rule) {
+                if (!is_array($rule)) {
+                    continue;
+                }
+                $clean['stats']['searchReplaceRules'][] = array(
+                    'search'       => isset($rule['search']) ? sanitize_text_field($rule['search']) : '',
+                    'replacements' => isset($rule['replacements']) ? absint($rule['replacements']) : 0,
+                );
+            }
+        }
+
+        // Failed files the user chose to skip
+        $clean['stats']['skippedFiles'] = array();
+        if (isset($stats['skippedFiles']) && is_array($stats['skippedFiles'])) {
+            foreach (array_slice($stats['skippedFiles'], -500) as $file) {
+                if (!is_array($file) || !isset($file['path']) || !is_string($file['path'])) {
+                    continue;
+                }
+                $clean['stats']['skippedFiles'][] = array(
+                    'path'    => sanitize_text_field($file['path']),
+                    'message' => isset($file['message']) ? sanitize_text_field($file['message']) : '',
+                );
+            }
+        }
+
+        // Search & replace results per table
+        $clean['stats']['searchReplaceTables'] = array();
+        if (isset($stats['searchReplaceTables']) && is_array($stats['searchReplaceTables'])) {
+            foreach (array_slice($stats['searchReplaceTables'], 0, 500) as $table) {
+                if (!is_array($table) || !isset($table['table']) || !preg_match('/^[a-zA-Z0-9_]+$/', $table['table'])) {
+                    continue;
+                }
+                $clean['stats']['searchReplaceTables'][] = array(
+                    'table'             => $table['table'],
+                    'rows_processed'    => isset($table['rows_processed']) ? absint($table['rows_processed']) : 0,
+                    'replacements_made' => isset($table['replacements_made']) ? absint($table['replacements_made']) : 0,
+                );
+            }
+        }
+
+        return $clean;
+    }
+
     /**
      * Prepare database for migration (drop existing tables if needed)
      * Smart Merge Mode: Preserves current user during migration
@@ -285,13 +782,19 @@ class AJAX_Handler {
             return;
         }
 
-        // Check for concurrent migration
+        // Check for concurrent migration - the lock belongs to a checkpoint, not a user
+        $migration_id = sanitize_key((string) $this->get_input('migration_id'));
+        if (empty($migration_id)) {
+            wp_send_json_error(__('Missing migration checkpoint.', 'simple-migrator'));
+            return;
+        }
+
         $lock = get_transient('sm_migration_lock');
-        if ($lock && $lock !== get_current_user_id()) {
+        if ($lock && $lock !== $migration_id) {
             wp_send_json_error(__('Another migration is already in progress.', 'simple-migrator'));
             return;
         }
-        set_transient('sm_migration_lock', get_current_user_id(), Settings::get_instance()->get('lock_timeout'));
+        set_transient('sm_migration_lock', $migration_id, Settings::get_instance()->get('lock_timeout'));
 
         // Get parameters using unified input method
         $overwrite = $this->get_input('overwrite');
@@ -330,64 +833,50 @@ class AJAX_Handler {
             foreach ($tables as $table) {
                 // Replace source prefix with destination prefix
                 $table_name = $this->replace_table_prefix($table, $source_prefix, $wpdb->prefix);
+                $table_base = str_replace($wpdb->prefix, '', $table_name);
 
-                // Validate table name for security
-                if (!preg_match('/^[a-zA-Z0-9_]+$/', $table_name)) {
-                    $errors[] = "Invalid table name: {$table_name}";
-                    continue;
-                }
-
-                // Check if table exists
-                $table_exists = $wpdb->get_var($wpdb->prepare("SHOW TABLES LIKE %s", $table_name));
+                switch ($this->plan_table_action($table_name, $current_user_id, $current_user_login)) {
+                    case 'invalid':
+                        $errors[] = "Invalid table name: {$table_name}";
+                        break;
 
-                if ($table_exists) {
-                    $table_base = str_replace($wpdb->prefix, '', $table_name);
-                    $protected_tables = Settings::get_instance()->get('protected_tables');
-
-                    if (in_array($table_base, $protected_tables, true)) {
-                        // Handle wp_users specially - delete all EXCEPT current user
+                    // Handle wp_users specially - delete all EXCEPT current user
+                    case 'keep_current_user':
                         if ($table_base === 'users') {
-                            if ($current_user_id && $current_user_login) {
-                                $deleted = $wpdb->query($wpdb->prepare(
-                                    "DELETE FROM `{$table_name}` WHERE ID != %d",
-                                    $current_user_id
-                                ));
-                                if ($deleted !== false) {
-                                    $preserved[] = $table_name . ' (current user preserved)';
-                                }
-                            } else {
-                                $wpdb->query("TRUNCATE TABLE `{$table_name}`");
-                                $preserved[] = $table_name . ' (truncated)';
+                            $deleted = $wpdb->query($wpdb->prepare(
+                                "DELETE FROM `{$table_name}` WHERE ID != %d",
+                                $current_user_id
+                            ));
+                            if ($deleted !== false) {
+                                $preserved[] = $table_name . ' (current user preserved)';
                             }
                         }
                         // Handle wp_usermeta specially - delete all EXCEPT current user's meta
-                        elseif ($table_base === 'usermeta') {
-                            if ($current_user_id) {
-                                $deleted = $wpdb->query($wpdb->prepare(
-                                    "DELETE FROM `{$table_name}` WHERE user_id != %d",
-                                    $current_user_id
-                                ));
-                                if ($deleted !== false) {
-                                    $preserved[] = $table_name . ' (current user meta preserved)';
-                                }
-                            } else {
-                                $wpdb->query("TRUNCATE TABLE `{$table_name}`");
-                                $preserved[] = $table_name . ' (truncated)';
-                            }
-                        }
-                        // Any other protected table — truncate (preserve structure, clear data)
                         else {
-                            $wpdb->query("TRUNCATE TABLE `{$table_name}`");
-                            $preserved[] = $table_name . ' (protected, truncated)';
+                            $deleted = $wpdb->query($wpdb->prepare(
+                                "DELETE FROM `{$table_name}` WHERE user_id != %d",
+                                $current_user_id
+                            ));
+                            if ($deleted !== false) {
+                                $preserved[] = $table_name . ' (current user meta preserved)';
+                            }
                         }
-                    }
+                        break;
+
+                    // Protected tables — truncate (preserve structure, clear data)
+                    case 'truncate':
+                        $wpdb->query("TRUNCATE TABLE `{$table_name}`");
+                        $preserved[] = $table_name . (in_array($table_base, array('users', 'usermeta'), true) ? ' (truncated)' : ' (protected, truncated)');
+                        break;
+
                     // Skip wp_options entirely - it will be overwritten during migration
                     // Then we'll restore specific protected options at the end
-                    elseif ($table_base === 'options') {
+                    case 'migrate_then_fix':
                         $preserved[] = $table_name . ' (will be migrated, then fixed)';
-                    }
+                        break;
+
                     // All other tables - drop as normal
-                    else {
+                    case 'drop':
                         $result = $wpdb->query("DROP TABLE `{$table_name}`");
 
                         if ($result !== false) {
@@ -395,7 +884,7 @@ class AJAX_Handler {
                         } else {
                             $errors[] = "Failed to drop table: {$table_name}";
                         }
-                    }
+                        break;
                 }
             }
         }
@@ -408,6 +897,106 @@ class AJAX_Handler {
         ));
     }
 
+    /**
+     * Describe what prepare_database() would do to each table, without changing anything
+     */
+    public function plan_migration() {
+        $verify = $this->verify_request();
+        if (is_wp_error($verify)) {
+            wp_send_json_error($verify->get_error_message());
+            return;
+        }
+
+        $tables = $this->get_input('tables');
+        $source_prefix = $this->get_input('source_prefix') ?: 'wp_';
+
+        if (is_string($tables)) {
+            $tables = json_decode(wp_unslash($tables), true);
+        }
+
+        if (!is_array($tables)) {
+            wp_send_json_error(__('Invalid tables parameter.', 'simple-migrator'));
+            return;
+        }
+
+        global $wpdb;
+
+        $current_user_id = get_current_user_id();
+        $current_user_login = $current_user_id ? wp_get_current_user()->user_login : null;
+
+        $plan = array();
+        foreach ($tables as $table) {
+            if (!is_string($table)) {
+                continue;
+            }
+
+            $table_name = $this->replace_table_prefix($table, $source_prefix, $wpdb->prefix);
+            $plan[] = array(
+                'source' => $table,
+                'table' => $table_name,
+                'action' => $this->plan_table_action($table_name, $current_user_id, $current_user_login),
+            );
+        }
+
+        $lock = get_transient('sm_migration_lock');
+
+        wp_send_json_success(array(
+            'tables' => $plan,
+            'protected_options' => Settings::get_instance()->get('protected_options'),
+            'current_user' => $current_user_login,
+            'locked' => !empty($lock),
+        ));
+    }
+
+    /**
+     * Decide how prepare_database() treats an existing destination table
+     *
+     * Returns one of:
+     * - 'invalid': unsafe table name, skipped
+     * - 'create': the table does not exist yet and is created by the migration
+     * - 'keep_current_user': users/usermeta rows are deleted except the current user's
+     * - 'truncate': protected table, emptied but not dropped
+     * - 'migrate_then_fix': the options table, overwritten and then has protected options restored
+     * - 'drop': dropped and recreated from the source
+     *
+     * @param string $table_name Destination table name
+     * @param int $current_user_id Logged-in user kept in users/usermeta (0 if none)
+     * @param string|null $current_user_login Login of that user
+     * @return string
+     */
+    private function plan_table_action($table_name, $current_user_id, $current_user_login) {
+        global $wpdb;
+
+        // Validate table name for security
+        if (!preg_match('/^[a-zA-Z0-9_]+$/', $table_name)) {
+            return 'invalid';
+        }
+
+        // Check if table exists
+        if (!$wpdb->get_var($wpdb->prepare("SHOW TABLES LIKE %s", $table_name))) {
+            return 'create';
+        }
+
+        $table_base = str_replace($wpdb->prefix, '', $table_name);
+        $protected_tables = Settings::get_instance()->get('protected_tables');
+
+        if (in_array($table_base, $protected_tables, true)) {
+            if ($table_base === 'users' && $current_user_id && $current_user_login) {
+                return 'keep_current_user';
+            }
+            if ($table_base === 'usermeta' && $current_user_id) {
+                return 'keep_current_user';
+            }
+            return 'truncate';
+        }
+
+        if ($table_base === 'options') {
+            return 'migrate_then_fix';
+        }
+
+        return 'drop';
+    }
+
     /**
      * Preserve critical wp_options entries before migration
      * Stores them in a transient for restoration after migration
@@ -512,8 +1101,7 @@ class AJAX_Handler {
         // Restore preserved admin account
         $this->restore_admin_account();
 
-        // Release migration lock
-        delete_transient('sm_migration_lock');
+        // The migration lock stays with the checkpoint until the run is cleared
 
         // Flush caches to ensure changes take effect
         wp_cache_flush();
@@ -579,7 +1167,15 @@ class AJAX_Handler {
         // Get parameters using unified input method
         $table = $this->get_input('table');
         $source_prefix = $this->get_input('source_prefix') ?: 'wp_';
-        $rows = $this->get_input('rows');
+
+        // A raw upload is a compressed JSON batch with the rows under 'rows'
+        if ($this->is_binary_upload()) {
+            $payload = $this->decode_binary_upload((string) file_get_contents('php://input'), (string) $this->get_input('encoding'), self::MAX_ROWS_UPLOAD);
+            $payload = $payload !== false ? json_decode($payload, true) : null;
+            $rows = isset($payload['rows']) ? $payload['rows'] : null;
+        } else {
+            $rows = $this->get_input('rows');
+        }
 
         // Sanitize
         $table = $table ? sanitize_text_field($table) : '';
@@ -725,17 +1321,20 @@ class AJAX_Handler {
             return;
         }
 
-        $path = isset($_POST['path']) ? sanitize_text_field($_POST['path']) : '';
-        $data = isset($_POST['data']) ? $_POST['data'] : '';
+        $path = sanitize_text_field((string) $this->get_input('path'));
+        // A raw upload is the chunk itself, otherwise it comes base64-encoded
+        $binary = $this->is_binary_upload();
+        $data = $binary ? (string) file_get_contents('php://input') : (string) $this->get_input('data');
         // Validate base64 format
-        if (!empty($data) && !preg_match('/^[A-Za-z0-9+\/=\s]+$/', $data)) {
+        if (!$binary && $data !== '' && !preg_match('/^[A-Za-z0-9+\/=\s]+$/', $data)) {
             wp_send_json_error(__('Invalid data format.', 'simple-migrator'));
             return;
         }
-        $checksum = isset($_POST['checksum']) ? sanitize_text_field($_POST['checksum']) : '';
-        $offset = isset($_POST['offset']) ? intval($_POST['offset']) : 0;
+        $checksum = sanitize_text_field((string) $this->get_input('checksum'));
+        $offset = intval($this->get_input('offset'));
 
-        if (empty($path) || empty($data)) {
+        // Only the first chunk may be empty, which creates a zero-length file
+        if (empty($path) || $offset < 0 || ($data === '' && $offset > 0)) {
             wp_send_json_error(__('Invalid parameters.', 'simple-migrator'));
             return;
         }
@@ -763,8 +1362,13 @@ class AJAX_Handler {
 
         $file_path = $full_path . DIRECTORY_SEPARATOR . basename($path);
 
-        // Decode base64 data
-        $decoded_data = base64_decode($data, true);
+        // Decode base64 data, or decompress a raw upload
+        if ($binary) {
+            $rules = Settings::get_instance()->get_validation_rules('chunk_size');
+            $decoded_data = $this->decode_binary_upload($data, (string) $this->get_input('encoding'), $rules[1]);
+        } else {
+            $decoded_data = base64_decode($data, true);
+        }
         if ($decoded_data === false) {
             wp_send_json_error(__('Failed to decode data.', 'simple-migrator'));
             return;
@@ -777,9 +1381,11 @@ class AJAX_Handler {
             return;
         }
 
-        // Write chunk with exclusive lock to prevent race conditions
-        $mode = ($offset === 0) ? 'wb' : 'ab';
+        // Write chunk at its offset with an exclusive lock. The first chunk truncates the file;
+        // later ones overwrite their own range, so a chunk sent twice after a timeout is written once.
+        $mode = ($offset === 0) ? 'wb' : 'cb';
         $result = false;
+        $gap = false;
         $handle = fopen($file_path, $mode);
 
         if ($handle === false) {
@@ -790,13 +1396,15 @@ class AJAX_Handler {
         // Acquire exclusive lock and ensure it's released when file is closed
         try {
             if (flock($handle, LOCK_EX)) {
-                if ($offset > 0) {
-                    // Seek to end for append (in case file size changed)
-                    fseek($handle, 0, SEEK_END);
+                // A gap would mean an earlier chunk never arrived
+                $stat = fstat($handle);
+                if ($offset > $stat['size']) {
+                    $gap = true;
+                } else {
+                    fseek($handle, $offset);
+                    $result = fwrite($handle, $decoded_data);
+                    fflush($handle);  // Ensure data is written
                 }
-
-                $result = fwrite($handle, $decoded_data);
-                fflush($handle);  // Ensure data is written
                 // Lock is automatically released when file is closed
             } else {
                 fclose($handle);
@@ -808,6 +1416,11 @@ class AJAX_Handler {
             fclose($handle);
         }
 
+        if ($gap) {
+            wp_send_json_error(__('Chunk offset is past the end of the file.', 'simple-migrator'));
+            return;
+        }
+
         if ($result === false) {
             wp_send_json_error(__('Failed to write file chunk.', 'simple-migrator'));
             return;
@@ -822,6 +1435,26 @@ class AJAX_Handler {
         ));
     }
 
+    /**
+     * Decompress a raw upload
+     *
+     * @param string $data       Uploaded bytes
+     * @param string $encoding   identity, gzip or deflate
+     * @param int    $max_length Largest decompressed size accepted
+     * @return string|false Decompressed bytes, false when they cannot be decoded
+     */
+    private function decode_binary_upload($data, $encoding, $max_length) {
+        if ($encoding === '' || $encoding === 'identity') {
+            return $data;
+        }
+
+        if (!in_array($encoding, self::get_binary_encodings(), true)) {
+            return false;
+        }
+
+        return $encoding === 'gzip' ? @gzdecode($data, $max_length) : @gzuncompress($data, $max_length);
+    }
+
     /**
      * Extract batch of files from zip archive
      */
@@ -832,15 +1465,15 @@ class AJAX_Handler {
             return;
         }
 
-        $data = isset($_POST['data']) ? $_POST['data'] : '';
+        $data = (string) $this->get_input('data');
         // Validate base64 format
-        if (!empty($data) && !preg_match('/^[A-Za-z0-9+\/=\s]+$/', $data)) {
+        if ($data !== '' && !preg_match('/^[A-Za-z0-9+\/=\s]+$/', $data)) {
             wp_send_json_error(__('Invalid data format.', 'simple-migrator'));
             return;
         }
-        $checksum = isset($_POST['checksum']) ? sanitize_text_field($_POST['checksum']) : '';
+        $checksum = sanitize_text_field((string) $this->get_input('checksum'));
 
-        if (empty($data)) {
+        if ($data === '') {
             wp_send_json_error(__('Invalid parameters.', 'simple-migrator'));
             return;
         }
@@ -883,7 +1516,9 @@ class AJAX_Handler {
         }
 
         $extracted_count = 0;
+        $extracted = array();
         $errors = array();
+        $content_dir = realpath(WP_CONTENT_DIR);
 
         for ($i = 0; $i < $zip->numFiles; $i++) {
             $file_path = $zip->getNameIndex($i);
@@ -914,29 +1549,33 @@ class AJAX_Handler {
                 continue;
             }
 
-            // Additional path validation
+            // Create directory if needed (traversal is already rejected above,
+            // and realpath() below needs the directory to exist)
             $full_path = WP_CONTENT_DIR . '/' . $file_path;
-            $real_path = realpath(dirname($full_path));
-            $content_dir = realpath(WP_CONTENT_DIR);
+            $dir = dirname($full_path);
+            if (!is_dir($dir)) {
+                wp_mkdir_p($dir);
+            }
+
+            // Additional path validation
+            $real_path = realpath($dir);
 
             if ($real_path === false || strpos($real_path, $content_dir . DIRECTORY_SEPARATOR) !== 0) {
                 $errors[] = "Path outside allowed directory: {$file_path}";
                 continue;
             }
 
-            // Create directory if needed
-            $dir = dirname($full_path);
-            if (!is_dir($dir)) {
-                wp_mkdir_p($dir);
-            }
-
             // Extract file
-            $zip->extractTo(WP_CONTENT_DIR, $file_path);
+            if (!$zip->extractTo(WP_CONTENT_DIR, $file_path)) {
+                $errors[] = "Failed to extract: {$file_path}";
+                continue;
+            }
 
             // Set permissions
             if (file_exists($full_path)) {
                 chmod($full_path, 0644);
                 $extracted_count++;
+                $extracted[] = $file_path;
             }
         }
 
@@ -947,12 +1586,120 @@ class AJAX_Handler {
 
         wp_send_json_success(array(
             'extracted' => $extracted_count,
+            'files' => $extracted,
             'errors' => $errors
         ));
     }
 
+    /**
+     * Report size and content hash of destination files (incremental sync)
+     */
+    public function get_file_hashes() {
+        $verify = $this->verify_request();
+        if (is_wp_error($verify)) {
+            wp_send_json_error($verify->get_error_message());
+            return;
+        }
+
+        $files = $this->get_input('files');
+        if (is_string($files)) {
+            $files = json_decode(wp_unslash($files), true);
+        }
+
+        if (!is_array($files) || count($files) > 1000) {
+            wp_send_json_error(__('Invalid files parameter.', 'simple-migrator'));
+            return;
+        }
+
+        $scanner = new File_Scanner();
+
+        wp_send_json_success(array(
+            'files' => $scanner->get_file_hashes($files),
+        ));
+    }
+
+    /**
+     * List the destination files a migration manages (incremental sync)
+     */
+    public function list_files() {
+        $verify = $this->verify_request();
+        if (is_wp_error($verify)) {
+            wp_send_json_error($verify->get_error_message());
+            return;
+        }
+
+        $scope = $this->get_input('scope');
+        if (!in_array($scope, array('all', 'uploads', 'code'), true)) {
+            $scope = 'all';
+        }
+
+        $scanner = new File_Scanner();
+        $manifest = $scanner->scan_scope($scope);
+
+        wp_send_json_success(array(
+            'files' => wp_list_pluck($manifest['files'], 'path'),
+        ));
+    }
+
+    /**
+     * Delete destination files that no longer exist on the source (incremental sync)
+     * Excluded paths - the plugin itself, backups, caches - are never touched.
+     */
+    public function delete_files() {
+        $verify = $this->verify_request();
+        if (is_wp_error($verify)) {
+            wp_send_json_error($verify->get_error_message());
+            return;
+        }
+
+        $paths = $this->get_input('paths');
+        if (is_string($paths)) {
+            $paths = json_decode(wp_unslash($paths), true);
+        }
+
+        if (!is_array($paths) || count($paths) > 1000) {
+            wp_send_json_error(__('Invalid paths parameter.', 'simple-migrator'));
+            return;
+        }
+
+        $scanner = new File_Scanner();
+        $content_dir = realpath(WP_CONTENT_DIR);
+        $deleted = array();
+        $failed = array();
+
+        foreach ($paths as $path) {
+            if (!is_string($path) || $path === '' || strpos($path, '..') !== false || strpos($path, "\0") !== false) {
+                continue;
+            }
+
+            $full_path = realpath(WP_CONTENT_DIR . '/' . $path);
+            if ($full_path === false || strpos($full_path, $content_dir . DIRECTORY_SEPARATOR) !== 0 || !is_file($full_path)) {
+                continue;
+            }
+
+            if ($scanner->is_excluded($path)) {
+                $failed[] = $path;
+                continue;
+            }
+
+            if (@unlink($full_path)) {
+                $deleted[] = $path;
+            } else {
+                $failed[] = $path;
+            }
+        }
+
+        wp_send_json_success(array(
+            'deleted' => $deleted,
+            'failed' => $failed,
+        ));
+    }
+
     /**
      * Perform search and replace with serialized data handling
+     *
+     * With `table` (unprefixed) and `cursor`, processes one page of that table and
+     * returns the cursor to continue from; otherwise runs over every table at once.
      */
     public function search_replace() {
         $verify = $this->verify_request();
@@ -961,22 +1708,231 @@ class AJAX_Handler {
             return;
         }
 
-        // Get source and destination URLs
-        $source_url = get_option('sm_source_url', '');
+        $fixer = $this->create_serialization_fixer();
+        if (is_wp_error($fixer)) {
+            wp_send_json_error($fixer->get_error_message());
+            return;
+        }
+
+        $table = $this->get_page_table_input();
+        if (is_wp_error($table)) {
+            wp_send_json_error($table->get_error_message());
+            return;
+        }
+
         $destination_url = home_url();
+        if ($table !== null) {
+            $results = $fixer->replace_page(get_option('sm_source_url'), $destination_url, $table, $this->get_input('cursor'));
+
+            // Pages come table by table in the order of sm_search_replace_tables, so the run ends with the last one
+            $tables = $results['done'] ? $fixer->get_tables() : array();
+            $last_table = end($tables);
+            $finished = $last_table !== false && $last_table['table'] === $table;
+        } else {
+            $results = $fixer->replace(get_option('sm_source_url'), $destination_url);
+            $finished = true;
+        }
 
-        if (empty($source_url)) {
-            wp_send_json_error(__('Source URL not configured.', 'simple-migrator'));
+        // Update site options once the whole run is done
+        if ($finished) {
+            $fixer->update_site_options($destination_url);
+        }
+
+        wp_send_json_success($results);
+    }
+
+    /**
+     * List the tables search & replace will scan, with approximate row counts for progress
+     */
+    public function search_replace_tables() {
+        $verify = $this->verify_request();
+        if (is_wp_error($verify)) {
+            wp_send_json_error($verify->get_error_message());
             return;
         }
 
+        $fixer = $this->create_serialization_fixer();
+        if (is_wp_error($fixer)) {
+            wp_send_json_error($fixer->get_error_message());
+            return;
+        }
+
+        wp_send_json_success(array(
+            'tables' => $fixer->get_tables(),
+        ));
+    }
+
+    /**
+     * Preview search & replace: rows that would change per table and column, with before/after samples
+     *
+     * Pages through a table with `table` and `cursor` like sm_search_replace.
+     */
+    public function preview_search_replace() {
+        $verify = $this->verify_request();
+        if (is_wp_error($verify)) {
+            wp_send_json_error($verify->get_error_message());
+            return;
+        }
+
+        $fixer = $this->create_serialization_fixer();
+        if (is_wp_error($fixer)) {
+            wp_send_json_error($fixer->get_error_message());
+            return;
+        }
+
+        $table = $this->get_page_table_input();
+        if (is_wp_error($table)) {
+            wp_send_json_error($table->get_error_message());
+            return;
+        }
+
+        $samples = $this->get_input('samples');
+        $samples = $samples !== null ? min(absint($samples), 10) : 3;
+
+        if ($table !== null) {
+            wp_send_json_success($fixer->preview_page(get_option('sm_source_url'), home_url(), $table, $this->get_input('cursor'), $samples));
+        } else {
+            wp_send_json_success($fixer->preview(get_option('sm_source_url'), home_url(), $samples));
+        }
+    }
+
+    /**
+     * Read the unprefixed table of a paged search & replace request
+     *
+     * @return string|null|WP_Error Null for a request over all tables
+     */
+    private function get_page_table_input() {
+        $table = $this->get_input('table');
+        if ($table === null || $table === '') {
+            return null;
+        }
+
+        if (!is_string($table) || !preg_match('/^[a-zA-Z0-9_]+$/', $table)) {
+            return new \WP_Error('invalid_table', __('Invalid table name.', 'simple-migrator'));
+        }
+
+        return $table;
+    }
+
+    /**
+     * Set up a Serialization_Fixer for the saved source URL and the request's tables and custom rules
+     *
+     * Scans the unprefixed `tables` given (the migrated tables), or every table with
+     * the site prefix, less `exclude_tables`.
+     *
+     * @return Serialization_Fixer|WP_Error
+     */
+    private function create_serialization_fixer() {
+        if (empty(get_option('sm_source_url', ''))) {
+            return new \WP_Error('no_source_url', __('Source URL not configured.', 'simple-migrator'));
+        }
+
+        $tables = $this->get_table_list_input('tables');
+        if ($tables === null) {
+            $tables = Serialization_Fixer::list_tables();
+        }
+        $exclude = $this->get_table_list_input('exclude_tables');
+
+        // Custom rules, applied after the URL replacement
+        $rules = $this->get_input('rules');
+        if (is_string($rules)) {
+            $rules = json_decode(wp_unslash($rules), true);
+        }
+
         $fixer = new Serialization_Fixer();
-        $results = $fixer->replace($source_url, $destination_url);
+        $fixer->set_tables(array_diff($tables, (array) $exclude));
+        $valid = $fixer->set_rules(Serialization_Fixer::sanitize_rules($rules));
+        if (is_wp_error($valid)) {
+            return $valid;
+        }
 
-        // Update site options
-        $fixer->update_site_options($destination_url);
+        return $fixer;
+    }
 
-        wp_send_json_success($results);
+    /**
+     * Read a list of unprefixed table names from the request, dropping invalid names
+     *
+     * @param string $key
+     * @return array|null Null when the request does not include the list
+     */
+    private function get_table_list_input($key) {
+        $tables = $this->get_input($key);
+        if ($tables === null) {
+            return null;
+        }
+        if (is_string($tables)) {
+            $tables = json_decode(wp_unslash($tables), true);
+        }
+        if (!is_array($tables)) {
+            return array();
+        }
+
+        return array_values(array_filter($tables, function ($table) {
+            return is_string($table) && preg_match('/^[a-zA-Z0-9_]+$/', $table);
+        }));
+    }
+
+    /**
+     * Checksum a chunk of a migrated table for verification
+     *
+     * Takes the source table name and the key range the source checksummed
+     * (`after`, `until`). Protected tables and the options table keep rows of
+     * this site, so only their row count is reported.
+     */
+    public function verify_rows() {
+        $verify = $this->verify_request();
+        if (is_wp_error($verify)) {
+            wp_send_json_error($verify->get_error_message());
+            return;
+        }
+
+        global $wpdb;
+
+        $table = sanitize_text_field((string) $this->get_input('table'));
+        $source_prefix = sanitize_text_field($this->get_input('source_prefix') ?: 'wp_');
+        $table_name = $this->replace_table_prefix($table, $source_prefix, $wpdb->prefix);
+
+        if (!preg_match('/^[a-zA-Z0-9_]+$/', $table_name)) {
+            wp_send_json_error(__('Invalid table name.', 'simple-migrator'));
+            return;
+        }
+
+        if (!$wpdb->get_var($wpdb->prepare("SHOW TABLES LIKE %s", $table_name))) {
+            wp_send_json_success(array(
+                'table' => $table_name,
+                'exists' => false,
+            ));
+            return;
+        }
+
+        $table_base = substr($table_name, strlen($wpdb->prefix));
+        $protected = in_array($table_base, Settings::get_instance()->get('protected_tables'), true) || $table_base === 'options';
+
+        if ($protected) {
+            wp_send_json_success(array(
+                'table' => $table_name,
+                'exists' => true,
+                'protected' => true,
+                'total' => (int) $wpdb->get_var("SELECT COUNT(*) FROM `{$table_name}`"),
+            ));
+            return;
+        }
+
+        // Keys are only ever used as prepared query parameters
+        $after = $this->get_input('after');
+        $until = $this->get_input('until');
+        $limit = absint($this->get_input('limit')) ?: Settings::get_instance()->get('batch_size');
+
+        wp_send_json_success(array_merge(array(
+            'table' => $table_name,
+            'exists' => true,
+            'protected' => false,
+        ), Verifier::checksum_chunk(
+            $table_name,
+            is_scalar($after) ? (string) $after : null,
+            is_scalar($until) ? (string) $until : null,
+            $limit
+        )));
     }
 
     /**
@@ -1127,7 +2083,7 @@ class AJAX_Handler {
             return;
         }
 
-        $table = isset($_POST['table']) ? sanitize_text_field($_POST['table']) : '';
+        $table = sanitize_text_field((string) $this->get_input('table'));
 
         if (empty($table)) {
             wp_send_json_error(__('Invalid table name.', 'simple-migrator'));
@@ -12,6 +12,13 @@ namespace Simple_Migrator;
 
 class File_Scanner {
 
+    /**
+     * Directories within wp-content that are migrated
+     *
+     * @var array
+     */
+    const SCAN_DIRS = array('plugins', 'themes', 'uploads');
+
     /**
      * Files to exclude from migration
      *
@@ -41,6 +48,13 @@ class File_Scanner {
      */
     private $batch_threshold;
 
+    /**
+     * Whether scan() records a content hash for every file, not just the large ones
+     *
+     * @var bool
+     */
+    private $include_hashes = false;
+
     /**
      * Constructor — loads exclusion lists from Settings
      */
@@ -56,9 +70,13 @@ class File_Scanner {
      * Scan wp-content directory and generate manifest
      *
      * @param bool $include_uploads Whether to include uploads directory
+     * @param bool $include_hashes Whether to add an MD5 content hash to every file (slow on large sites); large files always get one
+     * @param bool $include_code Whether to include the plugins and themes directories
      * @return array Manifest with file list and statistics
      */
-    public function scan($include_uploads = true) {
+    public function scan($include_uploads = true, $include_hashes = false, $include_code = true) {
+        $this->include_hashes = $include_hashes;
+
         $manifest = array(
             'files' => array(),
             'total_size' => 0,
@@ -70,9 +88,12 @@ class File_Scanner {
         $wp_content = WP_CONTENT_DIR;
 
         // Directories to scan within wp-content
-        $scan_dirs = array('plugins', 'themes', 'uploads');
+        $scan_dirs = self::SCAN_DIRS;
         if (!$include_uploads) {
-            $scan_dirs = array('plugins', 'themes');
+            $scan_dirs = array_diff($scan_dirs, array('uploads'));
+        }
+        if (!$include_code) {
+            $scan_dirs = array_diff($scan_dirs, array('plugins', 'themes'));
         }
 
         foreach ($scan_dirs as $dir) {
@@ -142,6 +163,11 @@ class File_Scanner {
                     'is_large' => $file_size > $this->batch_threshold,
                 );
 
+                // Chunked files are checked through /scan/file-hash after the transfer instead
+                if ($this->include_hashes) {
+                    $file_info['hash'] = md5_file($filepath);
+                }
+
                 $manifest['files'][] = $file_info;
                 $manifest['total_size'] += $file_size;
                 $manifest['total_count']++;
@@ -158,6 +184,80 @@ class File_Scanner {
         }
     }
 
+    /**
+     * Scan the directories of a manifest scope
+     *
+     * @param string $scope 'all', 'uploads' (uploads only) or 'code' (plugins and themes)
+     * @param bool $include_hashes Whether to add an MD5 content hash to every file
+     * @return array Manifest with file list and statistics
+     */
+    public function scan_scope($scope, $include_hashes = false) {
+        return $this->scan($scope !== 'code', $include_hashes, $scope !== 'uploads');
+    }
+
+    /**
+     * Check whether a relative path lies outside what a migration manages
+     *
+     * Used to keep sync deletions away from excluded files and directories,
+     * including the plugin itself and the backup directory.
+     *
+     * @param string $relative_path Path relative to wp-content
+     * @return bool
+     */
+    public function is_excluded($relative_path) {
+        $top_dir = strtok($relative_path, '/');
+
+        if (!in_array($top_dir, self::SCAN_DIRS, true)) {
+            return true;
+        }
+
+        return $this->should_exclude_file(basename($relative_path), $relative_path)
+            || $this->should_exclude_directory(dirname(WP_CONTENT_DIR . '/' . $relative_path));
+    }
+
+    /**
+     * Report size, modification time and content hash for files on this site
+     *
+     * The hash is only computed when the size matches the expected size (or
+     * none was given) - a size mismatch already means the file differs.
+     *
+     * @param array $files List of array('path' => relative path, 'size' => expected size or null)
+     * @return array Info keyed by path; missing or unsafe paths are left out
+     */
+    public function get_file_hashes($files) {
+        $content_dir = realpath(WP_CONTENT_DIR);
+        $hashes = array();
+
+        foreach ($files as $file) {
+            if (!is_array($file) || empty($file['path']) || !is_string($file['path'])) {
+                continue;
+            }
+
+            $path = $file['path'];
+
+            // Reject traversal attempts and null bytes
+            if (strpos($path, '..') !== false || strpos($path, "\0") !== false) {
+                continue;
+            }
+
+            $full_path = realpath(WP_CONTENT_DIR . '/' . $path);
+            if ($full_path === false || strpos($full_path, $content_dir . DIRECTORY_SEPARATOR) !== 0 || !is_file($full_path)) {
+                continue;
+            }
+
+            $size = filesize($full_path);
+            $expected = isset($file['size']) ? $file['size'] : null;
+
+            $hashes[$path] = array(
+                'size' => $size,
+                'modified' => filemtime($full_path),
+                'hash' => ($expected === null || (int) $expected === $size) ? md5_file($full_path) : null,
+            );
+        }
+
+        return $hashes;
+    }
+
     /**
      * Check if a file should be excluded
      *
@@ -204,9 +304,10 @@ class File_Scanner {
      *
      * @param array $manifest File manifest from scan()
      * @param int $max_batch_size Maximum size per batch in bytes (default 2MB)
+     * @param int $max_batch_files Maximum files per batch (matches the /stream/batch limit)
      * @return array Array of batches, each containing file paths
      */
-    public function create_batches($manifest, $max_batch_size = 2097152) {
+    public function create_batches($manifest, $max_batch_size = 2097152, $max_batch_files = 100) {
         $batches = array();
         $current_batch = array();
         $current_size = 0;
@@ -219,8 +320,9 @@ class File_Scanner {
 
             $file_size = $file['size'];
 
-            // If adding this file would exceed batch size, start new batch
-            if ($current_size + $file_size > $max_batch_size && !empty($current_batch)) {
+            // If adding this file would exceed batch size or file count, start new batch
+            $batch_full = ($current_size + $file_size > $max_batch_size) || (count($current_batch) >= $max_batch_files);
+            if ($batch_full && !empty($current_batch)) {
                 $batches[] = $current_batch;
                 $current_batch = array();
                 $current_size = 0;
@@ -0,0 +1,262 @@
+<?php
+/**
+ * Migration History
+ *
+ * One row per migration attempt on the destination, in its own table. A
+ * resumed migration is a new attempt with the same migration_id. Rows are
+ * written when an attempt starts and updated when it ends, so an attempt
+ * that never reported back stays "running".
+ *
+ * @package Simple_Migrator
+ */
+
+namespace Simple_Migrator;
+
+class Migration_History {
+
+    /**
+     * Table name, without the site prefix
+     *
+     * @var string
+     */
+    const TABLE = 'sm_migration_history';
+
+    /**
+     * Schema version; install() runs again when the stored one differs
+     *
+     * @var string
+     */
+    const DB_VERSION = '1';
+
+    /**
+     * Option holding the installed schema version
+     *
+     * @var string
+     */
+    const VERSION_OPTION = 'sm_history_db_version';
+
+    /**
+     * Most attempts kept; older ones are deleted as new ones start
+     *
+     * @var int
+     */
+    const MAX_RUNS = 200;
+
+    /**
+     * Outcomes an attempt can report
+     *
+     * @var array
+     */
+    const STATUSES = array('running', 'complete', 'cancelled', 'error');
+
+    /**
+     * Get the prefixed table name
+     *
+     * @return string
+     */
+    public static function get_table_name() {
+        global $wpdb;
+        return $wpdb->prefix . self::TABLE;
+    }
+
+    /**
+     * Create or upgrade the history table
+     */
+    public static function install() {
+        global $wpdb;
+
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+
+        $table = self::get_table_name();
+        $charset_collate = $wpdb->get_charset_collate();
+
+        dbDelta("CREATE TABLE {$table} (
+            id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+            migration_id varchar(32) NOT NULL DEFAULT '',
+            source_url varchar(255) NOT NULL DEFAULT '',
+            user_id bigint(20) unsigned NOT NULL DEFAULT 0,
+            status varchar(20) NOT NULL DEFAULT 'running',
+            started_at datetime NOT NULL,
+            ended_at datetime DEFAULT NULL,
+            phases varchar(255) NOT NULL DEFAULT '',
+            rows_transferred bigint(20) unsigned NOT NULL DEFAULT 0,
+            files_transferred bigint(20) unsigned NOT NULL DEFAULT 0,
+            bytes_transferred bigint(20) unsigned NOT NULL DEFAULT 0,
+            retries int(10) unsigned NOT NULL DEFAULT 0,
+            error_count int(10) unsigned NOT NULL DEFAULT 0,
+            details longtext NOT NULL,
+            PRIMARY KEY  (id),
+            KEY migration_id (migration_id),
+            KEY started_at (started_at)
+        ) {$charset_collate};");
+
+        update_option(self::VERSION_OPTION, self::DB_VERSION);
+    }
+
+    /**
+     * Install the table unless the current schema version is already in place
+     *
+     * Plugin updates do not run the activation hook, so this runs on every load.
+     */
+    public static function maybe_install() {
+        if (get_option(self::VERSION_OPTION) !== self::DB_VERSION) {
+            self::install();
+        }
+    }
+
+    /**
+     * Record an attempt
+     *
+     * Without an id a new attempt is started for the current user; with one,
+     * that attempt is updated and, once its status is no longer "running",
+     * given an end time.
+     *
+     * @param int $id Attempt to update, 0 to start one
+     * @param array $run array('migration_id', 'source_url', 'status', 'phases', 'stats', 'options', 'error')
+     * @return int|false Attempt id, false when it could not be written
+     */
+    public static function save($id, $run) {
+        global $wpdb;
+
+        $stats = is_array($run['stats']) ? $run['stats'] : array();
+        $errors = isset($stats['errors']) && is_array($stats['errors']) ? $stats['errors'] : array();
+
+        $data = array(
+            'migration_id' => $run['migration_id'],
+            'source_url' => $run['source_url'],
+            'status' => $run['status'],
+            'phases' => implode(',', $run['phases']),
+            'rows_transferred' => isset($stats['rowsTransferred']) ? absint($stats['rowsTransferred']) : 0,
+            'files_transferred' => isset($stats['filesTransferred']) ? absint($stats['filesTransferred']) : 0,
+            'bytes_transferred' => isset($stats['bytesTransferred']) ? absint($stats['bytesTransferred']) : 0,
+            'retries' => isset($stats['retries']) ? absint($stats['retries']) : 0,
+            'error_count' => count($errors),
+            'details' => wp_json_encode(array(
+                'options' => $run['options'],
+                'stats' => $stats,
+                'error' => $run['error'],
+            )),
+        );
+
+        if ($run['status'] !== 'running') {
+            $data['ended_at'] = current_time('mysql');
+        }
+
+        if ($id > 0) {
+            $updated = $wpdb->update(self::get_table_name(), $data, array('id' => $id));
+            return $updated === false ? false : $id;
+        }
+
+        $data['user_id'] = get_current_user_id();
+        $data['started_at'] = current_time('mysql');
+
+        if ($wpdb->insert(self::get_table_name(), $data) === false) {
+            return false;
+        }
+
+        $id = (int) $wpdb->insert_id;
+        self::prune();
+
+        return $id;
+    }
+
+    /**
+     * Get a page of attempts, newest first
+     *
+     * @param int $page 1-based page number
+     * @param int $per_page Attempts per page
+     * @return array array('runs', 'total')
+     */
+    public static function get_runs($page = 1, $per_page = 20) {
+        global $wpdb;
+
+        $table = self::get_table_name();
+        $runs = $wpdb->get_results(
+            $wpdb->prepare(
+                "SELECT * FROM `{$table}` ORDER BY id DESC LIMIT %d, %d",
+                (max(1, $page) - 1) * $per_page,
+                $per_page
+            ),
+            ARRAY_A
+        );
+
+        return array(
+            'runs' => array_map(array(__CLASS__, 'decode_run'), $runs ?: array()),
+            'total' => (int) $wpdb->get_var("SELECT COUNT(*) FROM `{$table}`"),
+        );
+    }
+
+    /**
+     * Get one attempt
+     *
+     * @param int $id
+     * @return array|null
+     */
+    public static function get_run($id) {
+        global $wpdb;
+
+        $table = self::get_table_name();
+        $run = $wpdb->get_row($wpdb->prepare("SELECT * FROM `{$table}` WHERE id = %d", $id), ARRAY_A);
+
+        return $run ? self::decode_run($run) : null;
+    }
+
+    /**
+     * Get every attempt, newest first, for exporting
+     *
+     * @return array
+     */
+    public static function get_all_runs() {
+        global $wpdb;
+
+        $table = self::get_table_name();
+        $runs = $wpdb->get_results("SELECT * FROM `{$table}` ORDER BY id DESC", ARRAY_A);
+
+        return array_map(array(__CLASS__, 'decode_run'), $runs ?: array());
+    }
+
+    /**
+     * Turn a table row into an attempt: numbers cast, phases split, details decoded and the user's login added
+     *
+     * @param array $run
+     * @return array
+     */
+    private static function decode_run($run) {
+        $details = json_decode($run['details'], true);
+        $user = $run['user_id'] ? get_userdata((int) $run['user_id']) : false;
+
+        return array(
+            'id' => (int) $run['id'],
+            'migration_id' => $run['migration_id'],
+            'source_url' => $run['source_url'],
+            'user_id' => (int) $run['user_id'],
+            'user_login' => $user ? $user->user_login : '',
+            'status' => $run['status'],
+            'started_at' => $run['started_at'],
+            'ended_at' => $run['ended_at'],
+            'phases' => $run['phases'] !== '' ? explode(',', $run['phases']) : array(),
+            'rows_transferred' => (int) $run['rows_transferred'],
+            'files_transferred' => (int) $run['files_transferred'],
+            'bytes_transferred' => (int) $run['bytes_transferred'],
+            'retries' => (int) $run['retries'],
+            'error_count' => (int) $run['error_count'],
+            'details' => is_array($details) ? $details : array(),
+        );
+    }
+
+    /**
+     * Delete the oldest attempts beyond MAX_RUNS
+     */
+    private static function prune() {
+        global $wpdb;
+
+        $table = self::get_table_name();
+        $oldest_kept = $wpdb->get_var(
+            $wpdb->prepare("SELECT id FROM `{$table}` ORDER BY id DESC LIMIT %d, 1", self::MAX_RUNS - 1)
+        );
+
+        if ($oldest_kept) {
+            $wpdb->query($wpdb->prepare("DELETE FROM `{$table}` WHERE id < %d", $oldest_kept));
+        }
+    }
+}
@@ -16,6 +16,13 @@ use WP_Error;
 
 class REST_Controller extends WP_REST_Controller {
 
+    /**
+     * Response headers of binary file chunks that cross-origin clients may read
+     *
+     * @var string
+     */
+    const BINARY_HEADERS = 'X-SM-Checksum, X-SM-Bytes-Read, X-SM-File-Size, X-SM-Offset, X-SM-Encoding';
+
     /**
      * Single instance
      *
@@ -46,6 +53,8 @@ class REST_Controller extends WP_REST_Controller {
         add_action('init', array($this, 'handle_cors'), 5);
         add_action('rest_api_init', array($this, 'register_routes'));
         add_filter('rest_pre_serve_request', array($this, 'add_cors_headers_to_response'));
+        // After the CORS headers are sent
+        add_filter('rest_pre_serve_request', array($this, 'serve_binary_response'), 20, 4);
     }
 
     /**
@@ -95,6 +104,7 @@ class REST_Controller extends WP_REST_Controller {
         if ($should_allow) {
             header('Access-Control-Allow-Origin: ' . $origin);
             header('Access-Control-Allow-Credentials: true');
+            header('Access-Control-Expose-Headers: ' . self::BINARY_HEADERS);
         }
     }
 
@@ -159,11 +169,38 @@ class REST_Controller extends WP_REST_Controller {
             header('Access-Control-Allow-Credentials: true');
             header('Access-Control-Allow-Methods: POST, GET, OPTIONS');
             header('Access-Control-Allow-Headers: X-Migration-Secret, Content-Type, Authorization, X-WP-Nonce');
+            header('Access-Control-Expose-Headers: ' . self::BINARY_HEADERS);
         }
 
         return $value;
     }
 
+    /**
+     * Send binary file chunks as raw bytes instead of JSON
+     *
+     * Their headers (checksum, sizes, encoding) were already sent by the REST server.
+     *
+     * @param bool             $served  Whether the request has already been served
+     * @param WP_REST_Response $result  Result to send
+     * @param WP_REST_Request  $request Request used to generate the response
+     * @param WP_REST_Server   $server  Server instance
+     * @return bool
+     */
+    public function serve_binary_response($served, $result, $request, $server) {
+        if ($served || !($result instanceof \WP_HTTP_Response)) {
+            return $served;
+        }
+
+        $headers = $result->get_headers();
+        if (!isset($headers['X-SM-Encoding']) || strpos($request->get_route(), '/' . $this->namespace . '/') !== 0) {
+            return $served;
+        }
+
+        echo $result->get_data();
+
+        return true;
+    }
+
     /**
      * Get list of allowed origins for CORS
      *
@@ -246,6 +283,37 @@ class REST_Controller extends WP_REST_Controller {
                 'methods'             => WP_REST_Server::READABLE,
                 'callback'            => array($this, 'get_manifest'),
                 'permission_callback' => array($this, 'check_migration_permission'),
+                'args'                => array(
+                    'hashes' => array(
+                        'required'          => false,
+                        'sanitize_callback' => 'rest_sanitize_boolean',
+                        'default'           => false,
+                        'description'       => 'Include an MD5 content hash for every file',
+                    ),
+                    'scope' => array(
+                        'required'    => false,
+                        'type'        => 'string',
+                        'enum'        => array('all', 'uploads', 'code'),
+                        'default'     => 'all',
+                        'description' => 'Directories to scan: all, uploads only, or plugins and themes (code)',
+                    ),
+                ),
+            ),
+        ));
+
+        // File hash endpoint - whole-file check of one chunked transfer
+        register_rest_route($this->namespace, '/scan/file-hash', array(
+            array(
+                'methods'             => WP_REST_Server::READABLE,
+                'callback'            => array($this, 'get_file_hash'),
+                'permission_callback' => array($this, 'check_migration_permission'),
+                'args'                => array(
+                    'path' => array(
+                        'required'          => true,
+                        'sanitize_callback' => 'sanitize_text_field',
+                        'description'       => 'Relative path from wp-content',
+                    ),
+                ),
             ),
         ));
 
@@ -282,20 +350,35 @@ class REST_Controller extends WP_REST_Controller {
                         'default'           => 0,
                         'description'       => 'Byte offset to end at (0 = use chunk size)',
                     ),
+                    'format' => array(
+                        'required'    => false,
+                        'type'        => 'string',
+                        'enum'        => array('json', 'binary'),
+                        'default'     => 'json',
+                        'description' => 'json: base64 data in JSON; binary: raw bytes with the details in X-SM-* headers',
+                    ),
+                    'encoding' => array(
+                        'required'    => false,
+                        'type'        => 'string',
+                        'enum'        => array('identity', 'gzip', 'deflate'),
+                        'default'     => 'identity',
+                        'description' => 'Compression of a binary chunk; X-SM-Encoding reports the one used',
+                    ),
                 ),
             ),
         ));
 
         // Stream batch endpoint - for multiple small files
+        // POST takes the paths in a JSON body; GET with a JSON query parameter is kept for older clients
         register_rest_route($this->namespace, '/stream/batch', array(
             array(
-                'methods'             => WP_REST_Server::READABLE,
+                'methods'             => array(WP_REST_Server::READABLE, WP_REST_Server::CREATABLE),
                 'callback'            => array($this, 'stream_batch'),
                 'permission_callback' => array($this, 'check_migration_permission'),
                 'args'                => array(
                     'files' => array(
                         'required'    => true,
-                        'description' => 'JSON array of file paths',
+                        'description' => 'Array of file paths (a JSON-encoded array in a GET query)',
                     ),
                 ),
             ),
@@ -331,6 +414,13 @@ class REST_Controller extends WP_REST_Controller {
                         'default'           => 0,
                         'description'       => 'Last ID seen (for keyset pagination)',
                     ),
+                    'encoding'  => array(
+                        'required'    => false,
+                        'type'        => 'string',
+                        'enum'        => array('identity', 'gzip'),
+                        'default'     => 'identity',
+                        'description' => 'gzip: the JSON batch as raw gzip bytes, X-SM-Encoding reports the one used',
+                    ),
                 ),
             ),
         ));
@@ -350,6 +440,50 @@ class REST_Controller extends WP_REST_Controller {
             ),
         ));
 
+        // Verification endpoint - row count and checksum of a chunk of table rows
+        register_rest_route($this->namespace, '/verify/rows', array(
+            array(
+                'methods'             => WP_REST_Server::CREATABLE,
+                'callback'            => array($this, 'verify_table_rows'),
+                'permission_callback' => array($this, 'check_migration_permission'),
+                'args'                => array(
+                    'table'       => array(
+                        'required'          => true,
+                        'sanitize_callback' => 'sanitize_text_field',
+                        'description'       => 'Table name (with prefix)',
+                    ),
+                    'after'       => array(
+                        'required'    => false,
+                        'default'     => null,
+                        'description' => 'Primary key value the chunk starts after (null for the first chunk)',
+                    ),
+                    'limit'       => array(
+                        'required'          => false,
+                        'sanitize_callback' => 'absint',
+                        'default'           => 1000,
+                        'description'       => 'Number of rows per chunk',
+                    ),
+                    'search_url'  => array(
+                        'required'          => false,
+                        'sanitize_callback' => 'esc_url_raw',
+                        'default'           => '',
+                        'description'       => 'URL the destination replaced in this table (empty if it was not searched)',
+                    ),
+                    'replace_url' => array(
+                        'required'          => false,
+                        'sanitize_callback' => 'esc_url_raw',
+                        'default'           => '',
+                        'description'       => 'URL it was replaced with',
+                    ),
+                    'rules'       => array(
+                        'required'    => false,
+                        'default'     => array(),
+                        'description' => 'Custom search & replace rules the destination applied',
+                    ),
+                ),
+            ),
+        ));
+
         // Configuration endpoint - get source info
         register_rest_route($this->namespace, '/config/info', array(
             array(
@@ -358,6 +492,15 @@ class REST_Controller extends WP_REST_Controller {
                 'permission_callback' => array($this, 'check_migration_permission'),
             ),
         ));
+
+        // Destination bridge - migration actions for headless clients (application passwords)
+        register_rest_route($this->namespace, '/destination/(?P<action>sm_[a-z_]+)', array(
+            array(
+                'methods'             => WP_REST_Server::CREATABLE,
+                'callback'            => array($this, 'handle_destination_action'),
+                'permission_callback' => array($this, 'check_admin_permission'),
+            ),
+        ));
     }
 
     /**
@@ -468,11 +611,13 @@ class REST_Controller extends WP_REST_Controller {
             'version'         => SM_VERSION,
             'wp_version'      => get_bloginfo('version'),
             'mysql_version'   => $GLOBALS['wpdb']->db_version(),
+            'php_version'     => PHP_VERSION,
             'max_upload_size' => size_format(wp_max_upload_size()),
             'memory_limit'    => ini_get('memory_limit'),
             'max_execution'   => ini_get('max_execution_time'),
             'site_url'        => home_url(),
             'timestamp'       => current_time('mysql'),
+            'row_encodings'   => function_exists('gzencode') ? array('identity', 'gzip') : array('identity'),
         );
 
         return rest_ensure_response($info);
@@ -486,18 +631,20 @@ class REST_Controller extends WP_REST_Controller {
      */
     public function get_manifest($request) {
         $scanner = new File_Scanner();
-        $manifest = $scanner->scan();
+        $manifest = $scanner->scan_scope($request->get_param('scope'), (bool) $request->get_param('hashes'));
 
         // Add batch information
-        $batches = $scanner->create_batches($manifest);
+        $chunk_size = Settings::get_instance()->get('chunk_size');
+        $batches = $scanner->create_batches($manifest, $chunk_size);
         $large_files = $scanner->get_large_files($manifest);
 
         $manifest['batches'] = count($batches);
+        $manifest['file_batches'] = $batches;
         $manifest['large_files_count'] = count($large_files);
         $manifest['total_chunks'] = 0;
 
         foreach ($large_files as $file) {
-            $chunks = $scanner->calculate_chunks($file['size'], Settings::get_instance()->get('chunk_size'));
+            $chunks = $scanner->calculate_chunks($file['size'], $chunk_size);
             $manifest['total_chunks'] += $chunks;
         }
 
@@ -514,17 +661,24 @@ class REST_Controller extends WP_REST_Controller {
         global $wpdb;
 
         $tables = $wpdb->get_results(
-            $wpdb->prepare("SHOW TABLES LIKE %s", $wpdb->esc_like($wpdb->prefix) . '%'),
-            ARRAY_N
+            $wpdb->prepare("SHOW TABLE STATUS LIKE %s", $wpdb->esc_like($wpdb->prefix) . '%'),
+            ARRAY_A
         );
 
         $table_info = array();
         foreach ($tables as $table) {
-            $table_name = $table[0];
+            $table_name = $table['Name'];
+            // The migration history belongs to this site
+            if ($table_name === Migration_History::get_table_name()) {
+                continue;
+            }
+            // Exact row count - the status estimate is unreliable for InnoDB
             $count = $wpdb->get_var("SELECT COUNT(*) FROM `$table_name`");
             $table_info[] = array(
                 'name' => $table_name,
                 'rows' => (int) $count,
+                'data_size' => (int) $table['Data_length'],
+                'index_size' => (int) $table['Index_length'],
             );
         }
 
@@ -541,10 +695,83 @@ class REST_Controller extends WP_REST_Controller {
      * @return WP_REST_Response|WP_Error
      */
     public function stream_file($request) {
-        $path = $request->get_param('path');
         $start = $request->get_param('start');
         $end = $request->get_param('end');
 
+        $full_path = $this->resolve_content_file($request->get_param('path'));
+        if (is_wp_error($full_path)) {
+            return $full_path;
+        }
+
+        $file_size = filesize($full_path);
+        $chunk_size = $end > 0 ? ($end - $start) : Settings::get_instance()->get('chunk_size');
+
+        // Open file
+        $handle = fopen($full_path, 'rb');
+        if (!$handle) {
+            return new WP_Error(
+                'file_open_failed',
+                __('Could not open file.', 'simple-migrator'),
+                array('status' => 500)
+            );
+        }
+
+        // Seek to start position
+        fseek($handle, $start);
+
+        // Read chunk
+        $data = fread($handle, $chunk_size);
+        fclose($handle);
+
+        // Calculate checksum
+        $checksum = md5($data);
+
+        if ($request->get_param('format') === 'binary') {
+            return $this->binary_response($data, $request->get_param('encoding'), array(
+                'X-SM-Checksum' => $checksum,
+                'X-SM-Bytes-Read' => strlen($data),
+                'X-SM-File-Size' => $file_size,
+                'X-SM-Offset' => $start,
+            ));
+        }
+
+        return rest_ensure_response(array(
+            'data' => base64_encode($data),
+            'checksum' => $checksum,
+            'bytes_read' => strlen($data),
+            'file_size' => $file_size,
+            'offset' => $start,
+        ));
+    }
+
+    /**
+     * Get the MD5 of one file, for checking a chunked copy once it is assembled
+     *
+     * Hashed on request, one file at a time, so the manifest scan never reads whole files.
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function get_file_hash($request) {
+        $full_path = $this->resolve_content_file($request->get_param('path'));
+        if (is_wp_error($full_path)) {
+            return $full_path;
+        }
+
+        return rest_ensure_response(array(
+            'path' => $request->get_param('path'),
+            'size' => filesize($full_path),
+            'hash' => md5_file($full_path),
+        ));
+    }
+
+    /**
+     * Resolve a path relative to wp-content to an existing file inside it
+     *
+     * @param string $path
+     * @return string|WP_Error Full path
+     */
+    private function resolve_content_file($path) {
         // Security: Ensure path is within wp-content
         $full_path = realpath(WP_CONTENT_DIR . '/' . $path);
         $content_dir = realpath(WP_CONTENT_DIR);
@@ -575,36 +802,36 @@ class REST_Controller extends WP_REST_Controller {
             );
         }
 
-        $file_size = filesize($full_path);
-        $chunk_size = $end > 0 ? ($end - $start) : Settings::get_instance()->get('chunk_size');
+        return $full_path;
+    }
 
-        // Open file
-        $handle = fopen($full_path, 'rb');
-        if (!$handle) {
-            return new WP_Error(
-                'file_open_failed',
-                __('Could not open file.', 'simple-migrator'),
-                array('status' => 500)
-            );
+    /**
+     * Build a raw byte response, compressed when asked and zlib is available
+     *
+     * The checksum header always describes the uncompressed bytes.
+     *
+     * @param string $data     Raw bytes
+     * @param string $encoding identity, gzip or deflate
+     * @param array  $headers  X-SM-* details of the data
+     * @return WP_REST_Response
+     */
+    private function binary_response($data, $encoding, $headers) {
+        if ($encoding === 'gzip' && function_exists('gzencode')) {
+            $data = gzencode($data, 6);
+        } elseif ($encoding === 'deflate' && function_exists('gzcompress')) {
+            $data = gzcompress($data, 6);
+        } else {
+            $encoding = 'identity';
         }
 
-        // Seek to start position
-        fseek($handle, $start);
-
-        // Read chunk
-        $data = fread($handle, $chunk_size);
-        fclose($handle);
-
-        // Calculate checksum
-        $checksum = md5($data);
+        $response = new WP_REST_Response($data);
+        $response->set_headers(array_merge($headers, array(
+            'Content-Type' => 'application/octet-stream',
+            'Content-Length' => strlen($data),
+            'X-SM-Encoding' => $encoding,
+        )));
 
-        return rest_ensure_response(array(
-            'data' => base64_encode($data),
-            'checksum' => $checksum,
-            'bytes_read' => strlen($data),
-            'file_size' => $file_size,
-            'offset' => $start,
-        ));
+        return $response;
     }
 
     /**
@@ -651,8 +878,10 @@ class REST_Controller extends WP_REST_Controller {
      * @return WP_REST_Response|WP_Error
      */
     public function stream_batch($request) {
-        $files_json = $request->get_param('files');
-        $files = json_decode($files_json, true);
+        $files = $request->get_param('files');
+        if (is_string($files)) {
+            $files = json_decode($files, true);
+        }
 
         if (!is_array($files)) {
             return new WP_Error(
@@ -675,7 +904,7 @@ class REST_Controller extends WP_REST_Controller {
         $temp_dir = sys_get_temp_dir();
         $temp_file = tempnam($temp_dir, 'sm_zip_');
         $zip_file = $temp_file . '.zip';
-        register_shutdown_function(function() use ($zip_file) {
+        register_shutdown_function(function() use ($zip_file, $temp_file) {
             if (file_exists($zip_file)) {
                 @unlink($zip_file);
             }
@@ -699,6 +928,7 @@ class REST_Controller extends WP_REST_Controller {
         }
 
         $content_dir = realpath(WP_CONTENT_DIR);
+        $added = array();
 
         // Add files to zip
         foreach ($files as $file_path) {
@@ -716,11 +946,24 @@ class REST_Controller extends WP_REST_Controller {
 
             // Add file to zip with relative path
             $local_name = $file_path;
-            $zip->addFile($full_path, $local_name);
+            if ($zip->addFile($full_path, $local_name)) {
+                $added[] = $file_path;
+            }
         }
 
         $zip->close();
 
+        // ZipArchive writes nothing for an empty archive
+        if (empty($added)) {
+            return rest_ensure_response(array(
+                'data' => '',
+                'checksum' => '',
+                'size' => 0,
+                'file_count' => 0,
+                'files' => array(),
+            ));
+        }
+
         // Read zip file
         $zip_data = file_get_contents($zip_file);
         $checksum = md5($zip_data);
@@ -732,7 +975,8 @@ class REST_Controller extends WP_REST_Controller {
             'data' => base64_encode($zip_data),
             'checksum' => $checksum,
             'size' => strlen($zip_data),
-            'file_count' => count($files),
+            'file_count' => count($added),
+            'files' => $added,
         ));
     }
 
@@ -814,13 +1058,19 @@ class REST_Controller extends WP_REST_Controller {
             $next_id = isset($last_row[$primary_key]) ? (int) $last_row[$primary_key] : 0;
         }
 
-        return rest_ensure_response(array(
+        $result = array(
             'rows' => $rows,
             'count' => count($rows),
             'next_id' => $next_id,
             'has_more' => count($rows) === $batch,
             'primary_key' => $primary_key,
-        ));
+        );
+
+        if ($request->get_param('encoding') === 'gzip') {
+            return $this->binary_response(wp_json_encode($result), 'gzip', array());
+        }
+
+        return rest_ensure_response($result);
     }
 
     /**
@@ -908,6 +1158,60 @@ class REST_Controller extends WP_REST_Controller {
         ));
     }
 
+    /**
+     * Checksum a chunk of table rows for verification
+     *
+     * With search_url set, the rows first go through the same search & replace
+     * as on the destination, so unchanged data checksums the same on both sides.
+     *
+     * @param WP_REST_Request $request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function verify_table_rows($request) {
+        global $wpdb;
+
+        $table = $request->get_param('table');
+
+        // Security: Validate table name
+        if (!preg_match('/^[a-zA-Z0-9_]+$/', $table)) {
+            return new WP_Error(
+                'invalid_table',
+                __('Invalid table name.', 'simple-migrator'),
+                array('status' => 400)
+            );
+        }
+
+        if (!$wpdb->get_var($wpdb->prepare("SHOW TABLES LIKE %s", $table))) {
+            return new WP_Error(
+                'table_not_found',
+                __('Table does not exist.', 'simple-migrator'),
+                array('status' => 404)
+            );
+        }
+
+        // The key is only ever used as a prepared query parameter
+        $after = $request->get_param('after');
+        $after = is_scalar($after) ? (string) $after : null;
+
+        $transform = null;
+        $search_url = $request->get_param('search_url');
+        if (!empty($search_url)) {
+            $fixer = new Serialization_Fixer();
+            $valid = $fixer->set_rules(Serialization_Fixer::sanitize_rules($request->get_param('rules')));
+            if (is_wp_error($valid)) {
+                $valid->add_data(array('status' => 400));
+                return $valid;
+            }
+
+            $replace_url = $request->get_param('replace_url');
+            $transform = function ($rows) use ($fixer, $search_url, $replace_url, $table) {
+                return $fixer->replace_rows($search_url, $replace_url, $table, $rows);
+            };
+        }
+
+        return rest_ensure_response(Verifier::checksum_chunk($table, $after, null, $request->get_param('limit'), $transform));
+    }
+
     /**
      * Get source information
      *
@@ -925,6 +1229,16 @@ class REST_Controller extends WP_REST_Controller {
         ));
     }
 
+    /**
+     * Run a destination migration action through AJAX_Handler
+     *
+     * @param WP_REST_Request $request
+     * @return WP_Error Only for unknown actions; handlers send their own response
+     */
+    public function handle_destination_action($request) {
+        return AJAX_Handler::get_instance()->handle_rest_action($request['action'], $request);
+    }
+
     /**
      * Get handshake schema
      *
@@ -14,11 +14,32 @@ namespace Simple_Migrator;
 class Serialization_Fixer {
 
     /**
-     * Tables to scan for serialized data
+     * Bytes of unchanged context kept around a change in preview samples
      *
-     * @var array
+     * @var int
+     */
+    const SAMPLE_CONTEXT = 40;
+
+    /**
+     * Maximum length of a preview sample in bytes
+     *
+     * @var int
+     */
+    const SAMPLE_LENGTH = 240;
+
+    /**
+     * Seconds of work per replace_page() call
+     *
+     * @var int
+     */
+    const PAGE_SECONDS = 5;
+
+    /**
+     * Unprefixed names of the tables to scan, null for every table with the site prefix
+     *
+     * @var array|null
      */
-    private $tables_to_scan = array();
+    private $tables_to_scan = null;
 
     /**
      * Source URL
@@ -34,6 +55,58 @@ class Serialization_Fixer {
      */
     private $destination_url = '';
 
+    /**
+     * URL variants to search for, longest first
+     *
+     * @var array
+     */
+    private $search_urls = array();
+
+    /**
+     * Replacements for $search_urls, in the same order
+     *
+     * @var array
+     */
+    private $replace_urls = array();
+
+    /**
+     * Custom rules applied after the URL replacement
+     *
+     * Each rule has search, replace, regex, case_sensitive and tables
+     * (unprefixed table names it is limited to, empty for every table).
+     *
+     * @var array
+     */
+    private $rules = array();
+
+    /**
+     * Unprefixed name of the table being processed, for rule scopes
+     *
+     * @var string
+     */
+    private $current_table = '';
+
+    /**
+     * Whether changes are only recorded, not written (see preview())
+     *
+     * @var bool
+     */
+    private $preview = false;
+
+    /**
+     * Before/after samples kept per column in preview mode
+     *
+     * @var int
+     */
+    private $sample_limit = 3;
+
+    /**
+     * Changed rows per table and column in preview mode
+     *
+     * @var array
+     */
+    private $changes = array();
+
     /**
      * Statistics
      *
@@ -43,22 +116,143 @@ class Serialization_Fixer {
         'tables_processed' => 0,
         'rows_processed' => 0,
         'replacements_made' => 0,
+        'tables' => array(),
+        'rules' => array(),
         'errors' => array()
     );
 
     /**
-     * Constructor
+     * Limit the scan to some tables
+     *
+     * The migration history is never scanned; its records belong to this site.
+     *
+     * @param array $tables Unprefixed table names, e.g. the migrated tables
      */
-    public function __construct() {
-        $this->tables_to_scan = array(
-            'options',
-            'postmeta',
-            'commentmeta',
-            'termmeta',
-            'usermeta',
-            'posts',
-            'comments'
-        );
+    public function set_tables($tables) {
+        $this->tables_to_scan = array_values(array_diff(array_unique($tables), array(Migration_History::TABLE)));
+    }
+
+    /**
+     * Unprefixed names of every table with the site prefix, less the migration history
+     *
+     * @return array
+     */
+    public static function list_tables() {
+        global $wpdb;
+
+        $tables = $wpdb->get_col($wpdb->prepare('SHOW TABLES LIKE %s', $wpdb->esc_like($wpdb->prefix) . '%'));
+        $tables = array_diff($tables, array(Migration_History::get_table_name()));
+
+        return array_values(array_map(function ($table) use ($wpdb) {
+            return substr($table, strlen($wpdb->prefix));
+        }, $tables));
+    }
+
+    /**
+     * Set the custom rules applied after the URL replacement
+     *
+     * @param array $rules List of array('search', 'replace', 'regex', 'case_sensitive', 'tables')
+     * @return true|WP_Error Error naming the first rule with an invalid regular expression and why
+     */
+    public function set_rules($rules) {
+        $prepared = array();
+
+        foreach (array_values($rules) as $index => $rule) {
+            if ($rule['regex']) {
+                $rule['pattern'] = self::rule_pattern($rule);
+                $reason = self::get_regex_error($rule['pattern']);
+                if ($reason !== null) {
+                    return new \WP_Error(
+                        'invalid_rule',
+                        sprintf(__('Rule %1$d has an invalid regular expression "%2$s": %3$s', 'simple-migrator'), $index + 1, $rule['search'], $reason)
+                    );
+                }
+            }
+            $prepared[] = $rule;
+        }
+
+        $this->rules = $prepared;
+        return true;
+    }
+
+    /**
+     * Check that a regular expression compiles
+     *
+     * PCRE reports a pattern that does not compile only through a warning, so
+     * the warning is captured for its reason; other failures come from
+     * preg_last_error().
+     *
+     * @param string $pattern
+     * @return string|null Why the pattern fails, null when it works
+     */
+    private static function get_regex_error($pattern) {
+        $warning = null;
+        set_error_handler(function ($errno, $message) use (&$warning) {
+            $warning = preg_replace('/^preg_match\(\): /', '', $message);
+            return true;
+        });
+        $result = preg_match($pattern, '');
+        restore_error_handler();
+
+        if ($result !== false) {
+            return null;
+        }
+
+        if ($warning !== null) {
+            return $warning;
+        }
+
+        return function_exists('preg_last_error_msg') ? preg_last_error_msg() : sprintf('PCRE error %d', preg_last_error());
+    }
+
+    /**
+     * Normalize custom rules from a request or checkpoint
+     *
+     * Search and replace strings are kept verbatim - they are data matched
+     * against the database, not output. Rules without a search string are dropped.
+     *
+     * @param mixed $rules List of array('search', 'replace', 'regex', 'case_sensitive', 'tables')
+     * @return array
+     */
+    public static function sanitize_rules($rules) {
+        if (!is_array($rules)) {
+            return array();
+        }
+
+        $clean = array();
+        foreach (array_slice($rules, 0, 50) as $rule) {
+            if (!is_array($rule) || !isset($rule['search']) || !is_string($rule['search']) || $rule['search'] === '') {
+                continue;
+            }
+
+            $tables = isset($rule['tables']) && is_array($rule['tables']) ? $rule['tables'] : array();
+            $clean[] = array(
+                'search'         => $rule['search'],
+                'replace'        => isset($rule['replace']) && is_string($rule['replace']) ? $rule['replace'] : '',
+                'regex'          => !empty($rule['regex']),
+                'case_sensitive' => !empty($rule['case_sensitive']),
+                'tables'         => array_values(array_filter($tables, function ($table) {
+                    return is_string($table) && preg_match('/^[a-zA-Z0-9_]+$/', $table);
+                })),
+            );
+        }
+
+        return $clean;
+    }
+
+    /**
+     * Build the PCRE pattern for a regex rule
+     *
+     * Rules hold the expression without delimiters; case-insensitive unless case_sensitive is set.
+     * A ~ the rule leaves unescaped (after an even number of backslashes) is escaped as the delimiter.
+     *
+     * @param array $rule
+     * @return string
+     */
+    public static function rule_pattern($rule) {
+        $search = preg_replace('/(?<!\\\\)((?:\\\\\\\\)*)~/', '$1\\\\~', $rule['search']);
+
+        return '~' . $search . '~' . ($rule['case_sensitive'] ? '' : 'i');
     }
 
     /**
@@ -71,15 +265,190 @@ class Serialization_Fixer {
     public function replace($source_url, $destination_url) {
         global $wpdb;
 
+        $this->begin($source_url, $destination_url);
+
+        foreach ($this->get_tables() as $table) {
+            $rows_before = $this->stats['rows_processed'];
+            $replacements_before = $this->stats['replacements_made'];
+
+            $this->current_table = $table['table'];
+            $this->process_table($wpdb->prefix . $table['table']);
+            $this->stats['tables_processed']++;
+
+            $this->stats['tables'][] = array(
+                'table' => $wpdb->prefix . $table['table'],
+                'rows_processed' => $this->stats['rows_processed'] - $rows_before,
+                'replacements_made' => $this->stats['replacements_made'] - $replacements_before,
+            );
+        }
+
+        return $this->stats;
+    }
+
+    /**
+     * Search and replace part of one table, for callers that page through the database
+     *
+     * Processes batches from $cursor on until the table is done or PAGE_SECONDS
+     * have passed, so each request stays well within PHP time limits.
+     *
+     * @param string $source_url
+     * @param string $destination_url
+     * @param string $table Unprefixed table name
+     * @param string|int|null $cursor Cursor returned by the previous page, null to start
+     * @return array Results as replace() for this page, plus cursor and done
+     */
+    public function replace_page($source_url, $destination_url, $table, $cursor = null) {
+        global $wpdb;
+
+        $this->begin($source_url, $destination_url);
+        $this->current_table = $table;
+
+        $full_table = $wpdb->prefix . $table;
+        $done = true;
+
+        $table_exists = $wpdb->get_var($wpdb->prepare("SHOW TABLES LIKE %s", $wpdb->esc_like($full_table)));
+        $layout = $table_exists ? $this->get_table_layout($full_table) : null;
+
+        if ($layout !== null) {
+            $started = microtime(true);
+            do {
+                $batch = $this->process_batch($full_table, $layout, $cursor);
+                $cursor = $batch['cursor'];
+                $done = $batch['done'];
+            } while (!$done && microtime(true) - $started < self::PAGE_SECONDS);
+        }
+
+        if ($done) {
+            $this->stats['tables_processed'] = 1;
+        }
+        $this->stats['tables'][] = array(
+            'table' => $full_table,
+            'rows_processed' => $this->stats['rows_processed'],
+            'replacements_made' => $this->stats['replacements_made'],
+        );
+        $this->stats['cursor'] = $done ? null : $cursor;
+        $this->stats['done'] = $done;
+
+        return $this->stats;
+    }
+
+    /**
+     * Preview search and replace without writing anything
+     *
+     * Runs the same replacement as replace() and reports, per table and column,
+     * how many rows would change with a few before/after samples. Serialized
+     * values are re-serialized first, so samples show the recalculated lengths.
+     *
+     * @param string $source_url
+     * @param string $destination_url
+     * @param int $sample_limit Samples kept per column
+     * @return array Results as replace() (replacements_made counts rows that would change),
+     *               plus changes: list of array('table', 'column', 'rows', 'samples')
+     */
+    public function preview($source_url, $destination_url, $sample_limit = 3) {
+        return $this->with_preview($sample_limit, function () use ($source_url, $destination_url) {
+            return $this->replace($source_url, $destination_url);
+        });
+    }
+
+    /**
+     * Preview one page of a table, as replace_page() would process it
+     *
+     * @param string $source_url
+     * @param string $destination_url
+     * @param string $table Unprefixed table name
+     * @param string|int|null $cursor Cursor returned by the previous page, null to start
+     * @param int $sample_limit Samples kept per column
+     * @return array Results as replace_page() plus changes, as preview()
+     */
+    public function preview_page($source_url, $destination_url, $table, $cursor = null, $sample_limit = 3) {
+        return $this->with_preview($sample_limit, function () use ($source_url, $destination_url, $table, $cursor) {
+            return $this->replace_page($source_url, $destination_url, $table, $cursor);
+        });
+    }
+
+    /**
+     * Apply the replacement to rows in memory, without writing anything
+     *
+     * Gives the values replace() would leave in the rows, so the source can
+     * checksum its rows the way the destination holds them after search & replace.
+     *
+     * @param string $source_url
+     * @param string $destination_url
+     * @param string $table Table name with the site prefix
+     * @param array $rows Complete rows of $table
+     * @return array The rows with their text columns replaced
+     */
+    public function replace_rows($source_url, $destination_url, $table, $rows) {
+        global $wpdb;
+
+        $this->begin($source_url, $destination_url);
+        $this->current_table = substr($table, strlen($wpdb->prefix));
+
+        $layout = $this->get_table_layout($table);
+        if ($layout === null) {
+            return $rows;
+        }
+
+        foreach ($rows as $index => $row) {
+            $rows[$index] = array_merge($row, $this->replace_columns($row, $layout['text_columns']));
+        }
+
+        return $rows;
+    }
+
+    /**
+     * Tables that will be scanned, with their approximate row counts
+     *
+     * @return array List of array('table' => unprefixed name, 'rows' => int)
+     */
+    public function get_tables() {
+        global $wpdb;
+
+        $rows = array();
+        $status = $wpdb->get_results($wpdb->prepare('SHOW TABLE STATUS LIKE %s', $wpdb->esc_like($wpdb->prefix) . '%'), ARRAY_A);
+        foreach ($status as $table) {
+            $rows[$table['Name']] = (int) $table['Rows'];
+        }
+
+        $tables = array();
+        foreach ($this->tables_to_scan !== null ? $this->tables_to_scan : self::list_tables() as $table) {
+            if (isset($rows[$wpdb->prefix . $table])) {
+                $tables[] = array(
+                    'table' => $table,
+                    'rows' => $rows[$wpdb->prefix . $table],
+                );
+            }
+        }
+
+        return $tables;
+    }
+
+    /**
+     * Reset statistics and prepare the URL pairs for a run
+     *
+     * @param string $source_url
+     * @param string $destination_url
+     */
+    private function begin($source_url, $destination_url) {
         $this->source_url = rtrim($source_url, '/');
         $this->destination_url = rtrim($destination_url, '/');
         $this->stats = array(
             'tables_processed' => 0,
             'rows_processed' => 0,
             'replacements_made' => 0,
+            'tables' => array(),
+            'rules' => array(),
             'errors' => array()
         );
 
+        foreach ($this->rules as $rule) {
+            $this->stats['rules'][] = array(
+                'search' => $rule['search'],
+                'replacements' => 0,
+            );
+        }
+
         // Also handle URLs with and without trailing slashes
         $search_urls = array(
             $this->source_url,
@@ -107,37 +476,77 @@ class Serialization_Fixer {
             $replace_urls
         );
 
-        foreach ($this->tables_to_scan as $table) {
-            $full_table = $wpdb->prefix . $table;
+        $this->search_urls = $search_urls;
+        $this->replace_urls = $replace_urls;
+    }
 
-            // Check if table exists
-            $table_exists = $wpdb->get_var($wpdb->prepare("SHOW TABLES LIKE %s", $full_table));
-            if (!$table_exists) {
-                continue;
-            }
+    /**
+     * Run a replacement in preview mode and add the recorded changes to its results
+     *
+     * @param int $sample_limit
+     * @param callable $run Returns the results of replace() or replace_page()
+     * @return array
+     */
+    private function with_preview($sample_limit, $run) {
+        $this->preview = true;
+        $this->sample_limit = max(0, (int) $sample_limit);
 
-            $this->process_table($full_table, $search_urls, $replace_urls);
-            $this->stats['tables_processed']++;
+        $this->changes = array();
+        $results = $run();
+        $this->preview = false;
+
+        $results['changes'] = array();
+        foreach ($this->changes as $table => $columns) {
+            foreach ($columns as $column => $change) {
+                $results['changes'][] = array(
+                    'table' => $table,
+                    'column' => $column,
+                    'rows' => $change['rows'],
+                    'samples' => $change['samples'],
+                );
+            }
         }
 
-        return $this->stats;
+        return $results;
     }
 
     /**
      * Process a single table
      *
      * @param string $table
-     * @param array $search_urls
-     * @param array $replace_urls
      */
-    private function process_table($table, $search_urls, $replace_urls) {
+    private function process_table($table) {
+        $layout = $this->get_table_layout($table);
+        if ($layout === null) {
+            return;
+        }
+
+        $cursor = null;
+        do {
+            $batch = $this->process_batch($table, $layout, $cursor);
+            $cursor = $batch['cursor'];
+
+            // Prevent timeout
+            if (function_exists('set_time_limit')) {
+                set_time_limit(30);
+            }
+        } while (!$batch['done']);
+    }
+
+    /**
+     * Find the text columns and the row key of a table
+     *
+     * @param string $table
+     * @return array|null array('text_columns', 'primary_key', 'order_columns'), null when there is nothing to replace in
+     */
+    private function get_table_layout($table) {
         global $wpdb;
 
         // Get all columns and their types
         $columns = $wpdb->get_results("SHOW COLUMNS FROM `{$table}`", ARRAY_A);
 
         if (empty($columns)) {
-            return;
+            return null;
         }
 
         // Get text-based columns
@@ -153,69 +562,93 @@ class Serialization_Fixer {
         }
 
         if (empty($text_columns)) {
-            return;
+            return null;
         }
 
-        // Get primary key
         $primary_key = $this->get_primary_key($table);
 
-        // Process rows in batches using keyset pagination when possible
-        $batch_size = Settings::get_instance()->get('batch_size');
-        $last_pk_value = null;
-        $use_keyset = ($primary_key !== null);
-
-        while (true) {
-            // Get a batch of rows
-            $select_columns = array_unique(array_merge(
-                $primary_key !== null ? array("`{$primary_key}`") : array(),
-                array_map(function($c) { return "`{$c}`"; }, $text_columns)
-            ));
-            $columns_str = implode(', ', $select_columns);
-
-            if ($use_keyset && $last_pk_value !== null) {
-                $rows = $wpdb->get_results(
-                    $wpdb->prepare(
-                        "SELECT {$columns_str} FROM `{$table}` WHERE `{$primary_key}` > %s ORDER BY `{$primary_key}` ASC LIMIT %d",
-                        $last_pk_value,
-                        $batch_size
-                    ),
-                    ARRAY_A
-                );
-            } else {
-                $order_clause = $use_keyset ? "ORDER BY `{$primary_key}` ASC" : '';
-                $rows = $wpdb->get_results(
-                    $wpdb->prepare(
-                        "SELECT {$columns_str} FROM `{$table}` {$order_clause} LIMIT %d",
-                        $batch_size
-                    ),
-                    ARRAY_A
-                );
-            }
+        return array(
+            'text_columns' => $text_columns,
+            'primary_key' => $primary_key,
+            'order_columns' => $primary_key === null ? $this->get_stable_unique_key($table, $text_columns) : null,
+        );
+    }
 
-            if (empty($rows)) {
-                break;
-            }
+    /**
+     * Process one batch of rows
+     *
+     * Tables with a single-column primary key are paged by key (the cursor is the
+     * last key seen). Others are paged by offset (the cursor is the number of rows
+     * read) in the order of a unique key the replacement cannot change, or read in
+     * one pass when they have none: without a fixed order, pages could skip or
+     * repeat rows.
+     *
+     * @param string $table
+     * @param array $layout From get_table_layout()
+     * @param string|int|null $cursor Null for the first batch
+     * @return array array('cursor' => for the next batch, 'done' => whether the table is finished)
+     */
+    private function process_batch($table, $layout, $cursor) {
+        global $wpdb;
 
-            foreach ($rows as $row) {
-                $this->process_row($table, $row, $text_columns, $primary_key, $search_urls, $replace_urls);
-                $this->stats['rows_processed']++;
-            }
+        $text_columns = $layout['text_columns'];
+        $primary_key = $layout['primary_key'];
+        $batch_size = Settings::get_instance()->get('batch_size');
 
-            // Update keyset pagination cursor
-            if ($use_keyset && !empty($rows)) {
-                $last_row = end($rows);
-                $last_pk_value = $last_row[$primary_key];
-            }
+        $select_columns = array_unique(array_merge(
+            $primary_key !== null ? array("`{$primary_key}`") : array(),
+            array_map(function($c) { return "`{$c}`"; }, $text_columns)
+        ));
+        $columns_str = implode(', ', $select_columns);
 
-            if (count($rows) < $batch_size) {
-                break;
-            }
+        if ($primary_key !== null && $cursor !== null) {
+            $rows = $wpdb->get_results(
+                $wpdb->prepare(
+                    "SELECT {$columns_str} FROM `{$table}` WHERE `{$primary_key}` > %s ORDER BY `{$primary_key}` ASC LIMIT %d",
+                    $cursor,
+                    $batch_size
+                ),
+                ARRAY_A
+            );
+        } elseif ($primary_key !== null) {
+            $rows = $wpdb->get_results(
+                $wpdb->prepare(
+                    "SELECT {$columns_str} FROM `{$table}` ORDER BY `{$primary_key}` ASC LIMIT %d",
+                    $batch_size
+                ),
+                ARRAY_A
+            );
+        } elseif ($layout['order_columns'] !== null) {
+            // Updates only touch text columns, which the key leaves out, so the order holds between batches
+            $order_str = implode(', ', array_map(function($c) { return "`{$c}`"; }, $layout['order_columns']));
+            $rows = $wpdb->get_results(
+                $wpdb->prepare(
+                    "SELECT {$columns_str} FROM `{$table}` ORDER BY {$order_str} LIMIT %d OFFSET %d",
+                    $batch_size,
+                    (int) $cursor
+                ),
+                ARRAY_A
+            );
+        } else {
+            $rows = $wpdb->get_results("SELECT {$columns_str} FROM `{$table}`", ARRAY_A);
+        }
 
-            // Prevent timeout
-            if (function_exists('set_time_limit')) {
-                set_time_limit(30);
-            }
+        foreach ($rows as $row) {
+            $this->process_row($table, $row, $text_columns, $primary_key);
+            $this->stats['rows_processed']++;
         }
+
+        if ($primary_key !== null) {
+            $last_row = end($rows);
+            $next = $last_row ? $last_row[$primary_key] : $cursor;
+        } else {
+            $next = (int) $cursor + count($rows);
+        }
+
+        return array(
+            'cursor' => $next,
+            'done' => count($rows) < $batch_size || ($primary_key === null && $layout['order_columns'] === null),
+        );
     }
 
     /**
@@ -225,14 +658,59 @@ class Serialization_Fixer {
      * @param array $row
      * @param array $text_columns
      * @param string $primary_key
-     * @param array $search_urls
-     * @param array $replace_urls
      */
-    private function process_row($table, $row, $text_columns, $primary_key, $search_urls, $replace_urls) {
+    private function process_row($table, $row, $text_columns, $primary_key) {
         global $wpdb;
 
-        $update_needed = false;
-        $update_data = array();
+        $update_data = $this->replace_columns($row, $text_columns);
+        $update_needed = !empty($update_data);
+
+        // In preview mode, record what would change instead
+        if ($update_needed && $this->preview) {
+            foreach ($update_data as $column => $new_value) {
+                $this->record_change($table, $column, $row[$column], $new_value, $primary_key !== null ? $row[$primary_key] : null);
+            }
+            $this->stats['replacements_made']++;
+            return;
+        }
+
+        // Perform update if needed
+        if ($update_needed) {
+            // Use correct format specifiers
+            $data_format = array_fill(0, count($update_data), '%s');
+
+            if ($primary_key !== null) {
+                $where = array($primary_key => $row[$primary_key]);
+                $where_format = array(is_numeric($row[$primary_key]) ? '%d' : '%s');
+            } else {
+                // No single key column: match on the original values. Identical rows get the same replacement anyway.
+                $where = $row;
+                $where_format = array_fill(0, count($row), '%s');
+            }
+
+            $result = $wpdb->update(
+                $table,
+                $update_data,
+                $where,
+                $data_format,
+                $where_format
+            );
+
+            if ($result !== false) {
+                $this->stats['replacements_made']++;
+            }
+        }
+    }
+
+    /**
+     * Replace in the text columns of a row
+     *
+     * @param array $row
+     * @param array $text_columns
+     * @return array New values of the columns that changed, keyed by column
+     */
+    private function replace_columns($row, $text_columns) {
+        $changed = array();
 
         foreach ($text_columns as $column) {
             $value = $row[$column];
@@ -244,62 +722,107 @@ class Serialization_Fixer {
 
             // Check if value might be serialized
             if ($this->is_serialized($value)) {
-                $new_value = $this->recursive_replace($value, $search_urls, $replace_urls);
-
-                if ($new_value !== $value) {
-                    $update_data[$column] = $new_value;
-                    $update_needed = true;
-                }
+                $new_value = $this->recursive_replace($value);
             } else {
                 // Simple string replacement
-                $new_value = $this->simple_replace($value, $search_urls, $replace_urls);
+                $new_value = $this->simple_replace($value);
+            }
 
-                if ($new_value !== $value) {
-                    $update_data[$column] = $new_value;
-                    $update_needed = true;
-                }
+            if ($new_value !== $value) {
+                $changed[$column] = $new_value;
             }
         }
 
-        // Perform update if needed
-        if ($update_needed) {
-            // Use correct format specifiers
-            $data_format = array_fill(0, count($update_data), '%s');
-            $pk_format = is_numeric($row[$primary_key]) ? '%d' : '%s';
+        return $changed;
+    }
 
-            $result = $wpdb->update(
-                $table,
-                $update_data,
-                array($primary_key => $row[$primary_key]),
-                $data_format,
-                array($pk_format)
+    /**
+     * Count a changed column value for the preview, keeping the first few samples
+     *
+     * @param string $table
+     * @param string $column
+     * @param string $before
+     * @param string $after
+     * @param mixed $row_id Primary key value, null if the table has none
+     */
+    private function record_change($table, $column, $before, $after, $row_id) {
+        if (!isset($this->changes[$table][$column])) {
+            $this->changes[$table][$column] = array(
+                'rows' => 0,
+                'samples' => array(),
             );
+        }
 
-            if ($result !== false) {
-                $this->stats['replacements_made']++;
-            }
+        $change = &$this->changes[$table][$column];
+        $change['rows']++;
+
+        if (count($change['samples']) < $this->sample_limit) {
+            $change['samples'][] = array_merge(array('row' => $row_id), $this->sample($before, $after));
         }
     }
 
+    /**
+     * Cut matching excerpts of a value before and after replacement around the changed part
+     *
+     * @param string $before
+     * @param string $after
+     * @return array array('before' => string, 'after' => string)
+     */
+    private function sample($before, $after) {
+        $shortest = min(strlen($before), strlen($after));
+
+        // First differing byte, then the length of the common tail that does not overlap it
+        $prefix = strspn($before ^ $after, "\0");
+        $suffix = min(strspn(strrev($before) ^ strrev($after), "\0"), $shortest - $prefix);
+
+        $start = max(0, $prefix - self::SAMPLE_CONTEXT);
+
+        return array(
+            'before' => $this->excerpt($before, $start, strlen($before) - $suffix + self::SAMPLE_CONTEXT),
+            'after' => $this->excerpt($after, $start, strlen($after) - $suffix + self::SAMPLE_CONTEXT),
+        );
+    }
+
+    /**
+     * Take bytes $start to $end of a string without splitting UTF-8 characters, marking cut ends
+     *
+     * @param string $string
+     * @param int $start
+     * @param int $end
+     * @return string
+     */
+    private function excerpt($string, $start, $end) {
+        $length = strlen($string);
+        $end = min($length, $end, $start + self::SAMPLE_LENGTH);
+
+        // Step back off UTF-8 continuation bytes
+        while ($start > 0 && (ord($string[$start]) & 0xC0) === 0x80) {
+            $start--;
+        }
+        while ($end < $length && $end > $start && (ord($string[$end]) & 0xC0) === 0x80) {
+            $end--;
+        }
+
+        return ($start > 0 ? '…' : '') . substr($string, $start, $end - $start) . ($end < $length ? '…' : '');
+    }
+
     /**
      * Recursive replacement for serialized data
      *
      * @param mixed $data
-     * @param array $search_urls
-     * @param array $replace_urls
      * @return mixed
      */
-    private function recursive_replace($data, $search_urls, $replace_urls) {
+    private function recursive_replace($data) {
         // Try to unserialize
         $unserialized = @unserialize($data);
 
         if ($unserialized === false && $data !== 'b:0;') {
             // Not valid serialized data, do simple replacement
-            return $this->simple_replace($data, $search_urls, $replace_urls);
+            return $this->simple_replace($data);
         }
 
         // Recursively process the unserialized data
-        $unserialized = $this->process_data_structure($unserialized, $search_urls, $replace_urls);
+        $unserialized = $this->process_data_structure($unserialized);
 
         // Re-serialize with correct length counters
         return serialize($unserialized);
@@ -309,28 +832,26 @@ class Serialization_Fixer {
      * Process data structure recursively
      *
      * @param mixed $data
-     * @param array $search_urls
-     * @param array $replace_urls
      * @return mixed
      */
-    private function process_data_structure($data, $search_urls, $replace_urls) {
+    private function process_data_structure($data) {
         if (is_string($data)) {
             // Check if the string itself is serialized (nested serialization)
             if ($this->is_serialized($data)) {
-                return $this->recursive_replace($data, $search_urls, $replace_urls);
+                return $this->recursive_replace($data);
             }
             // Perform replacement
-            return $this->simple_replace($data, $search_urls, $replace_urls);
+            return $this->simple_replace($data);
         } elseif (is_array($data)) {
             foreach ($data as $key => $value) {
-                $data[$key] = $this->process_data_structure($value, $search_urls, $replace_urls);
+                $data[$key] = $this->process_data_structure($value);
             }
             return $data;
         } elseif (is_object($data)) {
             // Handle objects carefully
             $object_vars = get_object_vars($data);
             foreach ($object_vars as $key => $value) {
-                $data->$key = $this->process_data_structure($value, $search_urls, $replace_urls);
+                $data->$key = $this->process_data_structure($value);
             }
             return $data;
         }
@@ -339,15 +860,36 @@ class Serialization_Fixer {
     }
 
     /**
-     * Simple string replacement
+     * Simple string replacement: the URLs, then every custom rule in scope for the current table
      *
      * @param string $string
-     * @param array $search_urls
-     * @param array $replace_urls
      * @return string
      */
-    private function simple_replace($string, $search_urls, $replace_urls) {
-        return str_replace($search_urls, $replace_urls, $string);
+    private function simple_replace($string) {
+        $string = str_replace($this->search_urls, $this->replace_urls, $string);
+
+        foreach ($this->rules as $index => $rule) {
+            if (!empty($rule['tables']) && !in_array($this->current_table, $rule['tables'], true)) {
+                continue;
+            }
+
+            $count = 0;
+            if ($rule['regex']) {
+                $result = preg_replace($rule['pattern'], $rule['replace'], $string, -1, $count);
+                // null on PCRE errors such as the backtrack limit - leave the value alone
+                if ($result !== null) {
+                    $string = $result;
+                }
+            } elseif ($rule['case_sensitive']) {
+                $string = str_replace($rule['search'], $rule['replace'], $string, $count);
+            } else {
+                $string = str_ireplace($rule['search'], $rule['replace'], $string, $count);
+            }
+
+            $this->stats['rules'][$index]['replacements'] += $count;
+        }
+
+        return $string;
     }
 
     /**
@@ -426,15 +968,60 @@ class Serialization_Fixer {
     }
 
     /**
-     * Get primary key column for table
+     * Get the column that identifies a row on its own
      *
-     * Delegates to shared Database_Utils to avoid duplication.
+     * Unlike Database_Utils::get_primary_key(), only a single-column primary key
+     * qualifies: updating by one column of a composite key or by a guessed
+     * column could overwrite other rows in plugin tables.
      *
      * @param string $table
      * @return string|null
      */
     private function get_primary_key($table) {
-        return Database_Utils::get_primary_key($table);
+        global $wpdb;
+
+        $indexes = $wpdb->get_results("SHOW INDEX FROM `{$table}` WHERE Key_name = 'PRIMARY'", ARRAY_A);
+
+        return count($indexes) === 1 ? $indexes[0]['Column_name'] : null;
+    }
+
+    /**
+     * Get the columns of a unique key that gives a table's rows a fixed order
+     *
+     * Keys with a nullable column are not unique for NULLs, and keys with a text
+     * column could change under the replacement, so neither qualifies.
+     *
+     * @param string $table
+     * @param array $text_columns
+     * @return array|null Column names in key order
+     */
+    private function get_stable_unique_key($table, $text_columns) {
+        global $wpdb;
+
+        $indexes = $wpdb->get_results("SHOW INDEX FROM `{$table}` WHERE Non_unique = 0", ARRAY_A);
+
+        $keys = array();
+        foreach ($indexes as $index) {
+            $keys[$index['Key_name']][(int) $index['Seq_in_index']] = $index;
+        }
+
+        foreach ($keys as $columns) {
+            ksort($columns);
+
+            $stable = true;
+            foreach ($columns as $column) {
+                if ($column['Null'] === 'YES' || in_array($column['Column_name'], $text_columns, true)) {
+                    $stable = false;
+                    break;
+                }
+            }
+
+            if ($stable) {
+                return array_values(wp_list_pluck($columns, 'Column_name'));
+            }
+        }
+
+        return null;
     }
 
     /**
@@ -42,7 +42,11 @@ class Settings {
     private $defaults = array(
         // UI-configurable settings
         'chunk_size'    => 2097152,   // 2MB in bytes
+        'parallel_transfers' => 3,    // concurrent file transfer workers
         'batch_size'    => 1000,      // rows per batch
+        'prefetch_depth' => 2,        // row batches fetched ahead of the one being inserted
+        'bandwidth_limit' => 0,       // KB/s pulled from the source, 0 = unlimited
+        'requests_per_second' => 0,   // source downloads per second, 0 = unlimited
         'max_retries'   => 5,
         'max_backups'   => 3,
         'lock_timeout'  => 1800,      // 30 minutes in seconds
@@ -105,7 +109,11 @@ class Settings {
      */
     private $validation_rules = array(
         'chunk_size'   => array(524288, 10485760),    // 0.5MB – 10MB
+        'parallel_transfers' => array(1, 10),
         'batch_size'   => array(100, 5000),
+        'prefetch_depth' => array(0, 5),
+        'bandwidth_limit' => array(0, 102400),         // 0 – 100 MB/s
+        'requests_per_second' => array(0, 100),
         'max_retries'  => array(1, 10),
         'max_backups'  => array(1, 10),
         'lock_timeout' => array(300, 7200),            // 5min – 120min
@@ -0,0 +1,115 @@
+<?php
+/**
+ * Verifier
+ *
+ * Row counts and chunked row checksums used to compare a migrated table on
+ * the source with its copy on the destination. Both sides hash the same key
+ * range the same way, so a mismatch narrows down to one chunk of rows.
+ *
+ * @package Simple_Migrator
+ */
+
+namespace Simple_Migrator;
+
+class Verifier {
+
+    /**
+     * Most rows hashed per chunk
+     *
+     * @var int
+     */
+    const MAX_CHUNK_ROWS = 5000;
+
+    /**
+     * Checksum one chunk of a table's rows in primary key order
+     *
+     * The source reads up to $limit rows after $after; the destination is then
+     * asked for the same key range with $until set to the source's last_key
+     * (or null when the source reached the end of the table). The first chunk
+     * ($after null) also reports the table's row count.
+     *
+     * Tables without a single-column primary key can only be compared by row
+     * count: they report a null checksum and are done after the first chunk.
+     *
+     * @param string $table Validated table name
+     * @param string|null $after Key the chunk starts after, null for the first chunk
+     * @param string|null $until Last key of the chunk, null for no upper bound
+     * @param int $limit Maximum number of rows
+     * @param callable|null $transform Applied to the rows before hashing
+     * @return array array('rows', 'checksum', 'last_key', 'done') plus 'total' and 'primary_key' for the first chunk
+     */
+    public static function checksum_chunk($table, $after, $until, $limit, $transform = null) {
+        global $wpdb;
+
+        $limit = max(1, min((int) $limit, self::MAX_CHUNK_ROWS));
+        $primary_key = self::get_primary_key($table);
+
+        $result = array();
+        if ($after === null) {
+            $result['total'] = (int) $wpdb->get_var("SELECT COUNT(*) FROM `{$table}`");
+            $result['primary_key'] = $primary_key;
+        }
+
+        if ($primary_key === null) {
+            return $result + array(
+                'rows' => 0,
+                'checksum' => null,
+                'last_key' => null,
+                'done' => true,
+            );
+        }
+
+        $where = array();
+        $params = array();
+        if ($after !== null) {
+            $where[] = "`{$primary_key}` > %s";
+            $params[] = $after;
+        }
+        if ($until !== null) {
+            $where[] = "`{$primary_key}` <= %s";
+            $params[] = $until;
+        }
+        $params[] = $limit;
+
+        $sql = "SELECT * FROM `{$table}`" . (!empty($where) ? ' WHERE ' . implode(' AND ', $where) : '') .
+            " ORDER BY `{$primary_key}` ASC LIMIT %d";
+        $rows = $wpdb->get_results($wpdb->prepare($sql, $params), ARRAY_A);
+
+        // Taken before the transform, which may rewrite a text key
+        $last_row = end($rows);
+        $last_key = $last_row ? $last_row[$primary_key] : $after;
+
+        if ($transform !== null) {
+            $rows = call_user_func($transform, $rows);
+        }
+
+        $hash = hash_init('md5');
+        foreach ($rows as $row) {
+            hash_update($hash, serialize(array_values($row)));
+        }
+
+        return $result + array(
+            'rows' => count($rows),
+            'checksum' => hash_final($hash),
+            'last_key' => $last_key,
+            'done' => count($rows) < $limit,
+        );
+    }
+
+    /**
+     * Get the single-column primary key of a table
+     *
+     * Chunks are key ranges, so a composite or guessed key could split rows
+     * differently on both sides.
+     *
+     * @param string $table
+     * @return string|null
+     */
+    private static function get_primary_key($table) {
+        global $wpdb;
+
+        $indexes = $wpdb->get_results("SHOW INDEX FROM `{$table}` WHERE Key_name = 'PRIMARY'", ARRAY_A);
+
+        return count($indexes) === 1 ? $indexes[0]['Column_name'] : null;
+    }
+}
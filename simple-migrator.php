@@ -150,6 +150,9 @@ class Simple_Migrator {
             update_option('sm_source_mode', 'none'); // 'source', 'destination', or 'none'
         }
 
+        // Create the migration history table
+        Simple_Migrator\Migration_History::install();
+
         // Flush rewrite rules
         flush_rewrite_rules();
     }
@@ -162,6 +165,7 @@ class Simple_Migrator {
         delete_transient('sm_preserved_options');
         delete_transient('sm_preserved_admin');
         delete_transient('sm_migration_lock');
+        delete_option('sm_migration_checkpoint');
 
         flush_rewrite_rules();
     }
@@ -173,6 +177,9 @@ class Simple_Migrator {
         // Initialize Settings (must be first — other components depend on it)
         Simple_Migrator\Settings::get_instance();
 
+        // Create or upgrade the history table after plugin updates
+        Simple_Migrator\Migration_History::maybe_install();
+
         // Initialize REST API
         Simple_Migrator\REST_Controller::get_instance();
 
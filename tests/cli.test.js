@@ -0,0 +1,173 @@
+/**
+ * CLI: argument validation, migration keys, table patterns and exit codes
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { EXIT, main, parseArgs, parseMigrationKey, tableMatcher } = require(path.join(__dirname, '..', 'bin', 'simple-migrator.js'));
+
+const KEY = 'https://source.example|' + Buffer.from('s3cret').toString('base64');
+const CREDENTIALS = ['--key', KEY, '--destination', 'https://dest.example', '--user', 'admin', '--app-password', 'pass word'];
+
+/**
+ * Parse arguments after the credentials, as if run from a terminal
+ */
+function parse(...args) {
+    return parseArgs(CREDENTIALS.concat(args), {}, true);
+}
+
+/**
+ * Run main() with its output captured, resolving with { code, stdout, stderr }
+ */
+async function run(argv) {
+    const output = { stdout: '', stderr: '' };
+    const writes = { stdout: process.stdout.write, stderr: process.stderr.write };
+
+    process.stdout.write = text => { output.stdout += text; return true; };
+    process.stderr.write = text => { output.stderr += text; return true; };
+    try {
+        output.code = await main(argv, {});
+    } finally {
+        process.stdout.write = writes.stdout;
+        process.stderr.write = writes.stderr;
+    }
+
+    return output;
+}
+
+test('parseArgs reads values, lists, numbers and flags', () => {
+    const options = parse('--mode=database', '--exclude-tables', 'wp_wc_*, wp_log', '--bandwidth-limit', '512', '--verify', '--yes');
+
+    assert.strictEqual(options.mode, 'database');
+    assert.deepStrictEqual(options.excludeTables, ['wp_wc_*', 'wp_log']);
+    assert.strictEqual(options.bandwidthLimit, 512);
+    assert.strictEqual(options.requestsPerSecond, null);
+    assert.strictEqual(options.verify, true);
+    assert.strictEqual(options.yes, true);
+    assert.strictEqual(options.appPassword, 'pass word');
+});
+
+test('parseArgs takes the credentials from the environment', () => {
+    const options = parseArgs([], {
+        SM_MIGRATION_KEY: KEY,
+        SM_DESTINATION_URL: 'https://dest.example',
+        SM_DESTINATION_USER: 'admin',
+        SM_DESTINATION_APP_PASSWORD: 'secret'
+    }, true);
+
+    assert.strictEqual(options.key, KEY);
+    assert.strictEqual(options.user, 'admin');
+});
+
+test('parseArgs rejects invalid arguments', () => {
+    const invalid = [
+        [['--nope'], /^Unknown option: --nope$/],
+        [['--mode'], /^--mode needs a value$/],
+        [['--mode', 'everything'], /^Unknown --mode: everything/],
+        [['--bandwidth-limit', 'fast'], /^--bandwidth-limit needs a number/],
+        [['--dry-run', '--resume'], /^--dry-run cannot be combined with --resume$/],
+        [['--dry-run', '--report', 'report.json'], /^--report cannot be combined with --dry-run$/],
+        [['--delete-missing'], /^--delete-missing requires --sync$/],
+        [['--mode', 'database', '--sync'], /^--sync does not apply to --mode database$/],
+        [['--mode', 'files', '--review-replace'], /^--review-replace does not apply to --mode files$/],
+        [['--replace-exclude', 'wc-sessions'], /^--replace-exclude: invalid table name wc-sessions$/]
+    ];
+
+    for (const [args, message] of invalid) {
+        assert.throws(() => parse(...args), { message: message }, args.join(' '));
+    }
+});
+
+test('parseArgs requires every credential', () => {
+    assert.throws(() => parseArgs(CREDENTIALS.slice(2), {}, true), { message: /^Missing --key$/ });
+    assert.throws(() => parseArgs(CREDENTIALS.slice(0, 6), {}, true), { message: /^Missing --app-password$/ });
+});
+
+test('parseArgs requires --yes when stdin is not a terminal', () => {
+    assert.throws(() => parseArgs(CREDENTIALS, {}, false), { message: /^--yes is required when stdin is not a terminal$/ });
+    assert.strictEqual(parseArgs(CREDENTIALS.concat('--yes'), {}, false).yes, true);
+
+    // A dry run asks nothing
+    assert.strictEqual(parseArgs(CREDENTIALS.concat('--dry-run'), {}, false).dryRun, true);
+});
+
+test('parseArgs loads and validates --replace-rules', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sm-cli-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const file = path.join(dir, 'rules.json');
+    fs.writeFileSync(file, JSON.stringify([{ search: 'cdn\\.old', replace: 'cdn.new', regex: true, tables: ['posts'] }]));
+    assert.deepStrictEqual(parse('--replace-rules', file).replaceRules, [
+        { search: 'cdn\\.old', replace: 'cdn.new', regex: true, caseSensitive: false, tables: ['posts'] }
+    ]);
+
+    fs.writeFileSync(file, JSON.stringify([{ search: '(unclosed', regex: true }]));
+    assert.throws(() => parse('--replace-rules', file), { message: /^--replace-rules rule 1 has an invalid regular expression/ });
+
+    fs.writeFileSync(file, JSON.stringify({ search: 'a' }));
+    assert.throws(() => parse('--replace-rules', file), { message: /^--replace-rules must contain a JSON array of rules$/ });
+
+    assert.throws(() => parse('--mode', 'files', '--replace-rules', file), { message: /^--replace-rules does not apply to --mode files$/ });
+});
+
+test('parseMigrationKey splits the source URL and decodes the secret', () => {
+    assert.deepStrictEqual(parseMigrationKey(`  ${KEY}\n`), { url: 'https://source.example', secret: 's3cret' });
+
+    assert.throws(() => parseMigrationKey('https://source.example'), { message: /^Invalid migration key format$/ });
+    assert.throws(() => parseMigrationKey('https://source.example|a|b'), { message: /^Invalid migration key format$/ });
+    assert.throws(() => parseMigrationKey('https://source.example|'), { message: /^Invalid migration key: failed to decode secret$/ });
+});
+
+test('tableMatcher matches whole names, * standing for any characters', () => {
+    const matches = tableMatcher(['wp_wc_*', 'wp_options', '*_log']);
+
+    assert.ok(matches('wp_wc_orders'));
+    assert.ok(matches('wp_wc_'));
+    assert.ok(matches('wp_options'));
+    assert.ok(matches('wp_actionscheduler_log'));
+
+    assert.ok(!matches('wp_options_backup'));
+    assert.ok(!matches('xwp_options'));
+    assert.ok(!matches('wp_posts'));
+
+    // Other regular expression characters are literal
+    const dotted = tableMatcher(['wp.posts']);
+    assert.ok(dotted('wp.posts'));
+    assert.ok(!dotted('wp_posts'));
+
+    assert.ok(!tableMatcher([])('wp_posts'));
+});
+
+test('exit codes stay as documented', () => {
+    assert.deepStrictEqual(EXIT, {
+        OK: 0,
+        FAILED: 1,
+        USAGE: 2,
+        CONNECTION: 3,
+        LOCKED: 4,
+        NOTHING_TO_RESUME: 5,
+        MISMATCH: 6,
+        FILES_FAILED: 7,
+        CANCELLED: 130
+    });
+});
+
+test('main exits with the usage code on invalid arguments and OK for --help', async () => {
+    const invalid = await run(['--nope']);
+    assert.strictEqual(invalid.code, EXIT.USAGE);
+    assert.match(invalid.stderr, /^Unknown option: --nope\n\nUsage: simple-migrator/);
+
+    const help = await run(['--help']);
+    assert.strictEqual(help.code, EXIT.OK);
+    assert.match(help.stdout, /^Usage: simple-migrator/);
+
+    const key = await run(CREDENTIALS.slice(2).concat('--key', 'no-separator', '--yes'));
+    assert.strictEqual(key.code, EXIT.USAGE);
+    assert.match(key.stderr, /^Invalid migration key format\n/);
+});
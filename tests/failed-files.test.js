@@ -0,0 +1,69 @@
+/**
+ * Failed-files queue: kept after a migration completes until every file is retried or skipped
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const { MemoryStore, MigrationState, Orchestrator, configure } = require(path.join(__dirname, '..', 'assets', 'js', 'migrator-core.js'));
+
+const FAILED = [
+    { path: 'uploads/a.jpg', size: 10, hash: null, message: 'Timed out', attempts: 1 },
+    { path: 'uploads/b.jpg', size: 20, hash: null, message: 'Timed out', attempts: 2 }
+];
+
+test.beforeEach(async () => {
+    await MemoryStore.clear();
+    MigrationState.reset();
+
+    // The destination has no checkpoint: the migration completed and released it
+    configure({
+        store: MemoryStore,
+        transport: {
+            async post(action) {
+                return action === 'sm_get_checkpoint' ? { success: true, data: { checkpoint: null } } : { success: true, data: {} };
+            }
+        },
+        ui: { log() {} }
+    });
+});
+
+/**
+ * Complete a migration with FAILED queued, then load it again as a fresh page would
+ */
+async function completeAndReload() {
+    MigrationState.migrationId = 'mig1';
+    MigrationState.sourceUrl = 'https://source.example';
+    MigrationState.failedFiles = FAILED.map(file => Object.assign({}, file));
+    MigrationState.setPhase('complete');
+    await MigrationState.saveFailedFiles();
+
+    MigrationState.reset();
+    return Orchestrator.loadCheckpoint();
+}
+
+test('the failed files of a completed migration survive a reload', async () => {
+    await completeAndReload();
+
+    assert.deepStrictEqual(MigrationState.failedFiles, FAILED);
+    assert.strictEqual(MigrationState.phase, 'complete');
+    assert.strictEqual(MigrationState.sourceUrl, 'https://source.example');
+    assert.strictEqual(MigrationState.canResume, false);
+});
+
+test('the kept queue follows skipped files and is cleared once empty', async () => {
+    await completeAndReload();
+
+    Orchestrator.skipFailedFile('uploads/a.jpg');
+    await MigrationState.saveFailedFiles();
+    MigrationState.reset();
+    await Orchestrator.loadCheckpoint();
+    assert.deepStrictEqual(MigrationState.failedFiles.map(file => file.path), ['uploads/b.jpg']);
+
+    Orchestrator.skipFailedFile('uploads/b.jpg');
+    await MigrationState.saveFailedFiles();
+    assert.strictEqual((await MemoryStore.read()).state, null);
+});
@@ -0,0 +1,100 @@
+/**
+ * Files phase: small and empty files reaching the destination
+ *
+ * The source API and the destination transport are stubbed; each test records the calls they receive.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const path = require('path');
+
+const { API, MigrationState, Orchestrator, configure } = require(path.join(__dirname, '..', 'assets', 'js', 'migrator-core.js'));
+
+const EMPTY_MD5 = crypto.createHash('md5').update('').digest('hex');
+
+const FILES = [
+    { path: 'uploads/a.txt', size: 5, hash: 'a' },
+    { path: 'uploads/empty.txt', size: 0, hash: EMPTY_MD5 }
+];
+
+/**
+ * Start a files phase over FILES as one batch, with `completed` already done
+ * With `batchFails` the source rejects the batch, leaving its files to chunked streaming.
+ * Returns the list of calls made, as [name, ...arguments].
+ */
+function setUp(completed, batchFails = false) {
+    const calls = [];
+
+    MigrationState.reset();
+    MigrationState.manifest = { files: FILES, file_batches: [FILES.map(file => file.path)] };
+    completed.forEach(filePath => MigrationState.completedFiles.add(filePath));
+
+    API.streamBatch = async (paths) => {
+        calls.push(['batch', paths]);
+        if (batchFails) {
+            throw new Error('Batch failed');
+        }
+        return { file_count: paths.length, data: paths.join(','), checksum: '' };
+    };
+    API.streamFile = async (filePath, offset) => {
+        calls.push(['file', filePath, offset]);
+        return { data: '', checksum: EMPTY_MD5, bytes_read: 0, file_size: 0, offset: offset };
+    };
+
+    configure({
+        transport: {
+            async post(action, data) {
+                calls.push([action, data]);
+                if (action === 'sm_extract_batch') {
+                    return { success: true, data: { files: data.data.split(',') } };
+                }
+                if (action === 'sm_get_file_hashes') {
+                    // Every file arrives intact
+                    const hashes = {};
+                    data.files.forEach(file => {
+                        hashes[file.path] = FILES.find(entry => entry.path === file.path);
+                    });
+                    return { success: true, data: { files: hashes } };
+                }
+                return { success: true, data: {} };
+            }
+        },
+        ui: { log() {} }
+    });
+
+    return calls;
+}
+
+test('an empty file that is the only batch member left goes through /stream/batch', async () => {
+    const calls = setUp(['uploads/a.txt']);
+
+    await Orchestrator.filesPhase();
+
+    assert.deepStrictEqual(calls.filter(call => call[0] === 'batch'), [['batch', ['uploads/empty.txt']]]);
+    assert.strictEqual(calls.filter(call => call[0] === 'file').length, 0);
+    assert.ok(MigrationState.completedFiles.has('uploads/empty.txt'));
+    assert.strictEqual(MigrationState.failedFiles.length, 0);
+});
+
+test('an empty file that is the last batch member is extracted with the batch', async () => {
+    const calls = setUp([]);
+
+    await Orchestrator.filesPhase();
+
+    assert.deepStrictEqual(calls.filter(call => call[0] === 'batch'), [['batch', ['uploads/a.txt', 'uploads/empty.txt']]]);
+    assert.ok(MigrationState.completedFiles.has('uploads/empty.txt'));
+});
+
+test('an empty file left to chunked streaming is created with one empty chunk', async () => {
+    const calls = setUp(['uploads/a.txt'], true);
+
+    await Orchestrator.filesPhase();
+
+    const writes = calls.filter(call => call[0] === 'sm_write_chunk').map(call => call[1]);
+    assert.deepStrictEqual(writes, [{ path: 'uploads/empty.txt', data: '', checksum: EMPTY_MD5, offset: 0 }]);
+    assert.ok(MigrationState.completedFiles.has('uploads/empty.txt'));
+    assert.strictEqual(MigrationState.failedFiles.length, 0);
+});
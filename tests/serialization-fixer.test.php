@@ -0,0 +1,41 @@
+<?php
+/**
+ * Serialization_Fixer::rule_pattern(): delimiters in regex rules
+ *
+ * Run with: php tests/serialization-fixer.test.php (exits non-zero on a failure)
+ *
+ * @package Simple_Migrator
+ */
+
+require dirname(__DIR__) . '/includes/class-serialization-fixer.php';
+
+use Simple_Migrator\Serialization_Fixer;
+
+$failures = 0;
+
+/**
+ * Check that a rule's pattern compiles and finds $expected in $subject
+ */
+function check_rule($name, $search, $subject, $expected) {
+    global $failures;
+
+    $pattern = Serialization_Fixer::rule_pattern(array('search' => $search, 'case_sensitive' => true));
+    $matched = @preg_match($pattern, $subject, $match);
+
+    if ($matched === 1 && $match[0] === $expected) {
+        echo "ok - $name\n";
+        return;
+    }
+
+    $failures++;
+    $found = $matched === false ? 'invalid pattern' : ($matched ? $match[0] : 'no match');
+    echo "not ok - $name: $pattern gave $found, expected $expected\n";
+}
+
+check_rule('an unescaped ~ is escaped', 'a~b', 'xa~by', 'a~b');
+check_rule('an escaped \~ is left as it is', 'a\~b', 'xa~by', 'a~b');
+check_rule('a ~ after an escaped backslash is escaped', 'a\\\\~b', 'xa\~by', 'a\~b');
+check_rule('an escaped \~ after an escaped backslash is left as it is', 'a\\\\\~b', 'xa\~by', 'a\~b');
+check_rule('consecutive ~ are all escaped', '~~', 'x~~y', '~~');
+
+exit($failures > 0 ? 1 : 0);
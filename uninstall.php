@@ -21,12 +21,19 @@ $options_to_delete = array(
     'sm_connected_sources',
     'sm_connected_destinations',
     'sm_settings',
+    'sm_migration_checkpoint',
+    'sm_transfer_tuning',
+    'sm_history_db_version',
 );
 
 foreach ($options_to_delete as $option) {
     delete_option($option);
 }
 
+// Drop the migration history table
+global $wpdb;
+$wpdb->query("DROP TABLE IF EXISTS `{$wpdb->prefix}sm_migration_history`");
+
 // Delete transients
 delete_transient('sm_preserved_options');
 delete_transient('sm_preserved_admin');